@@ -0,0 +1,166 @@
+/**
+ * 계정 저장소
+ * 회원가입한 계정을 로컬 디스크(JSON 파일)에 보관합니다.
+ *
+ * 저장 방식:
+ * - data/users.json 파일 하나에 전체 계정 목록 저장
+ * - 비밀번호는 평문이 아닌 scrypt 해시로만 저장 (password.js)
+ * - 계정 이름은 대소문자를 구분하지 않고 중복 불가 (채팅 닉네임으로 사용)
+ * - 실제 프로덕션에서는 데이터베이스 사용 권장
+ * - 서버 노드가 여러 대면 파일 대신 공유 상태 컬렉션('accounts')에 저장 (useSharedState)
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { hashPassword, verifyPassword } = require('./password');
+const { normalizeNickname } = require('./nickname');
+
+// 계정 파일 경로 (환경 변수로 변경 가능)
+const DATA_DIR = process.env.CHAT_DATA_DIR || path.join(__dirname, 'data');
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 100;
+
+/**
+ * 계정 캐시 (처음 사용할 때 파일에서 읽음)
+ *
+ * 데이터 구조:
+ * {
+ *   normalizedUsername: { id, username, passwordHash, createdAt }
+ * }
+ */
+let accounts = null;
+
+// 공유 상태 저장소 사용 여부 (true면 파일에 쓰지 않음)
+let shared = false;
+
+/**
+ * 파일 대신 공유 상태 저장소에 계정 보관 (서버 노드가 여러 대일 때)
+ * stateStore.connect() 전에 호출해야 저장된 계정을 읽어 옵니다.
+ *
+ * @param {Object} stateStore - 공유 상태 저장소 (stateStore.createStateStore)
+ */
+function useSharedState(stateStore) {
+  accounts = stateStore.collection('accounts');
+  shared = true;
+}
+
+/**
+ * 계정 목록 불러오기
+ *
+ * @returns {Map} 비교용 계정 이름 → 계정
+ */
+function loadAccounts() {
+  if (accounts) {
+    return accounts;
+  }
+
+  accounts = new Map();
+
+  if (fs.existsSync(USERS_FILE)) {
+    try {
+      const list = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+      list.forEach(account => accounts.set(normalizeNickname(account.username), account));
+    } catch (error) {
+      console.error('❌ 계정 파일을 읽을 수 없습니다:', error.message);
+    }
+  }
+
+  return accounts;
+}
+
+/**
+ * 계정 목록 저장
+ * 임시 파일에 쓴 뒤 이름을 바꿔서 저장 중 파일이 깨지지 않도록 함
+ */
+function saveAccounts() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+
+  const tempFile = `${USERS_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify([...accounts.values()], null, 2));
+  fs.renameSync(tempFile, USERS_FILE);
+}
+
+/**
+ * 비밀번호 형식 검사
+ *
+ * @param {string} password - 평문 비밀번호
+ * @returns {Object|null} 실패 시 { error, code }, 통과하면 null
+ */
+function validatePassword(password) {
+  if (typeof password !== 'string' ||
+      password.length < MIN_PASSWORD_LENGTH ||
+      password.length > MAX_PASSWORD_LENGTH) {
+    return {
+      error: `비밀번호는 ${MIN_PASSWORD_LENGTH}~${MAX_PASSWORD_LENGTH}자로 입력해주세요.`,
+      code: 'INVALID_PASSWORD'
+    };
+  }
+
+  return null;
+}
+
+/**
+ * 계정 이름으로 계정 찾기 (대소문자 무시)
+ *
+ * @param {string} username - 계정 이름
+ * @returns {Object|null} 계정
+ */
+function findAccount(username) {
+  return loadAccounts().get(normalizeNickname(username)) || null;
+}
+
+/**
+ * 계정 생성
+ * 계정 이름 형식은 호출하는 쪽에서 validateNickname()으로 먼저 검사합니다.
+ *
+ * @param {string} username - 계정 이름
+ * @param {string} password - 평문 비밀번호
+ * @returns {Object|null} 생성된 계정, 이미 있는 이름이면 null
+ */
+function createAccount(username, password) {
+  const key = normalizeNickname(username);
+  if (loadAccounts().has(key)) {
+    return null;
+  }
+
+  const account = {
+    id: crypto.randomUUID(),
+    username: username.trim(),
+    passwordHash: hashPassword(password),
+    createdAt: new Date().toISOString()
+  };
+
+  accounts.set(key, account);
+  if (!shared) {
+    saveAccounts();
+  }
+
+  return account;
+}
+
+/**
+ * 로그인 정보 확인
+ *
+ * @param {string} username - 계정 이름
+ * @param {string} password - 평문 비밀번호
+ * @returns {Object|null} 일치하면 계정, 아니면 null
+ */
+function authenticate(username, password) {
+  const account = findAccount(username);
+  if (!account || !verifyPassword(password, account.passwordHash)) {
+    return null;
+  }
+
+  return account;
+}
+
+module.exports = {
+  useSharedState,
+  findAccount,
+  createAccount,
+  authenticate,
+  validatePassword
+};
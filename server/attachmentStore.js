@@ -0,0 +1,198 @@
+/**
+ * 첨부 파일 저장소
+ * 업로드한 파일을 로컬 디스크에 보관하고, 메시지에서 참조할 정보를 관리합니다.
+ *
+ * 저장 방식:
+ * - 파일 하나당 두 파일: data/uploads/<id> (내용), data/uploads/<id>.json (정보)
+ * - id는 추측할 수 없는 임의 값 (다운로드 주소에 그대로 사용)
+ * - rooms: 파일이 첨부된 채팅방 ID 목록 (다운로드 권한 확인용, 메시지를 보낼 때 기록)
+ *
+ * 제한:
+ * - 크기: MAX_UPLOAD_BYTES 환경 변수 (기본 10MB)
+ * - 종류: ALLOWED_TYPES에 있는 MIME 타입만 허용
+ * - 이미지는 파일 앞부분(시그니처)이 선언한 타입과 일치해야 함
+ *   (HTML 등을 이미지로 속여 올리는 것을 방지)
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 첨부 파일 저장 경로 (환경 변수로 변경 가능)
+const UPLOAD_DIR = process.env.CHAT_DATA_DIR
+  ? path.join(process.env.CHAT_DATA_DIR, 'uploads')
+  : path.join(__dirname, 'data', 'uploads');
+
+// 파일 하나의 최대 크기 (바이트)
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 10 * 1024 * 1024;
+
+// 파일 이름 최대 길이
+const MAX_FILE_NAME_LENGTH = 200;
+
+// 허용하는 파일 종류 (MIME 타입 → 이미지 시그니처, 이미지가 아니면 null)
+const ALLOWED_TYPES = {
+  'image/png': [0x89, 0x50, 0x4e, 0x47],
+  'image/jpeg': [0xff, 0xd8, 0xff],
+  'image/gif': [0x47, 0x49, 0x46, 0x38],
+  'image/webp': [0x52, 0x49, 0x46, 0x46],
+  'application/pdf': null,
+  'application/zip': null,
+  'text/plain': null
+};
+
+// 첨부 파일 ID 형식 (경로 조작 방지)
+const ID_PATTERN = /^[a-f0-9]{32}$/;
+
+/**
+ * MIME 타입 정규화 ('image/PNG; charset=...' → 'image/png')
+ *
+ * @param {string} mimeType - Content-Type 값
+ * @returns {string} 정규화된 MIME 타입
+ */
+function normalizeType(mimeType) {
+  return String(mimeType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * 업로드 파일 검사
+ *
+ * @param {Buffer} buffer - 파일 내용
+ * @param {string} mimeType - 선언한 MIME 타입
+ * @returns {Object|null} 실패 시 { error, code, status }, 통과하면 null
+ */
+function validateAttachment(buffer, mimeType) {
+  const type = normalizeType(mimeType);
+
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return { error: '빈 파일은 올릴 수 없습니다.', code: 'EMPTY_FILE', status: 400 };
+  }
+
+  if (buffer.length > MAX_UPLOAD_BYTES) {
+    return {
+      error: `파일은 ${Math.floor(MAX_UPLOAD_BYTES / 1024 / 1024)}MB까지 올릴 수 있습니다.`,
+      code: 'FILE_TOO_LARGE',
+      status: 413
+    };
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(ALLOWED_TYPES, type)) {
+    return { error: '지원하지 않는 파일 형식입니다.', code: 'UNSUPPORTED_FILE_TYPE', status: 415 };
+  }
+
+  const signature = ALLOWED_TYPES[type];
+  if (signature && !signature.every((byte, index) => buffer[index] === byte)) {
+    return { error: '파일 내용이 형식과 일치하지 않습니다.', code: 'UNSUPPORTED_FILE_TYPE', status: 415 };
+  }
+
+  return null;
+}
+
+/**
+ * 파일 이름 정리 (경로 구분자, 제어 문자 제거)
+ *
+ * @param {string} fileName - 원래 파일 이름
+ * @returns {string} 표시용 파일 이름
+ */
+function sanitizeFileName(fileName) {
+  const name = path.basename(String(fileName || ''))
+    .replace(/[\u0000-\u001f\u007f"\\/]/g, '_')
+    .trim()
+    .slice(0, MAX_FILE_NAME_LENGTH);
+
+  return name || 'file';
+}
+
+/**
+ * 파일 경로
+ *
+ * @param {string} id - 첨부 파일 ID
+ * @returns {string} 내용 파일 경로
+ */
+function getFilePath(id) {
+  return path.join(UPLOAD_DIR, id);
+}
+
+/**
+ * 첨부 파일 저장
+ * validateAttachment를 통과한 파일만 전달해야 합니다.
+ *
+ * @param {Object} file - { buffer, mimeType, fileName }
+ * @param {Object} uploader - 올린 계정 { id, username }
+ * @returns {Object} 첨부 파일 정보 { id, name, size, mimeType, isImage, uploadedBy, uploadedAt, rooms }
+ */
+function saveAttachment(file, uploader) {
+  const type = normalizeType(file.mimeType);
+  const attachment = {
+    id: crypto.randomBytes(16).toString('hex'),
+    name: sanitizeFileName(file.fileName),
+    size: file.buffer.length,
+    mimeType: type,
+    isImage: Boolean(ALLOWED_TYPES[type]),
+    uploadedBy: uploader.id,
+    uploadedAt: new Date(),
+    rooms: []
+  };
+
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  fs.writeFileSync(getFilePath(attachment.id), file.buffer);
+  fs.writeFileSync(`${getFilePath(attachment.id)}.json`, JSON.stringify(attachment));
+
+  return attachment;
+}
+
+/**
+ * 첨부 파일 정보 조회
+ *
+ * @param {string} id - 첨부 파일 ID
+ * @returns {Object|null} 첨부 파일 정보 (없으면 null)
+ */
+function getAttachment(id) {
+  if (!ID_PATTERN.test(String(id))) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(`${getFilePath(id)}.json`, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 첨부된 채팅방 기록 (그 방에 입장한 사용자만 내려받을 수 있음)
+ *
+ * @param {Object} attachment - 첨부 파일 정보
+ * @param {string} roomId - 채팅방 ID
+ * @returns {Object} 갱신된 첨부 파일 정보
+ */
+function addAttachmentRoom(attachment, roomId) {
+  const rooms = attachment.rooms || [];
+  if (rooms.includes(roomId)) return attachment;
+
+  const updated = { ...attachment, rooms: [...rooms, roomId] };
+  fs.writeFileSync(`${getFilePath(attachment.id)}.json`, JSON.stringify(updated));
+  return updated;
+}
+
+/**
+ * 메시지에 담을 첨부 파일 정보 (올린 계정 ID 제외)
+ *
+ * @param {Object} attachment - 첨부 파일 정보
+ * @returns {Object} { id, name, size, mimeType, isImage }
+ */
+function toMessageAttachment(attachment) {
+  return {
+    id: attachment.id,
+    name: attachment.name,
+    size: attachment.size,
+    mimeType: attachment.mimeType,
+    isImage: attachment.isImage
+  };
+}
+
+module.exports = {
+  validateAttachment,
+  saveAttachment,
+  getAttachment,
+  addAttachmentRoom,
+  getFilePath,
+  toMessageAttachment,
+  MAX_UPLOAD_BYTES
+};
@@ -0,0 +1,72 @@
+/**
+ * Socket.io 클러스터 어댑터 (Redis pub/sub)
+ * 서버 노드 여러 대가 io.to(room).emit()을 함께 쓰도록 브로드캐스트를 다른 노드에 전달합니다.
+ *
+ * 동작:
+ * - 노드 A에서 io.to('room_1').emit(...)을 호출하면
+ *   A는 자기 소켓에 보내고, 같은 내용을 채널(<prefix>:adapter:<네임스페이스>)에 발행
+ * - 다른 노드는 채널 메시지를 받아 자기 소켓 중 'room_1'에 있는 소켓에 전송
+ * - socketsLeave, disconnectSockets, serverSideEmit 등도 같은 방식으로 모든 노드에 적용
+ *
+ * 노드 간 메시지 형식, 하트비트(노드 생존 확인) 등은 socket.io-adapter의
+ * ClusterAdapterWithHeartbeat가 처리하고, 여기서는 메시지 전달(Redis 발행/구독)만 구현합니다.
+ * 메시지는 JSON으로 보내므로 바이너리(Buffer) 데이터는 브로드캐스트할 수 없습니다.
+ */
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+class RedisClusterAdapter extends ClusterAdapterWithHeartbeat {
+  /**
+   * @param {Object} nsp - Socket.io 네임스페이스
+   * @param {Object} client - 발행용 Redis 클라이언트
+   * @param {Object} subscriber - 구독 전용 Redis 클라이언트
+   * @param {Object} options - { prefix, heartbeatInterval, heartbeatTimeout }
+   */
+  constructor(nsp, client, subscriber, options) {
+    super(nsp, options);
+
+    this.client = client;
+    this.subscriber = subscriber;
+    this.channel = `${options.prefix}:adapter:${nsp.name}`;
+    this.responseChannel = `${this.channel}:${this.uid}`;
+
+    const reportError = error => console.error('❌ 어댑터 구독 실패:', error.message);
+    subscriber.subscribe(this.channel, raw => this.onMessage(JSON.parse(raw))).catch(reportError);
+    subscriber.subscribe(this.responseChannel, raw => this.onResponse(JSON.parse(raw))).catch(reportError);
+  }
+
+  // 모든 노드에 메시지 발행 (보낸 노드는 uid로 자기 메시지를 무시)
+  doPublish(message) {
+    return this.client.publish(this.channel, JSON.stringify(message)).then(() => '');
+  }
+
+  // 요청한 노드에만 응답 발행 (fetchSockets, serverSideEmit 응답 등)
+  doPublishResponse(requesterUid, response) {
+    return this.client.publish(`${this.channel}:${requesterUid}`, JSON.stringify(response)).then(() => {});
+  }
+
+  close() {
+    super.close();
+    this.subscriber.unsubscribe(this.channel);
+    this.subscriber.unsubscribe(this.responseChannel);
+  }
+}
+
+/**
+ * 어댑터 생성 함수 (io.adapter()에 전달)
+ *
+ * @param {Object} client - 발행용 Redis 클라이언트
+ * @param {Object} subscriber - 구독 전용 Redis 클라이언트
+ * @param {Object} [options] - { prefix = 'chat', heartbeatInterval, heartbeatTimeout }
+ * @returns {Function} 네임스페이스마다 어댑터를 만드는 함수
+ */
+function createClusterAdapter(client, subscriber, options = {}) {
+  const adapterOptions = { prefix: 'chat', ...options };
+
+  return function (nsp) {
+    return new RedisClusterAdapter(nsp, client, subscriber, adapterOptions);
+  };
+}
+
+module.exports = {
+  createClusterAdapter
+};
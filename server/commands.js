@@ -0,0 +1,289 @@
+/**
+ * 슬래시 명령어 레지스트리
+ * 채팅 입력창에서 '/'로 시작하는 명령어(IRC 방식)를 등록하고 실행합니다.
+ *
+ * 흐름:
+ * 1. 클라이언트가 입력을 해석해 'command' { room, command, args } 전송
+ *    (/clear처럼 화면에서만 처리하는 명령어는 서버로 보내지 않음)
+ * 2. 서버가 명령어를 찾고 권한(방장/부방장)과 인자 수를 확인
+ * 3. 명령어의 run(context, args, argsText) 실행
+ * 4. 결과는 보낸 사람에게만 'command result' / 'error' { event: 'command' }로 응답
+ *
+ * 명령어 추가:
+ * - registerCommand({ name, usage, description, permission, minArgs, run })
+ * - run은 실패 시 { error, code }를 반환하고, 성공하면 아무것도 반환하지 않음
+ * - context는 index.js가 만들어 전달 (room, user, role, reply, dispatch, updateSettings)
+ *   dispatch(eventName, data)는 기존 소켓 이벤트 처리를 그대로 실행하므로
+ *   /kick 등은 'kick user'와 같은 속도 제한, 스키마 검사, 권한 검사와 실패 알림을 거칩니다.
+ */
+
+// 역할별 권한 단계 (높을수록 많은 권한)
+const ROLE_LEVELS = {
+  member: 0,
+  moderator: 1,
+  owner: 2
+};
+
+// 명령어 이름 형식 (영문 소문자)
+const COMMAND_NAME_PATTERN = /^[a-z]+$/;
+
+/**
+ * 등록된 명령어
+ * { name: { name, usage, description, permission, minArgs, run } }
+ */
+const commands = new Map();
+
+// 별칭 → 명령어 이름
+const aliases = new Map();
+
+/**
+ * 명령어 등록
+ * 같은 이름으로 다시 등록하면 덮어씁니다.
+ *
+ * @param {Object} definition - 명령어 정의
+ * @param {string} definition.name - 이름 ('kick' → /kick)
+ * @param {string} definition.usage - 사용법 ('/kick <닉네임>')
+ * @param {string} definition.description - 설명 (/help에 표시)
+ * @param {string} [definition.permission='member'] - 필요한 역할 ('member' | 'moderator' | 'owner')
+ * @param {number} [definition.minArgs=0] - 최소 인자 수
+ * @param {Array<string>} [definition.aliases] - 별칭
+ * @param {Function} definition.run - (context, args, argsText) => { error, code } | undefined
+ */
+function registerCommand(definition) {
+  if (!COMMAND_NAME_PATTERN.test(definition.name) || typeof definition.run !== 'function') {
+    throw new Error(`잘못된 명령어 정의: ${definition.name}`);
+  }
+
+  commands.set(definition.name, {
+    permission: 'member',
+    minArgs: 0,
+    ...definition
+  });
+
+  (definition.aliases || []).forEach(alias => aliases.set(alias, definition.name));
+}
+
+/**
+ * 명령어 찾기 (별칭 포함, 대소문자 무시)
+ *
+ * @param {string} name - 명령어 이름
+ * @returns {Object|null} 명령어 정의
+ */
+function findCommand(name) {
+  const key = String(name || '').toLowerCase();
+  return commands.get(key) || commands.get(aliases.get(key)) || null;
+}
+
+/**
+ * 역할이 명령어 권한을 만족하는지 확인
+ *
+ * @param {string} role - 'owner' | 'moderator' | 'member'
+ * @param {string} permission - 명령어에 필요한 역할
+ * @returns {boolean} 사용 가능 여부
+ */
+function hasPermission(role, permission) {
+  return (ROLE_LEVELS[role] || 0) >= (ROLE_LEVELS[permission] || 0);
+}
+
+/**
+ * 역할이 사용할 수 있는 명령어 목록 (/help용)
+ *
+ * @param {string} role - 'owner' | 'moderator' | 'member'
+ * @returns {Array} [{ name, usage, description, permission }]
+ */
+function listCommands(role) {
+  return Array.from(commands.values())
+    .filter(command => hasPermission(role, command.permission))
+    .map(({ name, usage, description, permission }) => ({ name, usage, description, permission }));
+}
+
+/**
+ * 명령어 실행
+ *
+ * @param {Object} context - 실행 정보 { room, user, role, reply, dispatch, updateSettings }
+ * @param {string} name - 명령어 이름
+ * @param {string} argsText - 명령어 뒤의 인자 문자열
+ * @returns {Object|null} 실패 시 { error, code }, 성공하면 null
+ */
+function executeCommand(context, name, argsText) {
+  const command = findCommand(name);
+  if (!command) {
+    return { error: `알 수 없는 명령어입니다: /${name} (/help로 목록을 확인하세요)`, code: 'UNKNOWN_COMMAND' };
+  }
+
+  if (!hasPermission(context.role, command.permission)) {
+    return {
+      error: command.permission === 'owner' ? '방장만 사용할 수 있는 명령어입니다.' : '방장 또는 부방장만 사용할 수 있는 명령어입니다.',
+      code: 'NOT_OWNER'
+    };
+  }
+
+  const text = String(argsText || '').trim();
+  const args = text ? text.split(/\s+/) : [];
+  if (args.length < command.minArgs) {
+    return { error: `사용법: ${command.usage}`, code: 'INVALID_COMMAND_ARGS' };
+  }
+
+  return command.run(context, args, text) || null;
+}
+
+/**
+ * 기본 명령어
+ */
+registerCommand({
+  name: 'help',
+  usage: '/help',
+  description: '사용할 수 있는 명령어 목록',
+  run(context) {
+    const lines = listCommands(context.role).map(command => `${command.usage} - ${command.description}`);
+    context.reply(lines.join('\n'));
+  }
+});
+
+registerCommand({
+  name: 'me',
+  usage: '/me <행동>',
+  description: '행동 메시지 보내기 (예: /me 손을 흔듭니다)',
+  minArgs: 1,
+  run(context, args, text) {
+    context.dispatch('chat message', {
+      room: context.room.id,
+      message: text,
+      action: true,
+      timestamp: new Date()
+    });
+  }
+});
+
+registerCommand({
+  name: 'nick',
+  usage: '/nick',
+  description: '내 닉네임 확인 (닉네임은 계정 이름)',
+  run(context, args) {
+    if (args.length > 0) {
+      return { error: `닉네임은 계정 이름(${context.user.username})으로 고정되어 바꿀 수 없습니다.`, code: 'NICKNAME_FIXED' };
+    }
+    context.reply(`내 닉네임: ${context.user.username}`);
+  }
+});
+
+registerCommand({
+  name: 'users',
+  usage: '/users',
+  description: '채팅방 참여자 목록',
+  aliases: ['who'],
+  run(context) {
+    const nicknames = Array.from(new Set(context.room.users.map(user => user.nickname)));
+    context.reply(`참여자 ${nicknames.length}명: ${nicknames.join(', ')}`);
+  }
+});
+
+registerCommand({
+  name: 'topic',
+  usage: '/topic [주제]',
+  description: '방 주제 확인, 방장은 주제 변경 (/topic - 로 지우기)',
+  run(context, args, text) {
+    if (!text) {
+      context.reply(context.room.topic ? `현재 주제: ${context.room.topic}` : '설정된 주제가 없습니다.');
+      return;
+    }
+
+    if (context.role !== 'owner') {
+      return { error: '방장만 주제를 바꿀 수 있습니다.', code: 'NOT_OWNER' };
+    }
+
+    return context.updateSettings({ topic: text === '-' ? '' : text });
+  }
+});
+
+registerCommand({
+  name: 'slow',
+  usage: '/slow <초|off>',
+  description: '슬로우 모드 설정 (일반 참여자는 정한 간격마다 한 번만 전송)',
+  permission: 'owner',
+  minArgs: 1,
+  run(context, args) {
+    return context.updateSettings({ slowMode: args[0] === 'off' ? 0 : Number(args[0]) });
+  }
+});
+
+registerCommand({
+  name: 'kick',
+  usage: '/kick <닉네임>',
+  description: '사용자 강퇴',
+  permission: 'moderator',
+  minArgs: 1,
+  run(context, args) {
+    context.dispatch('kick user', { room: context.room.id, target: args[0] });
+  }
+});
+
+registerCommand({
+  name: 'ban',
+  usage: '/ban <닉네임>',
+  description: '사용자 차단 (다시 입장 불가)',
+  permission: 'owner',
+  minArgs: 1,
+  run(context, args) {
+    context.dispatch('ban user', { room: context.room.id, target: args[0] });
+  }
+});
+
+registerCommand({
+  name: 'mute',
+  usage: '/mute <닉네임> [분]',
+  description: '사용자 채팅 금지 (0분이면 무기한)',
+  permission: 'moderator',
+  minArgs: 1,
+  run(context, args) {
+    const data = { room: context.room.id, target: args[0] };
+    if (args[1] !== undefined) {
+      const minutes = Number(args[1]);
+      if (!Number.isFinite(minutes) || minutes < 0) {
+        return { error: '사용법: /mute <닉네임> [분]', code: 'INVALID_COMMAND_ARGS' };
+      }
+      data.duration = minutes * 60;
+    }
+    context.dispatch('mute user', data);
+  }
+});
+
+registerCommand({
+  name: 'unmute',
+  usage: '/unmute <닉네임>',
+  description: '채팅 금지 해제',
+  permission: 'moderator',
+  minArgs: 1,
+  run(context, args) {
+    context.dispatch('unmute user', { room: context.room.id, target: args[0] });
+  }
+});
+
+registerCommand({
+  name: 'op',
+  usage: '/op <닉네임>',
+  description: '부방장 지정',
+  permission: 'owner',
+  minArgs: 1,
+  run(context, args) {
+    context.dispatch('set moderator', { room: context.room.id, target: args[0], isModerator: true });
+  }
+});
+
+registerCommand({
+  name: 'deop',
+  usage: '/deop <닉네임>',
+  description: '부방장 해제',
+  permission: 'owner',
+  minArgs: 1,
+  run(context, args) {
+    context.dispatch('set moderator', { room: context.room.id, target: args[0], isModerator: false });
+  }
+});
+
+module.exports = {
+  registerCommand,
+  findCommand,
+  listCommands,
+  executeCommand
+};
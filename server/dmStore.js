@@ -0,0 +1,243 @@
+/**
+ * 1:1 대화(DM) 저장소
+ * 두 계정 사이의 개인 대화 목록과 읽지 않은 메시지 수를 로컬 디스크에 보관합니다.
+ *
+ * 저장 방식:
+ * - 대화 목록: data/direct-messages.json (대화 정보 + 사용자별 읽지 않은 수)
+ * - 메시지 본문: messageStore에 대화 ID(dm_...)별 파일로 저장 (채팅방과 같은 append-only 형식)
+ * - 대화 ID는 두 계정 ID를 정렬해서 만들므로 누가 먼저 보내도 같은 대화
+ * - 실제 프로덕션에서는 데이터베이스 사용 권장
+ * - 서버 노드가 여러 대면 파일 대신 공유 상태 컬렉션('conversations')에 저장 (useSharedState)
+ */
+const fs = require('fs');
+const path = require('path');
+
+const messageStore = require('./messageStore');
+
+// 대화 목록 파일 경로 (환경 변수로 변경 가능)
+const DATA_DIR = process.env.CHAT_DATA_DIR || path.join(__dirname, 'data');
+const CONVERSATIONS_FILE = path.join(DATA_DIR, 'direct-messages.json');
+
+/**
+ * 대화 캐시 (처음 사용할 때 파일에서 읽음)
+ *
+ * 데이터 구조:
+ * {
+ *   conversationId: {
+ *     id: 'dm_<계정ID>_<계정ID>',
+ *     participants: [{ id, username }, { id, username }],
+ *     lastMessage: { id, user, message, serverTimestamp } | null,
+ *     unread: { 계정ID: 읽지 않은 메시지 수 },
+ *     createdAt, updatedAt
+ *   }
+ * }
+ */
+let conversations = null;
+
+// 공유 상태 저장소 사용 여부 (true면 파일에 쓰지 않음)
+let shared = false;
+
+/**
+ * 파일 대신 공유 상태 저장소에 대화 목록 보관 (서버 노드가 여러 대일 때)
+ * 메시지 본문은 messageStore.useSharedState()로 함께 옮겨야 합니다.
+ *
+ * @param {Object} stateStore - 공유 상태 저장소 (stateStore.createStateStore)
+ */
+function useSharedState(stateStore) {
+  // 읽지 않은 수는 참여자마다 따로 저장 (두 사람이 동시에 보내고 읽어도 서로 덮어쓰지 않도록)
+  conversations = stateStore.collection('conversations', {
+    members: { unread: { type: 'object' } }
+  });
+  shared = true;
+}
+
+/**
+ * 대화 목록 불러오기
+ *
+ * @returns {Map} 대화 ID → 대화
+ */
+function loadConversations() {
+  if (conversations) {
+    return conversations;
+  }
+
+  conversations = new Map();
+
+  if (fs.existsSync(CONVERSATIONS_FILE)) {
+    try {
+      const list = JSON.parse(fs.readFileSync(CONVERSATIONS_FILE, 'utf8'));
+      list.forEach(conversation => conversations.set(conversation.id, conversation));
+    } catch (error) {
+      console.error('❌ 대화 목록 파일을 읽을 수 없습니다:', error.message);
+    }
+  }
+
+  return conversations;
+}
+
+/**
+ * 대화 목록 저장
+ * 임시 파일에 쓴 뒤 이름을 바꿔서 저장 중 파일이 깨지지 않도록 함
+ */
+function saveConversations() {
+  // 공유 상태 저장소는 get()/set()한 대화를 이벤트 처리가 끝난 뒤 자동으로 저장
+  if (shared) return;
+
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+
+  const tempFile = `${CONVERSATIONS_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify([...conversations.values()], null, 2));
+  fs.renameSync(tempFile, CONVERSATIONS_FILE);
+}
+
+/**
+ * 두 계정 사이의 대화 ID 생성
+ *
+ * @param {string} userIdA - 계정 ID
+ * @param {string} userIdB - 계정 ID
+ * @returns {string} 대화 ID
+ */
+function getConversationId(userIdA, userIdB) {
+  return `dm_${[userIdA, userIdB].sort().join('_')}`;
+}
+
+/**
+ * 대화 조회
+ *
+ * @param {string} conversationId - 대화 ID
+ * @returns {Object|null} 대화
+ */
+function getConversation(conversationId) {
+  return loadConversations().get(conversationId) || null;
+}
+
+/**
+ * 대화 참여자 여부 확인
+ *
+ * @param {Object} conversation - 대화
+ * @param {string} userId - 계정 ID
+ * @returns {boolean} 참여자 여부
+ */
+function isParticipant(conversation, userId) {
+  return conversation.participants.some(participant => participant.id === userId);
+}
+
+/**
+ * 특정 사용자 기준의 대화 요약
+ * 클라이언트에 보내는 형식입니다.
+ *
+ * @param {Object} conversation - 대화
+ * @param {string} userId - 기준 계정 ID
+ * @returns {Object} { id, peer, lastMessage, unreadCount, updatedAt }
+ */
+function toSummary(conversation, userId) {
+  const peer = conversation.participants.find(participant => participant.id !== userId);
+
+  return {
+    id: conversation.id,
+    peer: peer ? peer.username : null,
+    lastMessage: conversation.lastMessage,
+    unreadCount: conversation.unread[userId] || 0,
+    updatedAt: conversation.updatedAt
+  };
+}
+
+/**
+ * 메시지 추가
+ * 대화가 없으면 새로 만들고, 받는 사람의 읽지 않은 수를 늘립니다.
+ *
+ * @param {Object} sender - 보낸 사람 { id, username }
+ * @param {Object} recipient - 받는 사람 { id, username }
+ * @param {Object} message - 저장할 메시지 (id, serverTimestamp 필수, seq는 messageStore.reserveSequence로 받은 순번)
+ * @returns {Object} 갱신된 대화
+ */
+function addMessage(sender, recipient, message) {
+  const conversationId = getConversationId(sender.id, recipient.id);
+  let conversation = getConversation(conversationId);
+
+  if (!conversation) {
+    conversation = {
+      id: conversationId,
+      participants: [
+        { id: sender.id, username: sender.username },
+        { id: recipient.id, username: recipient.username }
+      ],
+      lastMessage: null,
+      unread: {},
+      createdAt: message.serverTimestamp,
+      updatedAt: message.serverTimestamp
+    };
+    conversations.set(conversationId, conversation);
+  }
+
+  messageStore.appendMessage(conversationId, message);
+
+  conversation.lastMessage = {
+    id: message.id,
+    user: message.user,
+    message: message.message,
+    serverTimestamp: message.serverTimestamp
+  };
+  conversation.updatedAt = message.serverTimestamp;
+  conversation.unread[recipient.id] = (conversation.unread[recipient.id] || 0) + 1;
+
+  saveConversations();
+  return conversation;
+}
+
+/**
+ * 대화를 읽음으로 표시
+ *
+ * @param {string} conversationId - 대화 ID
+ * @param {string} userId - 읽은 계정 ID
+ * @returns {Object|null} 갱신된 대화 (없거나 참여자가 아니면 null)
+ */
+function markRead(conversationId, userId) {
+  const conversation = getConversation(conversationId);
+  if (!conversation || !isParticipant(conversation, userId)) {
+    return null;
+  }
+
+  if (conversation.unread[userId]) {
+    conversation.unread[userId] = 0;
+    saveConversations();
+  }
+
+  return conversation;
+}
+
+/**
+ * 사용자의 대화 목록 (최근 대화부터)
+ *
+ * @param {string} userId - 계정 ID
+ * @returns {Array} 대화 요약 목록
+ */
+function listConversations(userId) {
+  return Array.from(loadConversations().values())
+    .filter(conversation => isParticipant(conversation, userId))
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+    .map(conversation => toSummary(conversation, userId));
+}
+
+/**
+ * 사용자의 전체 읽지 않은 메시지 수
+ *
+ * @param {string} userId - 계정 ID
+ * @returns {number} 읽지 않은 메시지 수
+ */
+function getUnreadTotal(userId) {
+  return Array.from(loadConversations().values())
+    .reduce((total, conversation) => total + (conversation.unread[userId] || 0), 0);
+}
+
+module.exports = {
+  useSharedState,
+  getConversationId,
+  getConversation,
+  isParticipant,
+  toSummary,
+  addMessage,
+  markRead,
+  listConversations,
+  getUnreadTotal
+};
@@ -31,6 +31,44 @@ const cors = require('cors');
 // Server 클래스는 서버 인스턴스를 생성하는 생성자
 const { Server } = require('socket.io');
 
+// 채팅방별 메시지 기록 저장소 (디스크 보관)
+const messageStore = require('./messageStore');
+
+// 비공개 채팅방 비밀번호 해시/검증
+const { hashPassword, verifyPassword } = require('./password');
+
+const crypto = require('crypto');
+
+// 닉네임 형식/예약어 검사
+const { normalizeNickname, validateNickname, extractMentions, MAX_LENGTH: MAX_NICKNAME_LENGTH } = require('./nickname');
+
+// 계정 저장소와 인증 토큰(JWT)
+const accountStore = require('./accountStore');
+const { issueToken, issueScopedToken, verifyToken, verifyScopedToken } = require('./token');
+
+// 1:1 대화(DM) 저장소
+const dmStore = require('./dmStore');
+
+// 첨부 파일 저장소 (업로드/다운로드)
+const attachmentStore = require('./attachmentStore');
+
+// 메시지 링크 미리보기 (Open Graph)
+const linkPreview = require('./linkPreview');
+
+// 슬래시 명령어 레지스트리
+const commands = require('./commands');
+
+// 서버 여러 대 실행: 공유 상태 저장소, Redis 클라이언트, Socket.io 클러스터 어댑터
+const { createStateStore, createRedisBackend } = require('./stateStore');
+const { createRedisClient } = require('./redisClient');
+const { createClusterAdapter } = require('./clusterAdapter');
+
+// 계정별, 이벤트별 속도 제한 (토큰 버킷)
+const { createRateLimiter } = require('./rateLimiter');
+
+// 수신 이벤트 데이터 스키마 검사
+const schemas = require('./schemas');
+
 const app = express();
 
 // CORS 설정 - 클라이언트(Vue.js)에서 서버로의 요청 허용
@@ -69,30 +107,137 @@ const io = new Server(server, {
   }
 });
 
-// 현재 접속 중인 사용자 목록 저장
-// 실제 프로덕션에서는 데이터베이스나 Redis 사용 권장
-let connectedUsers = new Map();
+/**
+ * 서버 노드 간 공유 상태
+ * 
+ * REDIS_URL이 없으면 프로세스 메모리에만 보관하고(서버 한 대),
+ * 있으면 Redis에 저장해 같은 REDIS_URL을 쓰는 모든 노드가 채팅방/사용자 상태를 공유합니다.
+ * (메시지, 계정, DM도 같은 Redis로 옮겨 모든 노드가 같은 기록을 씀, connectCluster 참고)
+ * 컬렉션은 Map과 같은 방식으로 사용 (수정할 값은 get()으로 꺼낼 것, stateStore.js 참고)
+ */
+const stateStore = createStateStore();
+
+// Redis 주소 (예: redis://localhost:6379, 테스트용 memory://이름)
+const REDIS_URL = process.env.REDIS_URL || '';
+
+// 이 서버 노드의 ID (로그와 공유 상태 변경 알림 구분용)
+const NODE_ID = process.env.CHAT_NODE_ID || crypto.randomBytes(4).toString('hex');
+
+// 현재 접속 중인 사용자 목록 저장 (소켓 ID → { username, room, isOwner, node }, 모든 노드 공유)
+// node: 소켓이 연결된 노드 ID (노드가 죽으면 그 노드의 사용자를 정리하기 위함)
+const connectedUsers = stateStore.collection('users');
+
+/**
+ * 재연결용 세션 저장 (모든 노드 공유)
+ * 
+ * 연결할 때마다 세션 토큰을 발급하고, 클라이언트는 재연결 시
+ * handshake.auth.sessionToken으로 같은 토큰을 보냅니다.
+ * 네트워크가 잠깐 끊겨도 유예 시간 안에 다시 연결되면
+ * 같은 방, 같은 방장 여부로 복구됩니다. (다른 노드로 다시 연결해도 복구)
+ * 
+ * 데이터 구조:
+ * {
+ *   sessionToken: {
+ *     token: 'sessionToken',
+ *     socketId: '현재(또는 마지막) 소켓 ID',
+ *     nickname: '계정 이름', // 인증 토큰의 계정 이름 (모든 이벤트의 발신자 이름)
+ *     node: '노드 ID', // 소켓이 연결된(또는 끊긴 뒤 유예 타이머를 건) 노드
+ *     disconnectedAt: Date | null, // 연결이 끊긴 시각 (연결 중이면 null)
+ *     lastSeenMessageId: 'msg_...' // 연결이 끊기기 직전 마지막 메시지 ID
+ *   }
+ * }
+ */
+const sessions = stateStore.collection('sessions', { dates: ['disconnectedAt'] });
+
+// 연결이 끊긴 세션의 정리 예약 타이머 (세션 토큰 → Timeout, 타이머를 건 노드에만 있음)
+const graceTimers = new Map();
+
+// 연결이 끊긴 뒤 사용자를 방에서 제거하기까지의 유예 시간 (밀리초)
+const SESSION_GRACE_PERIOD = Number(process.env.SESSION_GRACE_PERIOD) || 30 * 1000;
+
+/**
+ * 서버 노드 목록 (모든 노드 공유, 노드 ID → { id, heartbeatAt })
+ * 
+ * REDIS_URL이 있으면 각 노드가 NODE_HEARTBEAT_INTERVAL마다 heartbeatAt을 갱신합니다.
+ * NODE_EXPIRY 동안 갱신이 없는 노드는 죽은 것으로 보고, 살아 있는 노드 중 ID가 가장 작은 노드 하나가
+ * 그 노드에 연결되어 있던 사용자(퇴장 처리)와 세션을 정리합니다. (checkClusterNodes 참고)
+ * 노드끼리 시계가 NODE_EXPIRY 이상 어긋나면 살아 있는 노드를 정리할 수 있으므로 시계를 맞춰 둘 것
+ */
+const clusterNodes = stateStore.collection('nodes');
+
+// 하트비트가 끊긴 노드를 죽은 것으로 보기까지의 시간 (밀리초)
+const NODE_EXPIRY = Number(process.env.CHAT_NODE_EXPIRY) || 30 * 1000;
+
+// 하트비트 간격 (만료 시간 안에 세 번 갱신)
+const NODE_HEARTBEAT_INTERVAL = NODE_EXPIRY / 3;
+
+/**
+ * 이벤트 속도 제한기 (계정별)
+ * 
+ * 소켓이 아니라 계정 ID로 제한하므로 같은 계정의 탭(소켓) 여러 개가 한도를 함께 쓰고,
+ * 다시 연결해도 일시 정지와 위반 기록이 이어집니다. (이유는 rateLimiter.js 참고)
+ * 
+ * 이벤트별 한도는 RATE_LIMITS 환경 변수(JSON)로 바꿀 수 있습니다.
+ * 적은 항목만 기본 한도에 덮어씁니다. (예: capacity만 적으면 refillPerSecond는 기본값)
+ * 예: RATE_LIMITS='{"chat message":{"capacity":10,"refillPerSecond":2}}'
+ */
+const rateLimiter = createConfiguredRateLimiter(process.env.RATE_LIMITS);
+
+/**
+ * RATE_LIMITS 환경 변수로 속도 제한기 생성
+ * 형식이 잘못되었거나 값이 숫자가 아니면 서버를 시작하지 않음
+ * 
+ * @param {string} [value] - JSON 문자열
+ * @returns {Object} 속도 제한기
+ */
+function createConfiguredRateLimiter(value) {
+  try {
+    return createRateLimiter({ limits: value ? JSON.parse(value) : {} });
+  } catch (error) {
+    console.error('❌ RATE_LIMITS 설정 오류:', error.message);
+    process.exit(1);
+  }
+}
 
 /**
- * 채팅방 정보 저장
+ * 채팅방 정보 저장 (모든 노드 공유, stateStore 컬렉션)
  * 방장 시스템을 위한 확장된 룸 데이터 구조
  * 
  * 데이터 구조:
  * {
  *   roomId: {
  *     name: '채팅방 이름',
+ *     topic: '방 주제', // 헤더와 로비 카드에 표시 (없으면 '')
+ *     description: '방 설명', // 로비 카드에 표시 (없으면 '')
+ *     maxUsers: null, // 최대 인원 (null이면 제한 없음, 입장 시 검사)
+ *     slowMode: 0, // 슬로우 모드 간격 (초, 0이면 끔, 방장/부방장은 제외)
+ *     lastMessageAt: { 닉네임: timestamp }, // 슬로우 모드용 사용자별 마지막 메시지 시각
  *     owner: 'socketId', // 방장의 소켓 ID
  *     ownerName: '방장 닉네임',
  *     users: [
- *       { socketId: 'id1', nickname: 'user1', joinedAt: Date },
- *       { socketId: 'id2', nickname: 'user2', joinedAt: Date }
+ *       { socketId: 'id1', nickname: 'user1', joinedAt: Date, isOwner: true, isModerator: false },
+ *       { socketId: 'id2', nickname: 'user2', joinedAt: Date, isOwner: false, isModerator: true }
  *     ],
  *     createdAt: Date,
- *     isPrivate: false
+ *     isPrivate: false,
+ *     passwordHash: null, // 비공개 방 비밀번호 해시 ('salt:hash', 없으면 null)
+ *     bannedUsers: ['nickname'], // 입장 차단된 닉네임 목록
+ *     mutedUsers: [{ nickname: 'user2', until: Date | null }], // 채팅 금지 목록 (until이 null이면 무기한)
+ *     lastRead: { 계정ID: { username, messageId, seq, readAt } } // 사용자별 마지막으로 읽은 메시지와 그 순번 (퇴장 후에도 유지)
  *   }
  * }
  */
-let chatRooms = new Map();
+const chatRooms = stateStore.collection('rooms', {
+  // 여러 노드가 동시에 바꿀 수 있는 목록은 구성원별로 저장 (입장/퇴장, 차단, 음소거, 읽음 위치)
+  members: {
+    users: { by: 'socketId', order: 'joinedAt' },
+    bannedUsers: {},
+    mutedUsers: { by: 'nickname' },
+    lastRead: { type: 'object' },
+    lastMessageAt: { type: 'object' }
+  },
+  dates: ['createdAt', 'joinedAt', 'until', 'readAt']
+});
 
 /**
  * 채팅방 ID 생성 함수
@@ -105,11 +250,13 @@ function generateRoomId() {
 /**
  * 방장 권한 위임 함수
  * 방장이 나갔을 때 다음 사용자에게 권한을 위임합니다.
+ * 방장이 직접 대상을 지정한 경우(수동 위임)에는 해당 사용자에게 위임합니다.
  * 
  * @param {string} roomId - 채팅방 ID
+ * @param {string} [targetSocketId] - 새 방장의 소켓 ID (없으면 가장 먼저 입장한 사용자)
  * @returns {Object|null} 새로운 방장 정보 또는 null (방이 삭제됨)
  */
-function transferOwnership(roomId) {
+function transferOwnership(roomId, targetSocketId) {
   const room = chatRooms.get(roomId);
   if (!room || room.users.length === 0) {
     // 방이 없거나 사용자가 없으면 방 삭제
@@ -117,16 +264,69 @@ function transferOwnership(roomId) {
     return null;
   }
 
-  // 가장 먼저 입장한 사용자(2번째)를 새 방장으로 지정
+  // 대상이 지정되지 않으면 가장 먼저 입장한 사용자(2번째)를 새 방장으로 지정
   // users 배열은 입장 순서대로 정렬되어 있음
-  const newOwner = room.users[0];
+  const newOwner = targetSocketId
+    ? room.users.find(user => user.socketId === targetSocketId)
+    : room.users[0];
+  if (!newOwner) {
+    return null;
+  }
+
+  // 이전 방장의 권한 표시 제거 (수동 위임 시 이전 방장은 방에 남아 있음)
+  room.users.forEach(user => {
+    user.isOwner = false;
+  });
+  const previousOwnerData = connectedUsers.get(room.owner);
+  if (previousOwnerData) {
+    previousOwnerData.isOwner = false;
+  }
+
   room.owner = newOwner.socketId;
   room.ownerName = newOwner.nickname;
+  newOwner.isOwner = true;
+  newOwner.isModerator = false; // 방장이 되면 부방장 역할은 해제
 
   console.log(`👑 방장 권한 위임: ${room.name} → ${newOwner.nickname}`);
   return newOwner;
 }
 
+/**
+ * 방장 변경 알림 전송
+ * 새 방장에게는 'ownership transferred', 방 전체에는 'owner changed'를 보냅니다.
+ * 
+ * @param {string} roomId - 채팅방 ID
+ * @param {Object} newOwner - transferOwnership()이 반환한 새 방장 정보
+ */
+function announceOwnershipTransfer(roomId, newOwner) {
+  const room = chatRooms.get(roomId);
+  if (!room || !newOwner) return;
+
+  // 새 방장에게 권한 부여 알림 (소켓 ID 채널로 보내므로 다른 노드에 연결된 소켓에도 전달)
+  io.to(newOwner.socketId).emit('ownership transferred', {
+    message: '당신이 새로운 방장이 되었습니다.',
+    room: {
+      id: roomId,
+      name: room.name
+    },
+    timestamp: new Date()
+  });
+
+  // 사용자 정보 업데이트
+  const userData = connectedUsers.get(newOwner.socketId);
+  if (userData) {
+    userData.isOwner = true;
+  }
+
+  // 방의 모든 사용자에게 방장 변경 알림
+  io.to(roomId).emit('owner changed', {
+    newOwner: newOwner.nickname,
+    message: `${newOwner.nickname}님이 새로운 방장이 되었습니다.`,
+    timestamp: new Date(),
+    type: 'system'
+  });
+}
+
 /**
  * 채팅방에서 사용자 제거 함수
  * 
@@ -141,344 +341,2398 @@ function removeUserFromRoom(roomId, socketId) {
   const userIndex = room.users.findIndex(user => user.socketId === socketId);
   if (userIndex === -1) return false;
 
+  // 입력 중 표시가 남지 않도록 먼저 정리
+  stopTyping(socketId);
+
   room.users.splice(userIndex, 1);
   return true;
 }
 
+// 같은 소켓의 'typing start'를 다시 중계하기까지의 최소 간격 (밀리초)
+const TYPING_THROTTLE_MS = 1000;
+
+// 'typing start' 후 갱신이 없으면 입력 중 상태를 자동 해제하는 시간 (밀리초)
+const TYPING_TIMEOUT_MS = 5000;
+
 /**
- * 클라이언트 연결 처리
- * 
- * io.on('connection', callback) 분석:
- * - io 인스턴스의 메서드: 새로운 클라이언트 연결을 감지
- * - 클라이언트가 io() 함수로 연결할 때마다 실행
- * - callback의 socket 매개변수: 연결된 개별 클라이언트 객체
+ * 소켓별 입력 중 상태
  * 
- * socket 매개변수 (개별 클라이언트):
- * - 특정 한 명의 클라이언트와의 연결 객체
- * - 해당 클라이언트와만 1:1 통신
- * - 클라이언트의 socket과 직접 대응
+ * 데이터 구조:
+ * {
+ *   socketId: {
+ *     room: '채팅방 ID',
+ *     nickname: '입력 중인 사용자',
+ *     lastRelayAt: 마지막으로 중계한 시각 (ms),
+ *     timer: Timeout // 자동 해제 타이머
+ *   }
+ * }
+ */
+let typingStates = new Map();
+
+/**
+ * 입력 중 상태 시작/갱신
  * 
- * io vs socket 메서드 차이:
+ * - 처음이거나 스로틀 간격이 지났으면 같은 방의 다른 사용자에게 'typing start' 중계
+ * - 간격 안에 다시 오면 중계 없이 자동 해제 타이머만 연장
  * 
- * io 메서드 (서버 전체 관리):
- * - io.emit(): 모든 클라이언트에게 전송
- * - io.to(room).emit(): 특정 룸의 모든 클라이언트에게 전송
- * - io.sockets.sockets: 모든 연결된 소켓 맵
- * - io.engine.clientsCount: 전체 연결 수
+ * @param {Object} socket - 입력 중인 소켓
+ * @param {string} roomId - 채팅방 ID
+ * @param {string} nickname - 닉네임
+ */
+function startTyping(socket, roomId, nickname) {
+  const now = Date.now();
+  let state = typingStates.get(socket.id);
+
+  // 다른 방에서 입력 중이던 상태는 먼저 정리
+  if (state && state.room !== roomId) {
+    stopTyping(socket.id);
+    state = null;
+  }
+
+  if (!state) {
+    state = { room: roomId, nickname: nickname, lastRelayAt: 0, timer: null };
+    typingStates.set(socket.id, state);
+  }
+
+  clearTimeout(state.timer);
+  state.timer = setTimeout(() => stopTyping(socket.id), TYPING_TIMEOUT_MS);
+
+  if (now - state.lastRelayAt < TYPING_THROTTLE_MS) {
+    return;
+  }
+
+  state.lastRelayAt = now;
+  socket.to(roomId).emit('typing start', {
+    user: nickname,
+    room: roomId,
+    expiresIn: TYPING_TIMEOUT_MS // 이 시간 안에 갱신이 없으면 클라이언트도 표시 제거
+  });
+}
+
+/**
+ * 입력 중 상태 해제
+ * 입력 중이던 경우에만 같은 방의 다른 사용자에게 'typing stop'을 중계합니다.
  * 
- * socket 메서드 (개별 클라이언트 관리):
- * - socket.emit(): 해당 클라이언트에게만 전송
- * - socket.on(): 해당 클라이언트에서 오는 이벤트 수신
- * - socket.join(room): 해당 클라이언트를 룸에 추가
- * - socket.broadcast.emit(): 해당 클라이언트 제외하고 전송
+ * @param {string} socketId - 소켓 ID
  */
-io.on('connection', (socket) => {
-  console.log('\n=== 새로운 클라이언트 연결 ===');
-  console.log(`소켓 ID: ${socket.id}`);
-  console.log(`현재 연결된 클라이언트 수: ${io.engine.clientsCount}`);
-  console.log('클라이언트 IP:', socket.handshake.address);
-  console.log('연결 시간:', new Date().toLocaleString());
+function stopTyping(socketId) {
+  const state = typingStates.get(socketId);
+  if (!state) return;
 
-  /**
-   * 채팅방 생성 이벤트 처리
-   * 
-   * 새로운 기능: 사용자가 직접 채팅방을 생성할 수 있습니다.
-   * 생성자는 자동으로 방장이 되며, 방 관리 권한을 가집니다.
-   */
-  socket.on('create room', (data) => {
-    console.log(`\n--- 채팅방 생성 요청 ---`);
-    console.log(`생성자: ${data.user}`);
-    console.log(`방 이름: ${data.roomName}`);
-    console.log(`소켓 ID: ${socket.id}`);
+  clearTimeout(state.timer);
+  typingStates.delete(socketId);
 
-    // 방 이름 유효성 검사
-    if (!data.roomName || data.roomName.trim().length === 0) {
-      socket.emit('room creation failed', {
-        error: '채팅방 이름을 입력해주세요.',
-        code: 'INVALID_ROOM_NAME'
-      });
-      return;
-    }
+  io.to(state.room).except(socketId).emit('typing stop', {
+    user: state.nickname,
+    room: state.room
+  });
+}
 
-    // 방 이름 중복 검사
-    const roomNameExists = Array.from(chatRooms.values())
-      .some(room => room.name.toLowerCase() === data.roomName.trim().toLowerCase());
+// 음소거 기본/최대 시간 (초)
+const DEFAULT_MUTE_SECONDS = 5 * 60;
+const MAX_MUTE_SECONDS = 24 * 60 * 60;
 
-    if (roomNameExists) {
-      socket.emit('room creation failed', {
-        error: '이미 존재하는 채팅방 이름입니다.',
-        code: 'ROOM_NAME_EXISTS'
-      });
-      return;
-    }
+/**
+ * 채팅방에서 닉네임으로 사용자 찾기
+ *
+ * @param {Object} room - 채팅방 객체
+ * @param {string} nickname - 찾을 닉네임
+ * @returns {Array} 해당 닉네임을 쓰는 방 사용자 목록
+ */
+function findRoomMembers(room, nickname) {
+  const target = normalizeNickname(nickname);
+  return room.users.filter(user => normalizeNickname(user.nickname) === target);
+}
 
-    // 고유한 방 ID 생성
-    const roomId = generateRoomId();
-    const roomName = data.roomName.trim();
+/**
+ * 차단 여부 확인
+ *
+ * @param {Object} room - 채팅방 객체
+ * @param {string} nickname - 확인할 닉네임
+ * @returns {boolean} 차단 여부
+ */
+function isBanned(room, nickname) {
+  const target = normalizeNickname(nickname);
+  return room.bannedUsers.some(banned => normalizeNickname(banned) === target);
+}
 
-    // 새 채팅방 데이터 생성
-    const newRoom = {
-      id: roomId,
-      name: roomName,
-      owner: socket.id,           // 생성자가 방장
-      ownerName: data.user,
-      users: [{
-        socketId: socket.id,
-        nickname: data.user,
-        joinedAt: new Date(),
-        isOwner: true
-      }],
-      createdAt: new Date(),
-      isPrivate: false
-    };
+/**
+ * 현재 적용 중인 음소거 정보 조회
+ * 기간이 지난 음소거는 이때 목록에서 정리합니다.
+ *
+ * @param {Object} room - 채팅방 객체
+ * @param {string} nickname - 확인할 닉네임
+ * @returns {Object|null} 음소거 정보 { nickname, until } 또는 null
+ */
+function getActiveMute(room, nickname) {
+  const now = Date.now();
+  room.mutedUsers = room.mutedUsers.filter(mute => !mute.until || new Date(mute.until).getTime() > now);
 
-    // 서버 메모리에 방 정보 저장
-    chatRooms.set(roomId, newRoom);
+  const target = normalizeNickname(nickname);
+  return room.mutedUsers.find(mute => normalizeNickname(mute.nickname) === target) || null;
+}
 
-    // 사용자 정보 저장
-    connectedUsers.set(socket.id, {
-      username: data.user,
-      room: roomId,
-      isOwner: true
-    });
+/**
+ * 채팅방에서 사용자의 역할 조회
+ *
+ * 역할 종류:
+ * - owner: 방장 (모든 관리 권한, 방장 위임, 부방장 지정)
+ * - moderator: 부방장 (일반 사용자 강퇴/음소거)
+ * - member: 일반 사용자
+ *
+ * @param {Object} room - 채팅방 객체
+ * @param {string} socketId - 소켓 ID
+ * @returns {string} 'owner' | 'moderator' | 'member'
+ */
+function getUserRole(room, socketId) {
+  if (room.owner === socketId) return 'owner';
 
-    // 생성자를 방에 입장시킴
-    socket.join(roomId);
+  const user = room.users.find(user => user.socketId === socketId);
+  return user && user.isModerator ? 'moderator' : 'member';
+}
 
-    console.log(`✅ 채팅방 생성 완료: ${roomName} (ID: ${roomId})`);
-    console.log(`👑 방장: ${data.user}`);
+/**
+ * 클라이언트에 보낼 채팅방 사용자 목록 생성
+ *
+ * @param {Object} room - 채팅방 객체
+ * @returns {Array} 사용자 목록 (소켓 ID 제외)
+ */
+function getRoomUsersPayload(room) {
+  return room.users.map(user => ({
+    nickname: user.nickname,
+    isOwner: user.socketId === room.owner,
+    isModerator: Boolean(user.isModerator),
+    role: getUserRole(room, user.socketId),
+    isMuted: Boolean(getActiveMute(room, user.nickname)),
+    joinedAt: user.joinedAt
+  }));
+}
 
-    // 생성자에게 생성 성공 알림
-    socket.emit('room created', {
-      success: true,
-      room: {
-        id: roomId,
-        name: roomName,
-        owner: data.user,
-        isOwner: true,
-        userCount: 1
-      },
-      message: `'${roomName}' 채팅방이 생성되었습니다. 당신이 방장입니다.`,
-      timestamp: new Date()
-    });
+/**
+ * 클라이언트에 보낼 채팅방 정보 생성 (입장 확인, 세션 복구 공통)
+ *
+ * @param {Object} room - 채팅방 객체
+ * @param {string} socketId - 받는 사용자의 소켓 ID (방장/부방장 여부 계산용)
+ * @returns {Object} 채팅방 정보
+ */
+function getRoomPayload(room, socketId) {
+  const role = getUserRole(room, socketId);
 
-    // 모든 클라이언트에게 새 채팅방 목록 전송
-    broadcastRoomsList();
+  return {
+    id: room.id,
+    name: room.name,
+    topic: room.topic || '',
+    description: room.description || '',
+    maxUsers: room.maxUsers || null,
+    slowMode: room.slowMode || 0,
+    owner: room.ownerName,
+    isOwner: role === 'owner',
+    isModerator: role === 'moderator',
+    role: role,
+    isPrivate: room.isPrivate,
+    userCount: room.users.length,
+    users: getRoomUsersPayload(room),
+    readState: getReadStatePayload(room)
+  };
+}
 
-    console.log(`현재 총 채팅방 수: ${chatRooms.size}`);
-  });
+/**
+ * 읽음 위치 갱신
+ * 
+ * 처음 추적하는 사용자는 그대로 기록하고, 이미 기록이 있으면
+ * 순번이 더 큰 메시지일 때만 앞으로 옮깁니다. (늦게 도착한 요청으로 되돌아가지 않도록)
+ *
+ * @param {Object} room - 채팅방 객체
+ * @param {Object} user - 계정 정보 { id, username }
+ * @param {string|null} messageId - 읽은 마지막 메시지 ID
+ * @returns {boolean} 읽음 위치가 바뀌었는지 여부
+ */
+function markRoomRead(room, user, messageId) {
+  const current = room.lastRead[user.id];
+  const message = messageId ? messageStore.getMessage(room.id, messageId) : null;
+  const seq = message ? message.seq : 0;
 
-  /**
-   * 채팅방 입장 이벤트 처리
-   * 
-   * socket.on() vs io.on() 차이:
-   * - socket.on(): 이 특정 클라이언트에서 오는 이벤트만 처리
-   * - io.on(): 서버 레벨 이벤트 처리 (connection, error 등)
-   * 
-   * 여기서 socket.on('join')은:
-   * - 이 클라이언트가 'join' 이벤트를 보냈을 때만 실행
-   * - 다른 클라이언트의 'join' 이벤트와는 별개
-   */
-  socket.on('join', (data) => {
-    console.log(`\n--- 채팅방 입장 요청 ---`);
-    console.log(`사용자: ${data.user}`);
-    console.log(`채팅방 ID: ${data.room}`);
-    console.log(`소켓 ID: ${socket.id}`);
+  if (current && seq <= (current.seq || 0)) {
+    return false;
+  }
 
-    // 채팅방 존재 여부 확인
-    const room = chatRooms.get(data.room);
-    if (!room) {
-      socket.emit('join failed', {
-        error: '존재하지 않는 채팅방입니다.',
-        code: 'ROOM_NOT_FOUND'
-      });
-      return;
-    }
+  room.lastRead[user.id] = {
+    username: user.username,
+    messageId: message ? message.id : null,
+    seq: seq,
+    readAt: new Date()
+  };
+  return true;
+}
 
-    // 이미 다른 방에 있는지 확인
-    const currentUser = connectedUsers.get(socket.id);
-    if (currentUser && currentUser.room !== data.room) {
-      // 기존 방에서 나가기
-      socket.leave(currentUser.room);
-      removeUserFromRoom(currentUser.room, socket.id);
-    }
+/**
+ * 읽음 기록 이후 메시지 수 (최신 순번 - 읽은 순번)
+ * 보낸 메시지는 보낼 때 읽음 처리하므로 자신의 메시지는 세지 않습니다.
+ *
+ * @param {Object} room - 채팅방 객체
+ * @param {Object} entry - 읽음 기록 { seq }
+ * @returns {number} 읽지 않은 메시지 수
+ */
+function countUnread(room, entry) {
+  return Math.max(messageStore.getLatestSequence(room.id) - (entry.seq || 0), 0);
+}
 
-    // 사용자 정보 저장 - 이 특정 소켓에 연결된 사용자
-    connectedUsers.set(socket.id, {
-      username: data.user,
-      room: data.room,
-      isOwner: room.owner === socket.id
-    });
+/**
+ * 클라이언트에 보낼 읽음 상태 (닉네임 → 마지막으로 읽은 메시지 ID)
+ *
+ * @param {Object} room - 채팅방 객체
+ * @returns {Object} 읽음 상태
+ */
+function getReadStatePayload(room) {
+  const readState = {};
 
-    // 방 사용자 목록에 추가 (중복 제거)
-    const existingUserIndex = room.users.findIndex(user => user.socketId === socket.id);
-    if (existingUserIndex === -1) {
-      room.users.push({
-        socketId: socket.id,
-        nickname: data.user,
-        joinedAt: new Date(),
-        isOwner: room.owner === socket.id
-      });
+  Object.values(room.lastRead).forEach(entry => {
+    if (entry.messageId) {
+      readState[entry.username] = entry.messageId;
     }
+  });
 
-    /**
-     * 룸 참여 처리
-     * 
-     * socket.join() 분석:
-     * - 이 특정 클라이언트를 해당 룸에 추가
-     * - 룸은 논리적 그룹 (같은 룸의 클라이언트들끼리 메시지 공유)
-     * - 클라이언트에서는 socket.join() 사용 불가 (서버에서만 가능)
+  return readState;
+}
+
+/**
+ * 채팅방의 가장 최근 메시지 ID
+ *
+ * @param {string} roomId - 채팅방 ID
+ * @returns {string|null} 메시지 ID
+ */
+function getLatestMessageId(roomId) {
+  const page = messageStore.getMessagePage(roomId, { limit: 1 });
+  return page.messages.length > 0 ? page.messages[0].id : null;
+}
+
+/**
+ * 채팅방에 읽음 위치 변경 알림
+ *
+ * @param {Object} room - 채팅방 객체
+ * @param {Object} user - 계정 정보 { id, username }
+ */
+function emitReadUpdate(room, user) {
+  io.to(room.id).emit('read updated', {
+    room: room.id,
+    user: user.username,
+    messageId: room.lastRead[user.id].messageId,
+    timestamp: new Date()
+  });
+}
+
+/**
+ * 채팅방에 없는(나갔거나 다른 방에 있는) 사용자에게 읽지 않은 메시지 수 전송
+ * 로비의 채팅방 카드 뱃지를 갱신하는 데 사용합니다.
+ *
+ * @param {Object} room - 채팅방 객체
+ */
+function emitUnreadToAbsentReaders(room) {
+  Object.entries(room.lastRead).forEach(([userId, entry]) => {
+    const isInRoom = room.users.some(user => user.nickname === entry.username);
+    if (isInRoom) return;
+
+    io.to(getUserChannel(userId)).emit('room unread', {
+      room: room.id,
+      unreadCount: countUnread(room, entry)
+    });
+  });
+}
+
+/**
+ * 메시지의 링크 미리보기를 가져와 저장하고 방 전체에 전송
+ * 
+ * 메시지 전송을 늦추지 않도록 브로드캐스트 뒤에 비동기로 처리하며,
+ * 가져오는 동안 메시지가 수정/삭제되었으면 결과를 버립니다.
+ * 
+ * 전송: 'link preview' { room, messageId, previews }
+ *
+ * @param {string} roomId - 채팅방 ID
+ * @param {Object} message - 저장된 메시지
+ */
+function attachLinkPreviews(roomId, message) {
+  if (linkPreview.extractUrls(message.message).length === 0) return;
+
+  linkPreview.getPreviewsForText(message.message).then(previews => {
+    if (previews.length === 0) return;
+
+    const current = messageStore.getMessage(roomId, message.id);
+    if (!current || current.deleted || current.message !== message.message) return;
+
+    messageStore.updateMessage(roomId, message.id, { linkPreviews: previews });
+    io.to(roomId).emit('link preview', {
+      room: roomId,
+      messageId: message.id,
+      previews: previews
+    });
+  }).catch(error => {
+    // 미리보기는 부가 기능이므로 실패해도 메시지 전송에는 영향 없음
+    console.error(`⚠️ 링크 미리보기 처리 실패 (${roomId}/${message.id}):`, error.message);
+  });
+}
+
+/**
+ * 이름이 같은 채팅방 찾기 (대소문자 무시)
+ *
+ * @param {string} name - 방 이름
+ * @param {string} [exceptRoomId] - 검사에서 제외할 방 (이름 변경 시 자기 자신)
+ * @returns {Object|null} 채팅방 객체
+ */
+function findRoomByName(name, exceptRoomId) {
+  const target = String(name).trim().toLowerCase();
+  return Array.from(chatRooms.values())
+    .find(room => room.id !== exceptRoomId && room.name.toLowerCase() === target) || null;
+}
+
+/**
+ * 방 설정 변경 요청 검사
+ * 
+ * 보낸 필드만 검사하고, 현재 값과 다른 것만 변경 목록에 담습니다.
+ * 
+ * @param {Object} room - 채팅방 객체
+ * @param {Object} settings - { name, topic, description, maxUsers, slowMode } 중 바꿀 값
+ * @returns {Object} 성공 시 { changes }, 실패 시 { error, code }
+ */
+function validateRoomSettings(room, settings) {
+  const changes = {};
+  const has = (key) => Object.prototype.hasOwnProperty.call(settings, key) && settings[key] !== undefined;
+
+  if (has('name')) {
+    const name = typeof settings.name === 'string' ? settings.name.trim() : '';
+    if (!name || name.length > MAX_ROOM_NAME_LENGTH) {
+      return { error: `채팅방 이름은 1~${MAX_ROOM_NAME_LENGTH}자로 입력해주세요.`, code: 'INVALID_ROOM_NAME' };
+    }
+    if (findRoomByName(name, room.id)) {
+      return { error: '이미 존재하는 채팅방 이름입니다.', code: 'ROOM_NAME_EXISTS' };
+    }
+    changes.name = name;
+  }
+
+  if (has('topic')) {
+    const topic = typeof settings.topic === 'string' ? settings.topic.trim() : '';
+    if (topic.length > MAX_TOPIC_LENGTH) {
+      return { error: `주제는 ${MAX_TOPIC_LENGTH}자까지 입력할 수 있습니다.`, code: 'TOPIC_TOO_LONG' };
+    }
+    changes.topic = topic;
+  }
+
+  if (has('description')) {
+    const description = typeof settings.description === 'string' ? settings.description.trim() : '';
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      return { error: `설명은 ${MAX_DESCRIPTION_LENGTH}자까지 입력할 수 있습니다.`, code: 'DESCRIPTION_TOO_LONG' };
+    }
+    changes.description = description;
+  }
+
+  if (has('maxUsers')) {
+    // null, 0, 빈 값은 제한 없음
+    const maxUsers = settings.maxUsers === null || settings.maxUsers === '' ? 0 : Number(settings.maxUsers);
+    if (!Number.isInteger(maxUsers) || (maxUsers !== 0 && (maxUsers < MIN_ROOM_MAX_USERS || maxUsers > MAX_ROOM_MAX_USERS))) {
+      return {
+        error: `최대 인원은 ${MIN_ROOM_MAX_USERS}~${MAX_ROOM_MAX_USERS}명으로 설정해주세요.`,
+        code: 'INVALID_MAX_USERS'
+      };
+    }
+    changes.maxUsers = maxUsers || null;
+  }
+
+  if (has('slowMode')) {
+    const slowMode = Number(settings.slowMode);
+    if (!SLOW_MODE_OPTIONS.includes(slowMode)) {
+      return { error: '슬로우 모드 간격이 올바르지 않습니다.', code: 'INVALID_SLOW_MODE' };
+    }
+    changes.slowMode = slowMode;
+  }
+
+  // 현재 값과 같은 항목은 제외
+  Object.keys(changes).forEach(key => {
+    if ((room[key] ?? null) === changes[key]) {
+      delete changes[key];
+    }
+  });
+
+  return { changes };
+}
+
+/**
+ * 방 설정 변경 안내 문구
+ *
+ * @param {Object} changes - 바뀐 설정
+ * @returns {string} 'alice님이 ...했습니다.'에 들어갈 변경 내용
+ */
+function describeRoomChanges(changes) {
+  const parts = [];
+
+  if ('name' in changes) parts.push(`방 이름을 '${changes.name}'(으)로 변경`);
+  if ('topic' in changes) parts.push(changes.topic ? `주제를 '${changes.topic}'(으)로 변경` : '주제를 삭제');
+  if ('description' in changes) parts.push(changes.description ? '설명을 변경' : '설명을 삭제');
+  if ('maxUsers' in changes) parts.push(changes.maxUsers ? `최대 인원을 ${changes.maxUsers}명으로 설정` : '최대 인원 제한을 해제');
+  if ('slowMode' in changes) parts.push(changes.slowMode ? `슬로우 모드를 ${changes.slowMode}초로 설정` : '슬로우 모드를 해제');
+
+  return parts.join(', ');
+}
+
+/**
+ * 방 설정 적용 및 알림
+ * 
+ * 방 전체에 'room updated' { room, settings, by, message, timestamp, type: 'system' }를 보내고
+ * 로비의 채팅방 카드도 갱신합니다. (이름, 주제, 인원 제한 표시)
+ *
+ * @param {Object} room - 채팅방 객체
+ * @param {Object} changes - validateRoomSettings가 돌려준 변경 목록
+ * @param {Object} user - 변경한 계정 { id, username }
+ */
+function updateRoomSettings(room, changes, user) {
+  if (Object.keys(changes).length === 0) return;
+
+  Object.assign(room, changes);
+
+  io.to(room.id).emit('room updated', {
+    room: room.id,
+    settings: changes,
+    by: user.username,
+    message: `${user.username}님이 ${describeRoomChanges(changes)}했습니다.`,
+    timestamp: new Date(),
+    type: 'system'
+  });
+
+  console.log(`⚙️ 방 설정 변경: ${room.name}`, changes);
+  broadcastRoomsList();
+}
+
+/**
+ * 메시지에서 멘션된 방 구성원 찾기
+ * 
+ * 지금 방에 있거나 들어온 적이 있는(읽음 기록이 있는) 사용자만 멘션으로 인정합니다.
+ * 차단된 사용자와 보낸 사람 자신은 제외합니다.
+ *
+ * @param {Object} room - 채팅방 객체
+ * @param {string} text - 메시지 내용
+ * @param {Object} author - 보낸 사람 계정 { id, username }
+ * @returns {Array} 멘션된 사용자 목록 [{ id, username }] (최대 MAX_MENTIONS_PER_MESSAGE명)
+ */
+function findMentionedUsers(room, text, author) {
+  const members = new Map();
+  Object.entries(room.lastRead).forEach(([userId, entry]) => {
+    members.set(normalizeNickname(entry.username), { id: userId, username: entry.username });
+  });
+
+  return extractMentions(text)
+    .map(name => members.get(normalizeNickname(name)))
+    .filter(member => member && member.id !== author.id && !isBanned(room, member.username))
+    .slice(0, MAX_MENTIONS_PER_MESSAGE);
+}
+
+/**
+ * 멘션된 사용자에게 알림 전송
+ * 
+ * 계정 룸으로 보내므로 같은 방이 아니라 다른 방이나 로비에 있어도 받습니다.
+ * 전송: 'mentioned' { room, roomName, messageId, from, message, timestamp }
+ *
+ * @param {Object} room - 채팅방 객체
+ * @param {Object} message - 저장된 메시지
+ * @param {Array} users - 알림을 받을 사용자 [{ id, username }]
+ */
+function emitMentions(room, message, users) {
+  users.forEach(user => {
+    io.to(getUserChannel(user.id)).emit('mentioned', {
+      room: room.id,
+      roomName: room.name,
+      messageId: message.id,
+      from: message.user,
+      message: String(message.message || '').slice(0, REPLY_PREVIEW_LENGTH),
+      timestamp: new Date()
+    });
+  });
+}
+
+/**
+ * 답글 메시지에 저장할 필드
+ * 
+ * - replyTo: 답글 대상 메시지 ID
+ * - threadRoot: 스레드 첫 메시지 ID (답글의 답글도 같은 스레드로 묶음)
+ * - replyPreview: 원본 작성자와 앞부분 (원본이 화면에 없어도 인용 표시)
+ *
+ * @param {Object} original - 답글 대상 메시지
+ * @returns {Object} { replyTo, threadRoot, replyPreview }
+ */
+function getReplyFields(original) {
+  return {
+    replyTo: original.id,
+    threadRoot: original.threadRoot || original.id,
+    replyPreview: {
+      user: original.user,
+      message: String(original.message || '').slice(0, REPLY_PREVIEW_LENGTH)
+    }
+  };
+}
+
+/**
+ * 스레드 첫 메시지의 답글 수 갱신 및 방 전체에 알림
+ *
+ * @param {Object} room - 채팅방 객체
+ * @param {string} rootId - 스레드 첫 메시지 ID
+ */
+function updateThreadReplyCount(room, rootId) {
+  const replyCount = messageStore.getThreadReplies(room.id, rootId, Infinity).length;
+  messageStore.updateMessage(room.id, rootId, { replyCount });
+
+  io.to(room.id).emit('thread updated', {
+    room: room.id,
+    rootId: rootId,
+    replyCount: replyCount
+  });
+}
+
+/**
+ * 채팅방의 모든 사용자에게 최신 사용자 목록 전송
+ * 입장/퇴장/강퇴 등으로 목록이 바뀔 때마다 호출합니다.
+ *
+ * @param {string} roomId - 채팅방 ID
+ */
+function emitRoomUsers(roomId) {
+  const room = chatRooms.get(roomId);
+  if (!room) return;
+
+  io.to(roomId).emit('room users', {
+    room: roomId,
+    users: getRoomUsersPayload(room),
+    userCount: room.users.length,
+    timestamp: new Date()
+  });
+}
+
+/**
+ * 사용자를 채팅방에서 내보내기 (강퇴/차단 공통)
+ *
+ * 해당 닉네임의 모든 소켓을 방에서 제거하고,
+ * 당사자에게 전용 이벤트(kicked, banned)로 알립니다.
+ * 방장은 내보낼 수 없습니다.
+ *
+ * @param {string} roomId - 채팅방 ID
+ * @param {string} nickname - 내보낼 닉네임
+ * @param {string} eventName - 당사자에게 보낼 이벤트 이름
+ * @param {Object} payload - 당사자에게 보낼 데이터
+ * @returns {number} 내보낸 소켓 수
+ */
+function expelUser(roomId, nickname, eventName, payload) {
+  const room = chatRooms.get(roomId);
+  if (!room) return 0;
+
+  const targets = findRoomMembers(room, nickname).filter(user => user.socketId !== room.owner);
+
+  targets.forEach(target => {
+    removeUserFromRoom(roomId, target.socketId);
+    connectedUsers.delete(target.socketId);
+
+    // 대상 소켓이 다른 노드에 연결되어 있어도 어댑터가 전달
+    io.in(target.socketId).socketsLeave(roomId);
+    io.to(target.socketId).emit(eventName, payload);
+  });
+
+  return targets.length;
+}
+
+// 메시지 최대 길이 (채팅, 수정, DM, 명령어 인자 공통, 클라이언트 입력창 maxlength와 같은 값)
+// INBOUND_SCHEMAS가 검사하므로 핸들러에서 다시 확인하지 않음
+const MAX_MESSAGE_LENGTH = 500;
+
+// 메시지 하나에 첨부할 수 있는 최대 파일 수
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+
+// 첨부 파일 다운로드 토큰 유효 시간 (초, 클라이언트가 만료 전에 다시 요청)
+const ATTACHMENT_ACCESS_TTL_SECONDS = 15 * 60;
+
+// 답글에 함께 저장하는 원본 미리보기 최대 길이
+const REPLY_PREVIEW_LENGTH = 100;
+
+// 방 설정 제한
+const MAX_ROOM_NAME_LENGTH = 30;
+const MAX_TOPIC_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MIN_ROOM_MAX_USERS = 2;
+const MAX_ROOM_MAX_USERS = 100;
+
+// 슬로우 모드 간격 선택지 (초, 0은 끔, 클라이언트 설정 화면과 같은 목록)
+const SLOW_MODE_OPTIONS = [0, 5, 10, 30, 60, 300];
+
+// 메시지 하나에서 알림을 보낼 최대 멘션 수
+const MAX_MENTIONS_PER_MESSAGE = 10;
+
+// 관리 동작 → 요청 이벤트 이름 (실패 알림의 event)
+const MODERATION_EVENTS = {
+  kick: 'kick user',
+  ban: 'ban user',
+  mute: 'mute user',
+  unmute: 'unmute user',
+  transfer: 'transfer ownership',
+  moderator: 'set moderator'
+};
+
+// 메시지 동작 → 요청 이벤트 이름 (실패 알림의 event)
+const MESSAGE_ACTION_EVENTS = {
+  edit: 'edit message',
+  delete: 'delete message',
+  react: 'toggle reaction',
+  thread: 'load thread'
+};
+
+// 메시지에 남길 수 있는 반응 이모지 (클라이언트 선택창과 같은 목록)
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+
+/**
+ * 계정별 Socket.io 룸 이름
+ * 
+ * 연결할 때 각 소켓을 자기 계정 룸에 넣어 두면, 어느 채팅방에 있든
+ * (여러 탭으로 접속했어도) io.to(룸)으로 그 사용자에게 DM을 전달할 수 있습니다.
+ * 
+ * @param {string} userId - 계정 ID
+ * @returns {string} 계정 룸 이름
+ */
+function getUserChannel(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * 대화 참여자 각각에게 갱신된 대화 요약 전송
+ * (마지막 메시지, 읽지 않은 수는 사용자마다 다름)
+ * 
+ * @param {Object} conversation - 대화
+ */
+function emitConversationUpdate(conversation) {
+  conversation.participants.forEach(participant => {
+    io.to(getUserChannel(participant.id)).emit('conversation updated', {
+      conversation: dmStore.toSummary(conversation, participant.id),
+      totalUnread: dmStore.getUnreadTotal(participant.id)
+    });
+  });
+}
+
+/**
+ * 수신 이벤트 스키마
+ * 
+ * 클라이언트가 보낼 수 있는 모든 이벤트와 데이터 형식입니다. (schemas.js 참고)
+ * 연결마다 등록하는 미들웨어가 핸들러보다 먼저 검사하고, 통과하면 정리된 데이터로 핸들러를 실행합니다.
+ * 여기에 없는 이벤트는 UNKNOWN_EVENT로 거부되므로 새 이벤트를 추가할 때 반드시 함께 등록할 것
+ * 
+ * null: 데이터 없이 보내는 이벤트
+ */
+const { string, id, number, boolean, timestamp, array, object } = schemas;
+
+const roomField = id('채팅방', { required: true });
+const targetField = string('대상 사용자', { required: true, maxLength: MAX_NICKNAME_LENGTH });
+const pageFields = {
+  before: id('기준 메시지'),
+  beforeTimestamp: timestamp('기준'),
+  limit: number('개수', { integer: true, min: 1, max: messageStore.MAX_PAGE_SIZE })
+};
+
+const INBOUND_SCHEMAS = {
+  // 채팅방
+  'create room': {
+    roomName: string('채팅방 이름', { required: true, maxLength: MAX_ROOM_NAME_LENGTH }),
+    isPrivate: boolean('비공개 여부'),
+    password: string('비밀번호', { maxLength: 50, trim: false })
+  },
+  'join': { room: roomField, password: string('비밀번호', { maxLength: 50, trim: false }) },
+  'leave': { room: roomField },
+  'get rooms': null,
+  'update room': {
+    room: roomField,
+    settings: object('방 설정', {
+      name: string('채팅방 이름', { maxLength: MAX_ROOM_NAME_LENGTH }),
+      topic: string('주제', { maxLength: MAX_TOPIC_LENGTH, allowEmpty: true }),
+      description: string('설명', { maxLength: MAX_DESCRIPTION_LENGTH, allowEmpty: true }),
+      maxUsers: number('최대 인원', { integer: true, nullable: true }),
+      slowMode: number('슬로우 모드', { integer: true, min: 0 })
+    }, { required: true })
+  },
+
+  // 메시지
+  'chat message': {
+    room: roomField,
+    message: string('메시지', { maxLength: MAX_MESSAGE_LENGTH }),
+    attachments: array('첨부 파일', id('첨부 파일'), { maxItems: MAX_ATTACHMENTS_PER_MESSAGE }),
+    replyTo: id('답글 원본'),
+    action: boolean('행동 메시지'),
+    timestamp: timestamp('전송'),
+    clientId: id('클라이언트 메시지')
+  },
+  'edit message': {
+    room: roomField,
+    messageId: id('메시지', { required: true }),
+    message: string('메시지', { required: true, maxLength: MAX_MESSAGE_LENGTH })
+  },
+  'delete message': { room: roomField, messageId: id('메시지', { required: true }) },
+  'toggle reaction': {
+    room: roomField,
+    messageId: id('메시지', { required: true }),
+    emoji: string('반응', { required: true, maxLength: 10 })
+  },
+  'load thread': { room: roomField, rootId: id('스레드', { required: true }) },
+  'attachment access': { room: roomField },
+  'mark read': { room: roomField, messageId: id('메시지', { required: true }) },
+  'load older messages': { room: roomField, ...pageFields },
+  'load newer messages': { room: roomField, after: id('기준 메시지') },
+  'typing start': { room: roomField },
+  'typing stop': null,
+  'command': {
+    room: roomField,
+    command: string('명령어', { required: true, maxLength: 20 }),
+    args: string('명령어 인자', { maxLength: MAX_MESSAGE_LENGTH })
+  },
+
+  // 방장/부방장 관리
+  'kick user': { room: roomField, target: targetField },
+  'ban user': { room: roomField, target: targetField },
+  'mute user': { room: roomField, target: targetField, duration: number('음소거 시간', { min: 0 }) },
+  'unmute user': { room: roomField, target: targetField },
+  'transfer ownership': { room: roomField, target: targetField },
+  'set moderator': { room: roomField, target: targetField, isModerator: boolean('부방장 여부') },
+
+  // DM
+  'get conversations': null,
+  'open conversation': { with: string('상대', { required: true, maxLength: MAX_NICKNAME_LENGTH }) },
+  'send direct message': {
+    to: string('받는 사람', { required: true, maxLength: MAX_NICKNAME_LENGTH }),
+    message: string('메시지', { required: true, maxLength: MAX_MESSAGE_LENGTH })
+  },
+  'mark conversation read': { conversationId: id('대화', { required: true }) },
+  'load older direct messages': { conversationId: id('대화', { required: true }), ...pageFields }
+};
+
+/**
+ * 요청 이벤트 → 이전 실패 이벤트 이름 (ack 없는 이전 클라이언트 호환)
+ * 
+ * 'error' 이벤트로 통일하기 전에는 요청마다 실패 이벤트가 따로 있었습니다.
+ * 이전 실패 이벤트의 데이터 형식: { error, code, ...추가 정보 }
+ */
+const LEGACY_FAILURE_EVENTS = {
+  'create room': 'room creation failed',
+  'join': 'join failed',
+  'leave': 'leave failed',
+  'update room': 'room update failed',
+  'command': 'command failed',
+  'send direct message': 'direct message failed',
+  ...Object.fromEntries(Object.values(MODERATION_EVENTS).map(event => [event, 'moderation failed'])),
+  ...Object.fromEntries(Object.values(MESSAGE_ACTION_EVENTS).map(event => [event, 'message update failed']))
+};
+
+/**
+ * 요청 실패 알림
+ * 
+ * 모든 요청 실패는 같은 형태의 'error' 이벤트 하나로 보냅니다.
+ * { event, code, message, ...추가 정보 }
+ * - event: 실패한 요청 이벤트 이름 ('join', 'chat message' 등)
+ * - code: 실패 코드 ('ROOM_NOT_FOUND', 'INVALID_PAYLOAD' 등)
+ * - message: 사용자에게 보여줄 문장
+ * - 추가 정보: room, messageId, target, retryAfter 등 요청마다 필요한 값
+ * 
+ * 클라이언트가 응답 콜백(ack)을 함께 보낸 요청이면 'error' 대신 콜백으로
+ * { ok: false, error: { event, code, message, ... } }를 돌려줍니다.
+ * 
+ * 콜백이 없고 이전 실패 이벤트가 있던 요청이면 ('join' → 'join failed' 등)
+ * 'error'와 함께 이전 이벤트도 { error, code, ...추가 정보 }로 보냅니다.
+ * (실패 이벤트만 기다리는 이전 클라이언트가 응답을 못 받는 일이 없도록)
+ * 
+ * @param {Object} socket - 요청한 소켓
+ * @param {string} event - 실패한 요청 이벤트 이름
+ * @param {Object} failure - { error 또는 message, code, ...추가 정보 } (검사 함수들이 반환하는 실패 형식)
+ * @param {Function} [ack] - 클라이언트의 응답 콜백
+ */
+function emitRequestError(socket, event, failure, ack) {
+  const { error, message, code, ...details } = failure;
+  const payload = { event, code: code || 'REQUEST_FAILED', message: error || message, ...details };
+
+  if (typeof ack === 'function') {
+    ack({ ok: false, error: payload });
+    return;
+  }
+  socket.emit('error', payload);
+
+  if (Object.hasOwn(LEGACY_FAILURE_EVENTS, event)) {
+    socket.emit(LEGACY_FAILURE_EVENTS[event], { error: payload.message, code: payload.code, ...details });
+  }
+}
+
+/**
+ * 요청 성공 응답
+ * 
+ * 응답 콜백(ack)이 있으면 콜백으로 { ok: true, ...결과 }를 돌려주고,
+ * 없으면 기존처럼 결과 이벤트('room created', 'join confirmed' 등)를 보냅니다.
+ * (ack 없이 이벤트를 기다리는 이전 클라이언트와의 호환)
+ * 
+ * 관리 동작처럼 결과를 방 전체 알림('user muted', 'room updated' 등)으로만 전하던 요청은
+ * event를 null로 넘기면 ack가 있을 때만 응답합니다.
+ * 
+ * @param {Object} socket - 요청한 소켓
+ * @param {string|null} event - 결과 이벤트 이름 (null이면 ack 전용)
+ * @param {Object} payload - 결과 데이터
+ * @param {Function} [ack] - 클라이언트의 응답 콜백
+ */
+function emitRequestResult(socket, event, payload, ack) {
+  if (typeof ack === 'function') {
+    ack({ ok: true, ...payload });
+    return;
+  }
+  if (event) {
+    socket.emit(event, payload);
+  }
+}
+
+/**
+ * 패킷의 응답 콜백(ack) 꺼내기 (마지막 인자가 함수인 경우)
+ * 
+ * @param {Array} packet - [이벤트 이름, ...인자]
+ * @returns {Function|undefined} 응답 콜백
+ */
+function getAck(packet) {
+  const last = packet[packet.length - 1];
+  return typeof last === 'function' ? last : undefined;
+}
+
+/**
+ * 소켓 인증 미들웨어
+ * 
+ * io.use()로 등록한 미들웨어는 'connection' 이벤트보다 먼저 실행됩니다.
+ * 클라이언트는 로그인 후 받은 토큰을 handshake.auth.token으로 보내야 하며,
+ * 토큰이 없거나 잘못되었거나 만료되면 연결을 거부합니다.
+ * 
+ * 거부 시 클라이언트는 'connect_error'를 받습니다.
+ * - error.message: 사용자에게 보여줄 메시지
+ * - error.data.code: 'TOKEN_MISSING' | 'TOKEN_INVALID' | 'TOKEN_EXPIRED'
+ * 
+ * 통과하면 socket.data.user = { id, username }
+ */
+io.use((socket, next) => {
+  const { token } = socket.handshake.auth || {};
+
+  try {
+    const payload = verifyToken(token);
+    socket.data.user = { id: payload.sub, username: payload.username };
+    next();
+  } catch (error) {
+    console.log(`🔒 소켓 인증 실패 (${error.code || 'ERROR'}): ${socket.id}`);
+
+    const err = new Error(error.message);
+    err.data = { code: error.code || 'TOKEN_INVALID' };
+    next(err);
+  }
+});
+
+/**
+ * 클라이언트 연결 처리
+ * 
+ * io.on('connection', callback) 분석:
+ * - io 인스턴스의 메서드: 새로운 클라이언트 연결을 감지
+ * - 클라이언트가 io() 함수로 연결할 때마다 실행
+ * - callback의 socket 매개변수: 연결된 개별 클라이언트 객체
+ * 
+ * socket 매개변수 (개별 클라이언트):
+ * - 특정 한 명의 클라이언트와의 연결 객체
+ * - 해당 클라이언트와만 1:1 통신
+ * - 클라이언트의 socket과 직접 대응
+ * 
+ * io vs socket 메서드 차이:
+ * 
+ * io 메서드 (서버 전체 관리):
+ * - io.emit(): 모든 클라이언트에게 전송
+ * - io.to(room).emit(): 특정 룸의 모든 클라이언트에게 전송
+ * - io.sockets.sockets: 모든 연결된 소켓 맵
+ * - io.engine.clientsCount: 전체 연결 수
+ * 
+ * socket 메서드 (개별 클라이언트 관리):
+ * - socket.emit(): 해당 클라이언트에게만 전송
+ * - socket.on(): 해당 클라이언트에서 오는 이벤트 수신
+ * - socket.join(room): 해당 클라이언트를 룸에 추가
+ * - socket.broadcast.emit(): 해당 클라이언트 제외하고 전송
+ */
+io.on('connection', (socket) => {
+  console.log('\n=== 새로운 클라이언트 연결 ===');
+  console.log(`소켓 ID: ${socket.id}`);
+  console.log(`현재 연결된 클라이언트 수: ${io.engine.clientsCount}`);
+  console.log('클라이언트 IP:', socket.handshake.address);
+  console.log('연결 시간:', new Date().toLocaleString());
+
+  /**
+   * 이벤트 속도 제한
+   * 
+   * 모든 수신 이벤트는 핸들러보다 먼저 이 미들웨어를 거칩니다.
+   * 한도를 넘으면 핸들러를 실행하지 않고 'error' { message, code, event, retryAfter }로 알리며,
+   * 위반이 쌓이면 일시 정지(RATE_LIMIT_MUTED)를 거쳐 연결을 끊습니다(RATE_LIMIT_DISCONNECT).
+   * 응답 콜백(ack)이 있는 요청은 조용히 버리는 경우에도 콜백으로 거부를 알립니다. (클라이언트가 시간 초과까지 기다리지 않도록)
+   */
+  function limitRate(packet, next) {
+    const [eventName] = packet;
+    const limited = rateLimiter.consume(socket.data.user.id, eventName);
+    if (!limited) {
+      next();
+      return;
+    }
+
+    const ack = getAck(packet);
+    if (limited.notify || ack) {
+      if (limited.notify) {
+        console.log(`🚦 속도 제한 (${limited.code}): ${socket.data.user.username} - ${eventName}`);
+      }
+      emitRequestError(socket, eventName, {
+        message: limited.message || '요청이 너무 많습니다. 잠시 후에 다시 시도하세요.',
+        code: limited.code,
+        retryAfter: limited.retryAfter
+      }, ack);
+    }
+
+    if (limited.disconnect) {
+      socket.disconnect(true);
+    }
+  }
+
+  /**
+   * 수신 데이터 스키마 검사 (INBOUND_SCHEMAS)
+   * 
+   * 통과하면 패킷의 데이터를 정리된 값(공백 제거, NFC 정규화, 모르는 필드 제거)으로 바꿔 핸들러에 넘기고,
+   * 실패하면 핸들러를 실행하지 않고 'error' { event, code: 'INVALID_PAYLOAD', field, message }를 보냅니다.
+   * 마지막 인자가 함수면 데이터가 아닌 응답(ack) 콜백입니다.
+   */
+  function validatePacket(packet, next) {
+    const [eventName] = packet;
+    const ack = getAck(packet);
+    if (!Object.prototype.hasOwnProperty.call(INBOUND_SCHEMAS, eventName)) {
+      emitRequestError(socket, eventName, { message: '알 수 없는 요청입니다.', code: 'UNKNOWN_EVENT' }, ack);
+      return;
+    }
+
+    const schema = INBOUND_SCHEMAS[eventName];
+    if (!schema) {
+      // 데이터 없는 요청도 응답 콜백은 항상 두 번째 인자로 ('get rooms' 등)
+      if (typeof packet[1] === 'function') {
+        packet.splice(1, 0, undefined);
+      }
+      next();
+      return;
+    }
+
+    const hasData = packet.length > 1 && typeof packet[1] !== 'function';
+    const result = schemas.validate(schema, hasData ? packet[1] : undefined);
+    if (result.error) {
+      console.log(`❌ 잘못된 요청 데이터 (${eventName}): ${result.error.field} - ${result.error.message}`);
+      emitRequestError(socket, eventName, result.error, ack);
+      return;
+    }
+
+    if (hasData) {
+      packet[1] = result.value;
+    } else {
+      packet.splice(1, 0, result.value);
+    }
+    next();
+  }
+
+  // 수신 이벤트 미들웨어 (순서대로 실행, 명령어가 실행하는 이벤트도 같은 순서로 거침)
+  const inboundMiddleware = [limitRate, validatePacket];
+  inboundMiddleware.forEach(middleware => socket.use(middleware));
+
+  /**
+   * 서버 안에서 만든 이벤트를 클라이언트가 보낸 것처럼 처리
+   * 
+   * 슬래시 명령어(/me 등)가 기존 이벤트를 실행할 때 사용합니다.
+   * 속도 제한과 스키마 검사를 그대로 거치고, 통과하면 해당 이벤트 핸들러를 실행합니다.
+   * 
+   * @param {string} eventName - 이벤트 이름
+   * @param {Object} payload - 이벤트 데이터
+   * @param {Function} [ack] - 응답 콜백 (명령어 요청의 콜백을 그대로 넘김)
+   */
+  function dispatchInbound(eventName, payload, ack) {
+    const packet = typeof ack === 'function' ? [eventName, payload, ack] : [eventName, payload];
+
+    const run = (index) => {
+      if (index === inboundMiddleware.length) {
+        socket.listeners(eventName).forEach(listener => listener(...packet.slice(1)));
+        return;
+      }
+      inboundMiddleware[index](packet, () => run(index + 1));
+    };
+
+    run(0);
+  }
+
+  /**
+   * 세션 확인 및 발급
+   * 
+   * - 유효한 세션 토큰으로 재연결하면 이전 방 상태 복구
+   * - 같은 토큰을 다른 연결이 아직 사용 중이면(탭 복제 등, 어느 노드든) 새 세션 발급
+   * - 세션은 인증된 계정에 묶이며, 다른 계정의 세션 토큰은 무시
+   */
+  const { sessionToken } = socket.handshake.auth || {};
+  let session = sessionToken ? sessions.get(sessionToken) : null;
+
+  // 연결이 끊긴 기록(disconnectedAt)이 없으면 이전 소켓이 아직 어느 노드엔가 연결되어 있음
+  if (session && !session.disconnectedAt) {
+    session = null;
+  }
+
+  // 다른 계정의 세션 토큰으로는 복구할 수 없음
+  if (session && session.nickname !== socket.data.user.username) {
+    session = null;
+  }
+
+  if (session) {
+    resumeSession(socket, session);
+  } else {
+    session = createSession(socket);
+  }
+
+  socket.data.sessionToken = session.token;
+  socket.emit('session', {
+    sessionToken: session.token,
+    gracePeriod: SESSION_GRACE_PERIOD
+  });
+
+  // DM 수신용 계정 룸 참여 (채팅방과 무관하게 항상 참여)
+  socket.join(getUserChannel(socket.data.user.id));
+
+  /**
+   * 이 소켓의 닉네임(계정 이름) 조회
+   * 
+   * 모든 이벤트의 발신자는 클라이언트가 보낸 user 값이 아니라
+   * 인증 토큰으로 확인한 계정 이름을 사용합니다. (사칭 방지)
+   * 세션이 없으면 NICKNAME_REQUIRED 실패를 보내고 null을 반환합니다.
+   * 
+   * @param {string} event - 요청 이벤트 이름 (실패 알림의 event)
+   * @param {Function} [ack] - 요청의 응답 콜백
+   * @returns {string|null} 등록된 닉네임
+   */
+  function requireNickname(event, ack) {
+    const session = sessions.get(socket.data.sessionToken);
+    if (session && session.nickname) {
+      return session.nickname;
+    }
+
+    emitRequestError(socket, event, { error: '로그인이 필요합니다.', code: 'NICKNAME_REQUIRED' }, ack);
+    return null;
+  }
+
+  /**
+   * 채팅방 생성 이벤트 처리
+   * 
+   * 새로운 기능: 사용자가 직접 채팅방을 생성할 수 있습니다.
+   * 생성자는 자동으로 방장이 되며, 방 관리 권한을 가집니다.
+   * 
+   * 응답: 응답 콜백(ack)이 있으면 콜백으로 { ok, room, ... } / { ok: false, error },
+   *       없으면 'room created' / 'error' 이벤트 (join, leave, chat message도 같은 방식)
+   */
+  socket.on('create room', (data, ack) => {
+    // 닉네임은 클라이언트 데이터가 아닌 세션에 등록된 값 사용
+    const nickname = requireNickname('create room', ack);
+    if (!nickname) return;
+
+    console.log(`\n--- 채팅방 생성 요청 ---`);
+    console.log(`생성자: ${nickname}`);
+    console.log(`방 이름: ${data.roomName}`);
+    console.log(`소켓 ID: ${socket.id}`);
+
+    // 방 이름 형식(필수, 길이)은 스키마에서 검사, 중복 검사 (이름 변경 시에도 같은 검사)
+    if (findRoomByName(data.roomName)) {
+      emitRequestError(socket, 'create room', {
+        error: '이미 존재하는 채팅방 이름입니다.',
+        code: 'ROOM_NAME_EXISTS'
+      }, ack);
+      return;
+    }
+
+    // 비공개 방 비밀번호 검사 (선택 사항, 입력한 경우에만)
+    const isPrivate = Boolean(data.isPrivate);
+    const password = isPrivate && typeof data.password === 'string' ? data.password : '';
+
+    if (password && (password.length < 4 || password.length > 50)) {
+      emitRequestError(socket, 'create room', {
+        error: '비밀번호는 4~50자로 입력해주세요.',
+        code: 'INVALID_PASSWORD'
+      }, ack);
+      return;
+    }
+
+    // 고유한 방 ID 생성
+    const roomId = generateRoomId();
+    const roomName = data.roomName;
+
+    // 새 채팅방 데이터 생성
+    const newRoom = {
+      id: roomId,
+      name: roomName,
+      topic: '',
+      description: '',
+      maxUsers: null,
+      slowMode: 0,
+      lastMessageAt: {},
+      owner: socket.id,           // 생성자가 방장
+      ownerName: nickname,
+      users: [{
+        socketId: socket.id,
+        nickname: nickname,
+        joinedAt: new Date(),
+        isOwner: true,
+        isModerator: false
+      }],
+      createdAt: new Date(),
+      isPrivate: isPrivate,
+      // 비밀번호는 해시로만 저장 (평문 보관 금지)
+      passwordHash: password ? hashPassword(password) : null,
+      bannedUsers: [],
+      mutedUsers: [],
+      lastRead: {}
+    };
+
+    // 생성자부터 읽음 위치 추적 (아직 메시지 없음)
+    markRoomRead(newRoom, socket.data.user, null);
+
+    // 서버 메모리에 방 정보 저장
+    chatRooms.set(roomId, newRoom);
+
+    // 사용자 정보 저장
+    connectedUsers.set(socket.id, {
+      username: nickname,
+      room: roomId,
+      isOwner: true,
+      node: NODE_ID
+    });
+
+    // 생성자를 방에 입장시킴
+    socket.join(roomId);
+
+    console.log(`✅ 채팅방 생성 완료: ${roomName} (ID: ${roomId})`);
+    console.log(`👑 방장: ${nickname}`);
+    console.log(`🔒 비공개: ${isPrivate ? (password ? '예 (비밀번호)' : '예') : '아니오'}`);
+
+    // 생성자에게 생성 성공 알림 (응답 콜백이 있으면 콜백으로)
+    emitRequestResult(socket, 'room created', {
+      success: true,
+      room: {
+        id: roomId,
+        name: roomName,
+        owner: nickname,
+        isOwner: true,
+        userCount: 1,
+        isPrivate: isPrivate,
+        users: getRoomUsersPayload(newRoom)
+      },
+      message: `'${roomName}' 채팅방이 생성되었습니다. 당신이 방장입니다.`,
+      timestamp: new Date()
+    }, ack);
+
+    // 모든 클라이언트에게 새 채팅방 목록 전송
+    broadcastRoomsList();
+
+    console.log(`현재 총 채팅방 수: ${chatRooms.size}`);
+  });
+
+  /**
+   * 채팅방 입장 이벤트 처리
+   * 
+   * socket.on() vs io.on() 차이:
+   * - socket.on(): 이 특정 클라이언트에서 오는 이벤트만 처리
+   * - io.on(): 서버 레벨 이벤트 처리 (connection, error 등)
+   * 
+   * 여기서 socket.on('join')은:
+   * - 이 클라이언트가 'join' 이벤트를 보냈을 때만 실행
+   * - 다른 클라이언트의 'join' 이벤트와는 별개
+   */
+  socket.on('join', (data, ack) => {
+    // 닉네임은 클라이언트 데이터가 아닌 세션에 등록된 값 사용
+    const nickname = requireNickname('join', ack);
+    if (!nickname) return;
+
+    console.log(`\n--- 채팅방 입장 요청 ---`);
+    console.log(`사용자: ${nickname}`);
+    console.log(`채팅방 ID: ${data.room}`);
+    console.log(`소켓 ID: ${socket.id}`);
+
+    // 채팅방 존재 여부 확인
+    const room = chatRooms.get(data.room);
+    if (!room) {
+      emitRequestError(socket, 'join', {
+        error: '존재하지 않는 채팅방입니다.',
+        code: 'ROOM_NOT_FOUND'
+      }, ack);
+      return;
+    }
+
+    // 방장에게 차단된 사용자는 입장 불가
+    if (isBanned(room, nickname)) {
+      console.log(`🚫 차단된 사용자 입장 시도: ${nickname} → ${room.name}`);
+      emitRequestError(socket, 'join', {
+        error: '이 채팅방에서 차단되어 입장할 수 없습니다.',
+        code: 'BANNED',
+        room: data.room
+      }, ack);
+      return;
+    }
+
+    /**
+     * 비공개 방 비밀번호 확인
+     * 
+     * - 비밀번호가 설정된 방은 올바른 비밀번호를 보내야 입장 가능
+     * - 이미 방에 있는 사용자(방장 등)의 재입장은 검사하지 않음
+     */
+    const alreadyInRoom = room.users.some(user => user.socketId === socket.id);
+    if (room.passwordHash && !alreadyInRoom) {
+      if (!data.password) {
+        emitRequestError(socket, 'join', {
+          error: '비밀번호가 필요한 채팅방입니다.',
+          code: 'PASSWORD_REQUIRED',
+          room: data.room
+        }, ack);
+        return;
+      }
+
+      if (!verifyPassword(data.password, room.passwordHash)) {
+        console.log(`🔒 비밀번호 불일치: ${nickname} → ${room.name}`);
+        emitRequestError(socket, 'join', {
+          error: '비밀번호가 올바르지 않습니다.',
+          code: 'WRONG_PASSWORD',
+          room: data.room
+        }, ack);
+        return;
+      }
+    }
+
+    // 최대 인원 확인 (같은 계정의 다른 탭은 이미 참여 중이므로 허용)
+    const memberNames = new Set(room.users.map(user => normalizeNickname(user.nickname)));
+    if (room.maxUsers && !memberNames.has(normalizeNickname(nickname)) && memberNames.size >= room.maxUsers) {
+      emitRequestError(socket, 'join', {
+        error: `채팅방 인원이 가득 찼습니다. (최대 ${room.maxUsers}명)`,
+        code: 'ROOM_FULL',
+        room: data.room
+      }, ack);
+      return;
+    }
+
+    // 이미 다른 방에 있는지 확인
+    const currentUser = connectedUsers.get(socket.id);
+    if (currentUser && currentUser.room !== data.room) {
+      // 기존 방에서 나가기
+      socket.leave(currentUser.room);
+      removeUserFromRoom(currentUser.room, socket.id);
+    }
+
+    // 사용자 정보 저장 - 이 특정 소켓에 연결된 사용자
+    connectedUsers.set(socket.id, {
+      username: nickname,
+      room: data.room,
+      isOwner: room.owner === socket.id,
+      node: NODE_ID
+    });
+
+    // 방 사용자 목록에 추가 (중복 제거)
+    const existingUserIndex = room.users.findIndex(user => user.socketId === socket.id);
+    if (existingUserIndex === -1) {
+      room.users.push({
+        socketId: socket.id,
+        nickname: nickname,
+        joinedAt: new Date(),
+        isOwner: room.owner === socket.id,
+        isModerator: false
+      });
+    }
+
+    /**
+     * 룸 참여 처리
+     * 
+     * socket.join() 분석:
+     * - 이 특정 클라이언트를 해당 룸에 추가
+     * - 룸은 논리적 그룹 (같은 룸의 클라이언트들끼리 메시지 공유)
+     * - 클라이언트에서는 socket.join() 사용 불가 (서버에서만 가능)
+     * 
+     * 룸 시스템:
+     * - socket.join(room): 개별 클라이언트를 룸에 추가
+     * - io.to(room).emit(): 해당 룸의 모든 클라이언트에게 전송
+     * - socket.rooms: 해당 클라이언트가 속한 룸 목록
+     */
+    socket.join(data.room);
+    console.log(`${nickname}님이 ${room.name} 채팅방에 입장했습니다.`);
+    console.log(`소켓이 속한 룸 목록:`, Array.from(socket.rooms));
+
+    // 해당 룸의 다른 사용자들에게 입장 알림
+    /**
+     * socket.to(room).emit() vs io.to(room).emit() 차이:
+     * 
+     * socket.to(room).emit():
+     * - 해당 룸에 있는 다른 클라이언트들에게만 전송 (자신 제외)
+     * - socket.broadcast.to(room).emit()와 동일
+     * 
+     * io.to(room).emit():
+     * - 해당 룸의 모든 클라이언트에게 전송 (자신 포함)
+     * 
+     * 여기서는 입장한 본인은 제외하고 다른 사람들에게만 알림
+     */
+    socket.to(data.room).emit('user joined', {
+      user: nickname,
+      message: `${nickname}님이 채팅방에 입장했습니다.`,
+      timestamp: new Date(),
+      type: 'system' // 시스템 메시지 타입
+    });
+
+    /**
+     * 클라이언트에게 입장 확인 응답
+     * 
+     * socket.emit() 분석:
+     * - 이 특정 클라이언트에게만 전송
+     * - 다른 클라이언트들은 받지 않음
+     * - 입장 성공을 해당 클라이언트에게만 알림
+     * (응답 콜백이 있으면 'join confirmed' 대신 콜백으로 같은 내용을 돌려줌)
+     */
+    const history = messageStore.getMessagePage(data.room);
+
+    emitRequestResult(socket, 'join confirmed', {
+      success: true,
+      room: getRoomPayload(room, socket.id),
+      // 최근 메시지 기록 - 입장 전 대화와 새로고침 이후에도 내용 유지
+      history: history.messages,
+      hasMoreHistory: history.hasMore, // 더 오래된 메시지 존재 여부 (무한 스크롤용)
+      user: nickname,
+      message: `${room.name} 채팅방에 성공적으로 입장했습니다.`,
+      timestamp: new Date()
+    }, ack);
+
+    // 입장하면서 받은 최근 메시지까지 읽음 처리
+    if (markRoomRead(room, socket.data.user, getLatestMessageId(room.id))) {
+      emitReadUpdate(room, socket.data.user);
+    }
+
+    // 방의 모든 사용자에게 최신 사용자 목록 전송
+    emitRoomUsers(data.room);
+
+    // 서버 로그: 현재 룸 상황
+    console.log(`현재 ${room.name} 룸의 클라이언트 수:`, room.users.length);
+    console.log(`전체 연결된 사용자 수: ${connectedUsers.size}`);
+
+    // 모든 클라이언트에게 업데이트된 채팅방 목록 전송
+    broadcastRoomsList();
+  });
+
+  // 순번을 받는 중인 메시지의 clientId (그 사이에 도착한 재전송을 두 번 저장하지 않도록)
+  const sendingClientIds = new Set();
+
+  /**
+   * 채팅 메시지 수신 및 브로드캐스트
+   * 
+   * 메시지 흐름:
+   * 1. 클라이언트가 socket.emit('chat message', data) 전송
+   * 2. 서버의 이 socket.on('chat message') 핸들러가 받음
+   * 3. 서버가 같은 룸의 모든 클라이언트에게 브로드캐스트
+   * 4. 클라이언트들이 socket.on('chat message') 핸들러로 받음
+   */
+  socket.on('chat message', async (msg, ack) => {
+    // 발신자는 클라이언트가 보낸 nickname가 아닌 세션에 등록된 닉네임 (사칭 방지)
+    const nickname = requireNickname('chat message', ack);
+    if (!nickname) return;
+
+    console.log(`\n--- 메시지 수신 ---`);
+    console.log(`발신자: ${nickname}`);
+    console.log(`룸: ${msg.room}`);
+    console.log(`메시지: ${msg.message}`);
+    console.log(`소켓 ID: ${socket.id}`);
+    console.log(`타임스탬프: ${new Date(msg.timestamp).toLocaleString()}`);
+
+    // 메시지 검증 (첨부 파일만 보내는 경우 내용은 비어 있어도 됨)
+    const attachmentIds = Array.isArray(msg.attachments) ? msg.attachments : [];
+    if ((!msg.message && attachmentIds.length === 0) || !msg.room) {
+      console.log('❌ 잘못된 메시지 데이터');
+      emitRequestError(socket, 'chat message', { message: '메시지 내용이 비어있습니다.', code: 'INVALID_MESSAGE' }, ack);
+      return;
+    }
+
+    // 채팅방 존재 여부 확인
+    const room = chatRooms.get(msg.room);
+    if (!room) {
+      emitRequestError(socket, 'chat message', { message: '존재하지 않는 채팅방입니다.', code: 'ROOM_NOT_FOUND' }, ack);
+      return;
+    }
+
+    // 사용자가 해당 방에 있는지 확인
+    const userInRoom = room.users.find(user => user.socketId === socket.id);
+    if (!userInRoom) {
+      emitRequestError(socket, 'chat message', { message: '채팅방에 입장하지 않은 상태입니다.', code: 'NOT_IN_ROOM' }, ack);
+      return;
+    }
+
+    /**
+     * 재전송 확인 (clientId)
+     * 
+     * 클라이언트는 메시지마다 고유한 clientId를 붙이고, 응답을 받지 못하면(시간 초과, 연결 끊김)
+     * 같은 clientId로 다시 보냅니다. 이미 저장된 메시지면 다시 저장/전송하지 않고 저장된 메시지로 응답합니다.
+     * (음소거, 슬로우 모드보다 먼저 확인해야 이미 보낸 메시지의 재전송이 거부되지 않음)
+     */
+    if (msg.clientId) {
+      // 순번을 받는 동안 같은 clientId로 다시 온 요청은 무시 (처음 요청이 끝나면 그쪽으로 응답)
+      if (sendingClientIds.has(msg.clientId)) return;
+
+      const duplicate = messageStore.findMessageByClientId(room.id, socket.data.user.id, msg.clientId);
+      if (duplicate) {
+        console.log(`♻️ 재전송된 메시지 (이미 저장됨): ${msg.clientId} → ${duplicate.id}`);
+        if (ack) {
+          ack({ ok: true, message: duplicate, duplicate: true });
+        }
+        return;
+      }
+    }
+
+    // 방장이 음소거한 사용자는 메시지 전송 불가
+    const mute = getActiveMute(room, userInRoom.nickname);
+    if (mute) {
+      console.log(`🔇 음소거된 사용자의 메시지 차단: ${userInRoom.nickname}`);
+      emitRequestError(socket, 'chat message', {
+        message: '방장에 의해 채팅이 금지된 상태입니다.',
+        code: 'USER_MUTED',
+        until: mute.until
+      }, ack);
+      return;
+    }
+
+    // 슬로우 모드 (방장, 부방장은 제외)
+    const slowModeKey = normalizeNickname(nickname);
+    if (room.slowMode > 0 && getUserRole(room, socket.id) === 'member') {
+      const retryAfter = (room.lastMessageAt[slowModeKey] || 0) + room.slowMode * 1000 - Date.now();
+      if (retryAfter > 0) {
+        emitRequestError(socket, 'chat message', {
+          message: `슬로우 모드: ${Math.ceil(retryAfter / 1000)}초 후에 보낼 수 있습니다.`,
+          code: 'SLOW_MODE',
+          retryAfter: retryAfter
+        }, ack);
+        return;
+      }
+    }
+
+    // 첨부 파일 확인 (본인이 올린 파일만 첨부 가능)
+    if (attachmentIds.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+      emitRequestError(socket, 'chat message', {
+        message: `파일은 한 번에 ${MAX_ATTACHMENTS_PER_MESSAGE}개까지 보낼 수 있습니다.`,
+        code: 'TOO_MANY_ATTACHMENTS'
+      }, ack);
+      return;
+    }
+
+    const attachments = attachmentIds.map(id => attachmentStore.getAttachment(id));
+    if (attachments.some(attachment => !attachment || attachment.uploadedBy !== socket.data.user.id)) {
+      emitRequestError(socket, 'chat message', {
+        message: '첨부 파일을 찾을 수 없습니다. 다시 올려주세요.',
+        code: 'ATTACHMENT_NOT_FOUND'
+      }, ack);
+      return;
+    }
+
+    // 답글이면 원본 메시지가 같은 방에 있는지 확인
+    let replyFields = { replyTo: null, threadRoot: null, replyPreview: null };
+    if (msg.replyTo) {
+      const original = messageStore.getMessage(room.id, msg.replyTo);
+      if (!original || original.type === 'system' || original.deleted) {
+        emitRequestError(socket, 'chat message', {
+          message: '답글을 달 메시지를 찾을 수 없습니다.',
+          code: 'REPLY_NOT_FOUND',
+          replyTo: msg.replyTo
+        }, ack);
+        return;
+      }
+
+      replyFields = getReplyFields(original);
+    }
+
+    // 멘션된 방 구성원 (클라이언트가 보낸 값은 쓰지 않음)
+    const mentionedUsers = findMentionedUsers(room, msg.message, socket.data.user);
+
+    // 메시지를 보냈으면 입력 중 표시 해제
+    // (슬로우 모드 시각은 순번을 받기 전에 기록해 그동안 보낸 다음 메시지도 제한)
+    stopTyping(socket.id);
+    room.lastMessageAt[slowModeKey] = Date.now();
+
+    // 순번은 모든 노드가 함께 쓰는 카운터에서 받음 (여러 노드에서 동시에 보내도 겹치지 않음)
+    let seq;
+    if (msg.clientId) {
+      sendingClientIds.add(msg.clientId);
+    }
+    try {
+      seq = await messageStore.reserveSequence(room.id);
+    } catch (error) {
+      console.error('❌ 메시지 순번 발급 실패:', error);
+      emitRequestError(socket, 'chat message', {
+        message: '메시지를 저장하지 못했습니다. 잠시 후에 다시 시도하세요.',
+        code: 'STORE_FAILED'
+      }, ack);
+      return;
+    } finally {
+      sendingClientIds.delete(msg.clientId);
+    }
+
+    // 메시지에 서버 타임스탬프와 고유 ID 추가
+    const messageWithId = {
+      ...msg,
+      user: nickname, // 서버에 등록된 닉네임으로 덮어씀
+      id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      seq: seq, // 방 안의 메시지 순번 (읽지 않은 수 계산용)
+      serverTimestamp: new Date(),
+      socketId: socket.id, // 발신자 소켓 ID 추가
+      userId: socket.data.user.id, // 발신자 계정 ID (수정/삭제 권한 확인용)
+      ...replyFields, // 답글 정보 (클라이언트가 보낸 값은 쓰지 않음)
+      message: msg.message || '',
+      attachments: attachments.map(attachmentStore.toMessageAttachment), // 첨부 파일 정보 (ID 대신 표시용 정보 저장)
+      mentions: mentionedUsers.map(user => user.username), // 멘션된 닉네임 (강조 표시용)
+      action: msg.action === true, // /me 행동 메시지 여부
+      isOwner: room.owner === socket.id, // 방장 여부 추가
+      isModerator: Boolean(userInRoom.isModerator) // 부방장 여부 추가
+    };
+
+    // 브로드캐스트 전에 저장소에 기록 (이후 입장하는 사용자에게 전달)
+    try {
+      messageStore.appendMessage(msg.room, messageWithId);
+      // 첨부 파일은 이 방에 입장한 사용자만 내려받을 수 있도록 기록
+      attachments.forEach(attachment => attachmentStore.addAttachmentRoom(attachment, room.id));
+    } catch (error) {
+      console.error('❌ 메시지 저장 실패:', error);
+    }
+
+    /**
+     * 룸 브로드캐스트
      * 
-     * 룸 시스템:
-     * - socket.join(room): 개별 클라이언트를 룸에 추가
-     * - io.to(room).emit(): 해당 룸의 모든 클라이언트에게 전송
-     * - socket.rooms: 해당 클라이언트가 속한 룸 목록
+     * io.to(room).emit() 분석:
+     * - 해당 룸에 속한 모든 클라이언트에게 전송 (발신자 포함)
+     * - socket.to(room).emit()은 발신자 제외
+     * - 여기서는 발신자도 메시지를 받아야 하므로 io.to() 사용
+     * 
+     * 브로드캐스트 방식 비교:
+     * 1. io.emit(): 서버의 모든 클라이언트에게
+     * 2. io.to(room).emit(): 특정 룸의 모든 클라이언트에게
+     * 3. socket.emit(): 해당 클라이언트에게만
+     * 4. socket.broadcast.emit(): 해당 클라이언트 제외 모든 클라이언트에게
+     * 5. socket.to(room).emit(): 해당 룸의 다른 클라이언트들에게 (자신 제외)
      */
-    socket.join(data.room);
-    console.log(`${data.user}님이 ${room.name} 채팅방에 입장했습니다.`);
-    console.log(`소켓이 속한 룸 목록:`, Array.from(socket.rooms));
+    io.to(msg.room).emit('chat message', messageWithId);
+
+    // 응답 콜백이 있으면 보낸 사람에게 저장된 메시지로 전송 완료 응답 (브로드캐스트와 별도)
+    // 클라이언트는 응답이나 브로드캐스트 중 먼저 온 것의 clientId로 "전송 중" 메시지를 바꿈
+    if (ack) {
+      ack({ ok: true, message: messageWithId });
+    }
+
+    // 링크가 있으면 미리보기를 가져와 따로 전송
+    attachLinkPreviews(room.id, messageWithId);
+
+    // 멘션된 사용자에게는 어디에 있든 알림 전송
+    emitMentions(room, messageWithId, mentionedUsers);
+
+    // 답글이면 스레드 첫 메시지의 답글 수 갱신
+    if (messageWithId.threadRoot) {
+      updateThreadReplyCount(room, messageWithId.threadRoot);
+    }
+
+    // 보낸 사람은 자기 메시지까지 읽은 것으로 처리하고, 방 밖의 사용자에게 읽지 않은 수 전송
+    markRoomRead(room, socket.data.user, messageWithId.id);
+    emitUnreadToAbsentReaders(room);
+
+    console.log(`✅ 메시지가 ${room.name} 룸의 모든 클라이언트에게 브로드캐스트됨`);
+    
+    // 해당 룸의 클라이언트 수 확인
+    const roomSize = room.users.length;
+    console.log(`브로드캐스트 대상: ${roomSize}명의 클라이언트`);
+  });
+
+  /**
+   * 방장 관리 기능 공통 검사
+   * 
+   * 관리 이벤트를 보낸 소켓이 해당 방의 방장(또는 허용된 경우 부방장)인지,
+   * 대상이 올바른지 확인합니다.
+   * 실패하면 'error' { event, code, action, target }으로 알리고 null을 반환합니다.
+   * (응답 콜백이 있으면 콜백으로 { ok: false, error })
+   * 
+   * 부방장 권한 (allowModerator = true인 동작만):
+   * - 일반 사용자 강퇴, 음소거/해제
+   * - 방장이나 다른 부방장은 대상으로 지정할 수 없음
+   * 
+   * @param {Object} data - { room, target }
+   * @param {string} action - 관리 동작 이름 (kick, ban, mute, unmute, transfer, moderator)
+   * @param {Object} [options] - 검사 옵션
+   * @param {boolean} [options.requireMember=true] - 대상이 방에 있어야 하는지 여부
+   * @param {boolean} [options.allowModerator=false] - 부방장도 사용할 수 있는지 여부
+   * @param {Function} [ack] - 요청의 응답 콜백
+   * @returns {Object|null} 채팅방 객체 또는 null
+   */
+  function checkModeration(data, action, { requireMember = true, allowModerator = false } = {}, ack) {
+    const fail = (error, code) => {
+      emitRequestError(socket, MODERATION_EVENTS[action], { action, error, code, target: data.target }, ack);
+      return null;
+    };
+
+    const room = chatRooms.get(data.room);
+    if (!room) {
+      return fail('존재하지 않는 채팅방입니다.', 'ROOM_NOT_FOUND');
+    }
+
+    const role = getUserRole(room, socket.id);
+    const isModerator = role === 'moderator';
+    if (role !== 'owner' && !(allowModerator && isModerator)) {
+      return fail(
+        allowModerator ? '방장 또는 부방장만 사용할 수 있는 기능입니다.' : '방장만 사용할 수 있는 기능입니다.',
+        'NOT_OWNER'
+      );
+    }
+
+    if (!data.target || typeof data.target !== 'string') {
+      return fail('대상 사용자를 지정해주세요.', 'INVALID_TARGET');
+    }
+
+    if (normalizeNickname(data.target) === normalizeNickname(room.ownerName)) {
+      return fail('방장 자신에게는 사용할 수 없습니다.', 'CANNOT_TARGET_OWNER');
+    }
+
+    const targets = findRoomMembers(room, data.target);
+    if (requireMember && targets.length === 0) {
+      return fail('채팅방에 없는 사용자입니다.', 'USER_NOT_FOUND');
+    }
+
+    // 부방장은 다른 부방장을 관리할 수 없음
+    if (isModerator && targets.some(target => target.isModerator)) {
+      return fail('부방장은 다른 부방장을 관리할 수 없습니다.', 'NOT_OWNER');
+    }
+
+    return room;
+  }
+
+  /**
+   * 관리 요청 성공 응답 (응답 콜백이 있을 때만)
+   * 
+   * 결과는 방 전체 알림으로 이미 전달되므로 콜백 없는 요청에는 따로 보내지 않습니다.
+   * 
+   * @param {Object} data - 요청 데이터 { room, target }
+   * @param {string} action - 관리 동작 이름
+   * @param {Function} [ack] - 요청의 응답 콜백
+   * @param {Object} [extra] - 추가 결과 (until, role 등)
+   */
+  function emitModerationResult(data, action, ack, extra = {}) {
+    emitRequestResult(socket, null, { action, room: data.room, target: data.target, ...extra }, ack);
+  }
+
+  /**
+   * 강퇴 이벤트 처리 (방장, 부방장)
+   * 
+   * 대상 사용자를 방에서 내보냅니다. 강퇴된 사용자는 다시 입장할 수 있습니다.
+   * 전송 데이터: { room, target(닉네임) }
+   * 응답 콜백(ack)이 있으면 { ok, action, room, target } / { ok: false, error } (다른 관리 요청도 같은 방식)
+   */
+  socket.on('kick user', (data = {}, ack) => {
+    console.log(`\n--- 강퇴 요청 ---`);
+    console.log(`채팅방 ID: ${data.room}, 대상: ${data.target}`);
+
+    const room = checkModeration(data, 'kick', { allowModerator: true }, ack);
+    if (!room) return;
+
+    const message = `${data.target}님이 강퇴되었습니다.`;
+
+    expelUser(data.room, data.target, 'kicked', {
+      room: { id: room.id, name: room.name },
+      by: connectedUsers.get(socket.id)?.username || room.ownerName,
+      message: `'${room.name}' 채팅방에서 강퇴되었습니다.`,
+      timestamp: new Date()
+    });
+
+    // 남은 사용자들에게 퇴장 알림
+    io.to(data.room).emit('user left', {
+      user: data.target,
+      message: message,
+      timestamp: new Date(),
+      type: 'system',
+      wasOwner: false,
+      reason: 'kicked'
+    });
+
+    console.log(`👢 ${message}`);
+    emitRoomUsers(data.room);
+    broadcastRoomsList();
+    emitModerationResult(data, 'kick', ack);
+  });
+
+  /**
+   * 차단 이벤트 처리 (방장 전용)
+   * 
+   * 대상 사용자를 방에서 내보내고 차단 목록에 추가합니다.
+   * 차단된 닉네임은 'join' 시 BANNED 코드로 거절됩니다.
+   * 방에 없는 사용자도 미리 차단할 수 있습니다.
+   */
+  socket.on('ban user', (data = {}, ack) => {
+    console.log(`\n--- 차단 요청 ---`);
+    console.log(`채팅방 ID: ${data.room}, 대상: ${data.target}`);
+
+    const room = checkModeration(data, 'ban', { requireMember: false }, ack);
+    if (!room) return;
+
+    if (!isBanned(room, data.target)) {
+      room.bannedUsers.push(data.target.trim());
+    }
+
+    const expelled = expelUser(data.room, data.target, 'banned', {
+      room: { id: room.id, name: room.name },
+      by: room.ownerName,
+      message: `'${room.name}' 채팅방에서 차단되었습니다. 다시 입장할 수 없습니다.`,
+      timestamp: new Date()
+    });
+
+    if (expelled > 0) {
+      io.to(data.room).emit('user left', {
+        user: data.target,
+        message: `${data.target}님이 방장에 의해 차단되었습니다.`,
+        timestamp: new Date(),
+        type: 'system',
+        wasOwner: false,
+        reason: 'banned'
+      });
+
+      emitRoomUsers(data.room);
+      broadcastRoomsList();
+    }
+
+    console.log(`🚫 차단 완료: ${data.target} (차단 목록 ${room.bannedUsers.length}명)`);
+    emitModerationResult(data, 'ban', ack);
+  });
+
+  /**
+   * 음소거 이벤트 처리 (방장, 부방장)
+   * 
+   * 대상 사용자의 메시지 전송을 일정 시간 막습니다.
+   * 전송 데이터: { room, target, duration(초, 선택 - 기본 5분, 0이면 무기한) }
+   */
+  socket.on('mute user', (data = {}, ack) => {
+    console.log(`\n--- 음소거 요청 ---`);
+    console.log(`채팅방 ID: ${data.room}, 대상: ${data.target}, 시간: ${data.duration}`);
+
+    const room = checkModeration(data, 'mute', { allowModerator: true }, ack);
+    if (!room) return;
+
+    const duration = data.duration === undefined ? DEFAULT_MUTE_SECONDS : Number(data.duration);
+    if (!Number.isFinite(duration) || duration < 0 || duration > MAX_MUTE_SECONDS) {
+      emitRequestError(socket, 'mute user', {
+        action: 'mute',
+        error: '음소거 시간이 올바르지 않습니다.',
+        code: 'INVALID_DURATION',
+        target: data.target
+      }, ack);
+      return;
+    }
+
+    const until = duration > 0 ? new Date(Date.now() + duration * 1000) : null;
+
+    // 기존 음소거가 있으면 새 기간으로 교체
+    room.mutedUsers = room.mutedUsers.filter(mute => normalizeNickname(mute.nickname) !== normalizeNickname(data.target));
+    room.mutedUsers.push({ nickname: data.target.trim(), until });
+
+    // 당사자에게 음소거 알림
+    findRoomMembers(room, data.target).forEach(target => {
+      io.to(target.socketId).emit('muted', {
+        room: { id: room.id, name: room.name },
+        by: room.ownerName,
+        until: until,
+        message: until
+          ? `방장에 의해 ${Math.ceil(duration / 60)}분 동안 채팅이 금지되었습니다.`
+          : '방장에 의해 채팅이 금지되었습니다.',
+        timestamp: new Date()
+      });
+    });
+
+    // 방 전체에 시스템 알림
+    io.to(data.room).emit('user muted', {
+      user: data.target,
+      until: until,
+      message: `${data.target}님의 채팅이 금지되었습니다.`,
+      timestamp: new Date(),
+      type: 'system'
+    });
+
+    console.log(`🔇 음소거: ${data.target} (${until ? until.toLocaleString() : '무기한'})`);
+    emitRoomUsers(data.room);
+    emitModerationResult(data, 'mute', ack, { until });
+  });
+
+  /**
+   * 음소거 해제 이벤트 처리 (방장, 부방장)
+   */
+  socket.on('unmute user', (data = {}, ack) => {
+    console.log(`\n--- 음소거 해제 요청 ---`);
+    console.log(`채팅방 ID: ${data.room}, 대상: ${data.target}`);
+
+    const room = checkModeration(data, 'unmute', { allowModerator: true }, ack);
+    if (!room) return;
+
+    room.mutedUsers = room.mutedUsers.filter(mute => normalizeNickname(mute.nickname) !== normalizeNickname(data.target));
+
+    findRoomMembers(room, data.target).forEach(target => {
+      io.to(target.socketId).emit('unmuted', {
+        room: { id: room.id, name: room.name },
+        message: '채팅 금지가 해제되었습니다.',
+        timestamp: new Date()
+      });
+    });
+
+    io.to(data.room).emit('user unmuted', {
+      user: data.target,
+      message: `${data.target}님의 채팅 금지가 해제되었습니다.`,
+      timestamp: new Date(),
+      type: 'system'
+    });
+
+    console.log(`🔊 음소거 해제: ${data.target}`);
+    emitRoomUsers(data.room);
+    emitModerationResult(data, 'unmute', ack);
+  });
+
+  /**
+   * 방장 위임 이벤트 처리 (방장 전용)
+   * 
+   * 방장이 직접 지정한 사용자에게 방장 권한을 넘깁니다.
+   * 이전 방장은 일반 사용자로 방에 남습니다.
+   * 전송 데이터: { room, target(닉네임) }
+   */
+  socket.on('transfer ownership', (data = {}, ack) => {
+    console.log(`\n--- 방장 위임 요청 ---`);
+    console.log(`채팅방 ID: ${data.room}, 대상: ${data.target}`);
+
+    const room = checkModeration(data, 'transfer', {}, ack);
+    if (!room) return;
+
+    const target = findRoomMembers(room, data.target)[0];
+    const newOwner = transferOwnership(data.room, target.socketId);
+    if (!newOwner) {
+      emitRequestError(socket, 'transfer ownership', {
+        action: 'transfer',
+        error: '채팅방에 없는 사용자입니다.',
+        code: 'USER_NOT_FOUND',
+        target: data.target
+      }, ack);
+      return;
+    }
+
+    announceOwnershipTransfer(data.room, newOwner);
+    emitRoomUsers(data.room);
+    broadcastRoomsList();
+    emitModerationResult(data, 'transfer', ack);
+  });
+
+  /**
+   * 부방장 지정/해제 이벤트 처리 (방장 전용)
+   * 
+   * 전송 데이터: { room, target(닉네임), isModerator(boolean) }
+   * 대상에게는 'role changed', 방 전체에는 'role updated' 알림을 보냅니다.
+   */
+  socket.on('set moderator', (data = {}, ack) => {
+    console.log(`\n--- 부방장 설정 요청 ---`);
+    console.log(`채팅방 ID: ${data.room}, 대상: ${data.target}, 부방장: ${data.isModerator}`);
+
+    const room = checkModeration(data, 'moderator', {}, ack);
+    if (!room) return;
+
+    const isModerator = Boolean(data.isModerator);
+    const role = isModerator ? 'moderator' : 'member';
+
+    findRoomMembers(room, data.target).forEach(target => {
+      target.isModerator = isModerator;
+
+      io.to(target.socketId).emit('role changed', {
+        room: { id: room.id, name: room.name },
+        role: role,
+        message: isModerator ? '부방장으로 지정되었습니다.' : '부방장 권한이 해제되었습니다.',
+        timestamp: new Date()
+      });
+    });
+
+    io.to(data.room).emit('role updated', {
+      user: data.target,
+      role: role,
+      message: isModerator
+        ? `${data.target}님이 부방장으로 지정되었습니다.`
+        : `${data.target}님의 부방장 권한이 해제되었습니다.`,
+      timestamp: new Date(),
+      type: 'system'
+    });
+
+    console.log(`🛡️ 역할 변경: ${data.target} → ${role}`);
+    emitRoomUsers(data.room);
+    emitModerationResult(data, 'moderator', ack, { role });
+  });
+
+  /**
+   * 방 설정 변경 (방장 전용)
+   * 
+   * 전송 데이터: { room, settings: { name, topic, description, maxUsers, slowMode } }
+   * 바꿀 항목만 보내면 되며, 실패하면 'error' { event: 'update room', code, message, room }으로 응답합니다.
+   * 응답 콜백(ack)이 있으면 { ok, room, settings(바뀐 항목) } / { ok: false, error }
+   */
+  socket.on('update room', (data = {}, ack) => {
+    const fail = (error, code) => {
+      emitRequestError(socket, 'update room', { error, code, room: data.room }, ack);
+    };
+
+    const room = chatRooms.get(data.room);
+    if (!room) {
+      fail('존재하지 않는 채팅방입니다.', 'ROOM_NOT_FOUND');
+      return;
+    }
+
+    if (getUserRole(room, socket.id) !== 'owner') {
+      fail('방장만 방 설정을 바꿀 수 있습니다.', 'NOT_OWNER');
+      return;
+    }
+
+    const result = validateRoomSettings(room, data.settings || {});
+    if (result.error) {
+      fail(result.error, result.code);
+      return;
+    }
+
+    updateRoomSettings(room, result.changes, socket.data.user);
+    emitRequestResult(socket, null, { room: data.room, settings: result.changes }, ack);
+  });
+
+  /**
+   * 슬래시 명령어 실행
+   * 
+   * 클라이언트가 입력창의 '/명령어 인자'를 해석해 보냅니다.
+   * 전송 데이터: { room, command, args(문자열) }
+   * 결과는 보낸 사람에게만 'command result' { room, command, message } 또는
+   * 'error' { event: 'command', code, message, room, command }로 응답합니다.
+   * 권한 확인(방장/부방장)과 실행은 commands.js 레지스트리가 담당합니다.
+   * 
+   * 응답 콜백(ack)이 있으면 한 번만 응답합니다.
+   * - 결과 문장이 있는 명령어: { ok, room, command, message }
+   * - 다른 요청을 실행하는 명령어(/me, /kick 등): 그 요청의 응답 ({ ok, message }, { ok, action, ... })
+   * - 그 밖의 명령어(/topic 변경 등): { ok, room, command }
+   */
+  socket.on('command', (data = {}, ack) => {
+    const name = data.command.toLowerCase();
+
+    let answered = false;
+    let dispatched = false;
+    const respond = typeof ack === 'function'
+      ? (response) => {
+        if (answered) return;
+        answered = true;
+        ack(response);
+      }
+      : undefined;
+
+    const fail = (error, code) => {
+      emitRequestError(socket, 'command', { room: data.room, command: name, error, code }, respond);
+    };
+
+    const room = chatRooms.get(data.room);
+    if (!room || !room.users.some(user => user.socketId === socket.id)) {
+      fail('채팅방에 입장하지 않은 상태입니다.', 'NOT_IN_ROOM');
+      return;
+    }
+
+    console.log(`⌨️ 명령어: /${name} ${data.args || ''} (${socket.data.user.username}, ${room.name})`);
+
+    const context = {
+      room: room,
+      user: socket.data.user,
+      role: getUserRole(room, socket.id),
+      reply: (message) => {
+        emitRequestResult(socket, 'command result', { room: room.id, command: name, message, timestamp: new Date() }, respond);
+      },
+      // 기존 이벤트 처리를 그대로 실행 (같은 속도 제한, 스키마 검사, 실패 알림 사용)
+      dispatch: (eventName, payload) => {
+        dispatched = true;
+        dispatchInbound(eventName, payload, respond);
+      },
+      // 방 설정 변경 ('update room'과 같은 검사, 실패 시 { error, code } 반환)
+      updateSettings: (settings) => {
+        const result = validateRoomSettings(room, settings);
+        if (result.error) return result;
+        updateRoomSettings(room, result.changes, socket.data.user);
+        return null;
+      }
+    };
+
+    const failure = commands.executeCommand(context, name, data.args || '');
+    if (failure) {
+      fail(failure.error, failure.code);
+      return;
+    }
+
+    // 다른 요청을 실행했으면 그 요청이 응답 (메시지 전송처럼 나중에 끝나는 요청도 있으므로)
+    if (!dispatched) {
+      emitRequestResult(socket, null, { room: room.id, command: name }, respond);
+    }
+  });
+
+  /**
+   * 메시지 수정/삭제/반응/스레드 요청 실패 응답
+   * 
+   * @param {Object} data - 요청 데이터 { messageId }
+   * @param {string} action - 'edit' | 'delete' | 'react' | 'thread'
+   * @param {string} error - 오류 메시지
+   * @param {string} code - 오류 코드
+   * @param {Function} [ack] - 요청의 응답 콜백
+   */
+  function emitMessageUpdateFailed(data, action, error, code, ack) {
+    emitRequestError(socket, MESSAGE_ACTION_EVENTS[action], { error, code, messageId: data.messageId, action }, ack);
+  }
+
+  /**
+   * 요청 대상 메시지 확인 (수정, 삭제, 반응, 스레드 조회 공통)
+   * 
+   * 조건:
+   * - 채팅방에 입장한 상태
+   * - 존재하고 삭제되지 않은 사용자 메시지 (스레드 조회는 삭제된 메시지도 허용)
+   * 
+   * 실패하면 'error' { event, code, message, messageId, action }을 보내고 null을 반환합니다.
+   * 
+   * @param {Object} data - { room, messageId }
+   * @param {string} action - 'edit' | 'delete' | 'react' | 'thread'
+   * @param {Function} [ack] - 요청의 응답 콜백
+   * @returns {Object|null} { room, message }
+   */
+  function findRoomMessage(data, action, ack) {
+    const room = chatRooms.get(data.room);
+    if (!room || !room.users.some(user => user.socketId === socket.id)) {
+      emitMessageUpdateFailed(data, action, '채팅방에 입장하지 않은 상태입니다.', 'NOT_IN_ROOM', ack);
+      return null;
+    }
+
+    const message = messageStore.getMessage(room.id, data.messageId);
+    if (!message || message.type === 'system') {
+      emitMessageUpdateFailed(data, action, '존재하지 않는 메시지입니다.', 'MESSAGE_NOT_FOUND', ack);
+      return null;
+    }
+
+    // 삭제된 메시지도 스레드는 볼 수 있음
+    if (message.deleted && action !== 'thread') {
+      emitMessageUpdateFailed(data, action, '이미 삭제된 메시지입니다.', 'MESSAGE_DELETED', ack);
+      return null;
+    }
+
+    return { room, message };
+  }
+
+  /**
+   * 수정/삭제할 메시지 확인
+   * 
+   * findRoomMessage 조건에 더해 작성자 본인(같은 소켓 또는 같은 계정)이어야 합니다.
+   * 삭제는 방장도 가능합니다. (수정은 작성자만)
+   * 
+   * @param {Object} data - { room, messageId }
+   * @param {string} action - 'edit' | 'delete'
+   * @param {Function} [ack] - 요청의 응답 콜백
+   * @returns {Object|null} { room, message }
+   */
+  function findEditableMessage(data, action, ack) {
+    const target = findRoomMessage(data, action, ack);
+    if (!target) return null;
+
+    const isAuthor = target.message.socketId === socket.id || target.message.userId === socket.data.user.id;
+    const isRoomOwner = target.room.owner === socket.id;
+    if (!isAuthor && !(action === 'delete' && isRoomOwner)) {
+      emitMessageUpdateFailed(data, action, '자신이 보낸 메시지만 수정하거나 삭제할 수 있습니다.', 'NOT_MESSAGE_OWNER', ack);
+      return null;
+    }
+
+    return target;
+  }
+
+  /**
+   * 메시지 수정
+   * 
+   * 수정 시각(editedAt)을 기록하고 방 전체에 'message edited' { room, message }를 보냅니다.
+   * 클라이언트는 같은 ID의 메시지를 제자리에서 바꾸고 "(수정됨)"으로 표시합니다.
+   * 응답 콜백(ack)이 있으면 { ok, room, message } / { ok: false, error }
+   * (삭제, 반응, 스레드, 읽음, DM 요청도 같은 방식)
+   */
+  socket.on('edit message', (data = {}, ack) => {
+    // 빈 내용과 길이는 스키마에서 검사 (앞뒤 공백 제거된 값)
+    const text = data.message;
+
+    const target = findEditableMessage(data, 'edit', ack);
+    if (!target) return;
+
+    // 내용이 같으면 수정 표시 없이 무시
+    if (target.message.message === text) {
+      emitRequestResult(socket, null, { room: target.room.id, message: target.message }, ack);
+      return;
+    }
+
+    // 수정으로 새로 멘션된 사용자에게만 알림 (이미 알림을 받은 사용자는 제외)
+    const previousMentions = target.message.mentions || [];
+    const mentionedUsers = findMentionedUsers(target.room, text, socket.data.user);
+    const newlyMentioned = mentionedUsers.filter(user => !previousMentions.includes(user.username));
+
+    const edited = messageStore.updateMessage(target.room.id, target.message.id, {
+      message: text,
+      mentions: mentionedUsers.map(user => user.username),
+      linkPreviews: [], // 바뀐 내용의 링크로 다시 가져옴
+      editedAt: new Date()
+    });
 
-    // 해당 룸의 다른 사용자들에게 입장 알림
-    /**
-     * socket.to(room).emit() vs io.to(room).emit() 차이:
-     * 
-     * socket.to(room).emit():
-     * - 해당 룸에 있는 다른 클라이언트들에게만 전송 (자신 제외)
-     * - socket.broadcast.to(room).emit()와 동일
-     * 
-     * io.to(room).emit():
-     * - 해당 룸의 모든 클라이언트에게 전송 (자신 포함)
-     * 
-     * 여기서는 입장한 본인은 제외하고 다른 사람들에게만 알림
-     */
-    socket.to(data.room).emit('user joined', {
-      user: data.user,
-      message: `${data.user}님이 채팅방에 입장했습니다.`,
-      timestamp: new Date(),
-      type: 'system' // 시스템 메시지 타입
+    console.log(`✏️ 메시지 수정: ${edited.user} (${target.room.name})`);
+
+    io.to(target.room.id).emit('message edited', {
+      room: target.room.id,
+      message: edited
     });
+    emitRequestResult(socket, null, { room: target.room.id, message: edited }, ack);
 
-    /**
-     * 클라이언트에게 입장 확인 응답
-     * 
-     * socket.emit() 분석:
-     * - 이 특정 클라이언트에게만 전송
-     * - 다른 클라이언트들은 받지 않음
-     * - 입장 성공을 해당 클라이언트에게만 알림
-     */
-    socket.emit('join confirmed', {
-      success: true,
-      room: {
-        id: data.room,
-        name: room.name,
-        owner: room.ownerName,
-        isOwner: room.owner === socket.id,
-        userCount: room.users.length,
-        users: room.users.map(user => ({
-          nickname: user.nickname,
-          isOwner: user.isOwner,
-          joinedAt: user.joinedAt
-        }))
-      },
-      user: data.user,
-      message: `${room.name} 채팅방에 성공적으로 입장했습니다.`,
-      timestamp: new Date()
+    attachLinkPreviews(target.room.id, edited);
+    emitMentions(target.room, edited, newlyMentioned);
+  });
+
+  /**
+   * 메시지 삭제
+   * 
+   * 기록에서 지우지 않고 내용을 비운 삭제 표시(tombstone)로 바꿉니다.
+   * (읽음 위치, 읽지 않은 수 계산에 쓰이는 메시지 순서를 유지하기 위함)
+   * 방 전체에 'message deleted' { room, message }를 보냅니다.
+   */
+  socket.on('delete message', (data = {}, ack) => {
+    const target = findEditableMessage(data, 'delete', ack);
+    if (!target) return;
+
+    const deleted = messageStore.updateMessage(target.room.id, target.message.id, {
+      message: '',
+      reactions: {}, // 삭제된 메시지의 반응도 함께 제거
+      attachments: [],
+      linkPreviews: [],
+      mentions: [],
+      deleted: true,
+      deletedAt: new Date(),
+      deletedBy: socket.data.user.username
     });
 
-    // 서버 로그: 현재 룸 상황
-    console.log(`현재 ${room.name} 룸의 클라이언트 수:`, room.users.length);
-    console.log(`전체 연결된 사용자 수: ${connectedUsers.size}`);
+    console.log(`🗑️ 메시지 삭제: ${deleted.user} (${target.room.name}, 삭제: ${deleted.deletedBy})`);
 
-    // 모든 클라이언트에게 업데이트된 채팅방 목록 전송
-    broadcastRoomsList();
+    io.to(target.room.id).emit('message deleted', {
+      room: target.room.id,
+      message: deleted
+    });
+    emitRequestResult(socket, null, { room: target.room.id, message: deleted }, ack);
   });
 
   /**
-   * 채팅 메시지 수신 및 브로드캐스트
+   * 스레드 조회 (스레드 패널용)
    * 
-   * 메시지 흐름:
-   * 1. 클라이언트가 socket.emit('chat message', data) 전송
-   * 2. 서버의 이 socket.on('chat message') 핸들러가 받음
-   * 3. 서버가 같은 룸의 모든 클라이언트에게 브로드캐스트
-   * 4. 클라이언트들이 socket.on('chat message') 핸들러로 받음
+   * 첫 메시지와 모든 답글을 보냅니다. (답글의 답글 포함)
+   * 전송: 'thread messages' { room, root, replies }
    */
-  socket.on('chat message', (msg) => {
-    console.log(`\n--- 메시지 수신 ---`);
-    console.log(`발신자: ${msg.user}`);
-    console.log(`룸: ${msg.room}`);
-    console.log(`메시지: ${msg.message}`);
-    console.log(`소켓 ID: ${socket.id}`);
-    console.log(`타임스탬프: ${new Date(msg.timestamp).toLocaleString()}`);
+  socket.on('load thread', (data = {}, ack) => {
+    const target = findRoomMessage({ room: data.room, messageId: data.rootId }, 'thread', ack);
+    if (!target) return;
+
+    // 답글을 눌러 열어도 스레드 첫 메시지 기준으로 보여줌
+    const rootId = target.message.threadRoot || target.message.id;
+    const root = messageStore.getMessage(target.room.id, rootId) || target.message;
+
+    emitRequestResult(socket, 'thread messages', {
+      room: target.room.id,
+      root: root,
+      replies: messageStore.getThreadReplies(target.room.id, root.id)
+    }, ack);
+  });
 
-    // 메시지 검증
-    if (!msg.user || !msg.message || !msg.room) {
-      console.log('❌ 잘못된 메시지 데이터');
-      socket.emit('error', { message: '메시지 데이터가 올바르지 않습니다.' });
+  /**
+   * 첨부 파일 다운로드 토큰 발급
+   * 
+   * <img src>는 Authorization 헤더를 붙일 수 없으므로 주소에 넣을 짧은 토큰을 발급합니다.
+   * 토큰은 이 방의 첨부 파일에만 쓸 수 있고, 방을 나가면 만료 전이라도 거부됩니다.
+   * 응답: { room, token, expiresAt } (ack 전용)
+   */
+  socket.on('attachment access', (data = {}, ack) => {
+    const room = chatRooms.get(data.room);
+    if (!room) {
+      emitRequestError(socket, 'attachment access', {
+        error: '존재하지 않는 채팅방입니다.',
+        code: 'ROOM_NOT_FOUND',
+        room: data.room
+      }, ack);
       return;
     }
 
-    // 채팅방 존재 여부 확인
-    const room = chatRooms.get(msg.room);
+    if (!room.users.some(user => user.socketId === socket.id)) {
+      emitRequestError(socket, 'attachment access', {
+        error: '채팅방에 입장하지 않은 상태입니다.',
+        code: 'NOT_IN_ROOM',
+        room: room.id
+      }, ack);
+      return;
+    }
+
+    const access = issueScopedToken('attachments', socket.data.user, { room: room.id }, ATTACHMENT_ACCESS_TTL_SECONDS);
+    emitRequestResult(socket, null, { room: room.id, ...access }, ack);
+  });
+
+  /**
+   * 메시지 반응 토글
+   * 
+   * 같은 이모지를 다시 누르면 반응을 취소합니다.
+   * 메시지에는 이모지별 반응한 사용자 목록을 저장하고 (개수 = 목록 길이),
+   * 방 전체에는 바뀐 부분만 보냅니다.
+   * 
+   * 전송: 'reaction updated' { room, messageId, emoji, user, added, count }
+   * 실패: 'error' { event: 'toggle reaction', code, message, messageId, action: 'react' }
+   */
+  socket.on('toggle reaction', (data = {}, ack) => {
+    if (!REACTION_EMOJIS.includes(data.emoji)) {
+      emitMessageUpdateFailed(data, 'react', '사용할 수 없는 반응입니다.', 'INVALID_REACTION', ack);
+      return;
+    }
+
+    const target = findRoomMessage(data, 'react', ack);
+    if (!target) return;
+
+    const username = socket.data.user.username;
+    const reactions = { ...(target.message.reactions || {}) };
+    const reactors = reactions[data.emoji] || [];
+    const added = !reactors.includes(username);
+
+    if (added) {
+      reactions[data.emoji] = [...reactors, username];
+    } else if (reactors.length > 1) {
+      reactions[data.emoji] = reactors.filter(name => name !== username);
+    } else {
+      delete reactions[data.emoji];
+    }
+
+    messageStore.updateMessage(target.room.id, target.message.id, { reactions });
+
+    const update = {
+      room: target.room.id,
+      messageId: target.message.id,
+      emoji: data.emoji,
+      user: username,
+      added: added,
+      count: (reactions[data.emoji] || []).length
+    };
+    io.to(target.room.id).emit('reaction updated', update);
+    emitRequestResult(socket, null, update, ack);
+  });
+
+  /**
+   * 읽음 처리
+   * 
+   * 클라이언트가 화면에 표시한 마지막 메시지 ID를 보내면 읽음 위치를 옮기고
+   * 방 전체에 'read updated' { room, user, messageId }를 보냅니다.
+   * (각 메시지의 "읽음 N" 표시용)
+   * 
+   * 화면을 볼 때마다 보내는 요청이라 실패는 'error'로 알리지 않고 무시합니다.
+   * 응답 콜백(ack)이 있으면 { ok, room, messageId, updated } / { ok: false, error }
+   * (updated: 읽음 위치가 앞으로 옮겨졌는지 여부)
+   */
+  socket.on('mark read', (data = {}, ack) => {
+    const fail = (error, code) => {
+      if (typeof ack === 'function') {
+        emitRequestError(socket, 'mark read', { error, code, room: data.room, messageId: data.messageId }, ack);
+      }
+    };
+
+    const room = chatRooms.get(data.room);
     if (!room) {
-      socket.emit('error', { message: '존재하지 않는 채팅방입니다.' });
+      fail('존재하지 않는 채팅방입니다.', 'ROOM_NOT_FOUND');
       return;
     }
 
-    // 사용자가 해당 방에 있는지 확인
     const userInRoom = room.users.find(user => user.socketId === socket.id);
     if (!userInRoom) {
-      socket.emit('error', { message: '채팅방에 입장하지 않은 상태입니다.' });
+      fail('채팅방에 입장하지 않은 상태입니다.', 'NOT_IN_ROOM');
       return;
     }
 
-    // 메시지에 서버 타임스탬프와 고유 ID 추가
-    const messageWithId = {
-      ...msg,
-      id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      serverTimestamp: new Date(),
-      socketId: socket.id, // 발신자 소켓 ID 추가
-      isOwner: room.owner === socket.id // 방장 여부 추가
-    };
+    // 이 방에 없는 메시지 ID는 무시
+    if (!messageStore.getMessage(room.id, data.messageId)) {
+      fail('존재하지 않는 메시지입니다.', 'MESSAGE_NOT_FOUND');
+      return;
+    }
 
-    /**
-     * 룸 브로드캐스트
-     * 
-     * io.to(room).emit() 분석:
-     * - 해당 룸에 속한 모든 클라이언트에게 전송 (발신자 포함)
-     * - socket.to(room).emit()은 발신자 제외
-     * - 여기서는 발신자도 메시지를 받아야 하므로 io.to() 사용
-     * 
-     * 브로드캐스트 방식 비교:
-     * 1. io.emit(): 서버의 모든 클라이언트에게
-     * 2. io.to(room).emit(): 특정 룸의 모든 클라이언트에게
-     * 3. socket.emit(): 해당 클라이언트에게만
-     * 4. socket.broadcast.emit(): 해당 클라이언트 제외 모든 클라이언트에게
-     * 5. socket.to(room).emit(): 해당 룸의 다른 클라이언트들에게 (자신 제외)
-     */
-    io.to(msg.room).emit('chat message', messageWithId);
+    const updated = markRoomRead(room, socket.data.user, data.messageId);
+    if (updated) {
+      emitReadUpdate(room, socket.data.user);
+    }
+    emitRequestResult(socket, null, { room: room.id, messageId: data.messageId, updated }, ack);
+  });
 
-    console.log(`✅ 메시지가 ${room.name} 룸의 모든 클라이언트에게 브로드캐스트됨`);
-    
-    // 해당 룸의 클라이언트 수 확인
-    const roomSize = room.users.length;
-    console.log(`브로드캐스트 대상: ${roomSize}명의 클라이언트`);
+  /**
+   * 입력 중 표시 시작 (입력할 때마다 보내도 서버가 스로틀)
+   * 같은 방의 다른 사용자에게 'typing start' { user, room, expiresIn }로 중계합니다.
+   * 음소거 중이거나 방에 입장하지 않은 경우 무시합니다.
+   */
+  socket.on('typing start', (data = {}) => {
+    const currentUser = connectedUsers.get(socket.id);
+    const room = chatRooms.get(data.room);
+    if (!currentUser || !room || currentUser.room !== data.room) return;
+
+    if (getActiveMute(room, currentUser.username)) return;
+
+    startTyping(socket, data.room, currentUser.username);
+  });
+
+  /**
+   * 입력 중 표시 종료 (입력창을 비웠거나 일정 시간 입력이 없는 경우)
+   */
+  socket.on('typing stop', () => {
+    stopTyping(socket.id);
+  });
+
+  /**
+   * 이전 메시지 페이지 요청 처리
+   *
+   * 채팅방 화면에서 위로 스크롤할 때 더 오래된 메시지를 불러옵니다.
+   * 전송 데이터: { room, before(메시지 ID) 또는 beforeTimestamp, limit }
+   * 응답: 'older messages' { room, messages, hasMore }
+   *       (응답 콜백(ack)이 있으면 { ok, room, messages, hasMore } / { ok: false, error })
+   */
+  socket.on('load older messages', (data = {}, ack) => {
+    console.log(`\n--- 이전 메시지 요청 ---`);
+    console.log(`채팅방 ID: ${data.room}`);
+    console.log(`기준: ${data.before || data.beforeTimestamp || '최신'}`);
+
+    const room = chatRooms.get(data.room);
+    if (!room) {
+      emitRequestError(socket, 'load older messages', { message: '존재하지 않는 채팅방입니다.', code: 'ROOM_NOT_FOUND' }, ack);
+      return;
+    }
+
+    // 입장한 사용자만 기록 조회 가능
+    const userInRoom = room.users.find(user => user.socketId === socket.id);
+    if (!userInRoom) {
+      emitRequestError(socket, 'load older messages', { message: '채팅방에 입장하지 않은 상태입니다.', code: 'NOT_IN_ROOM' }, ack);
+      return;
+    }
+
+    const page = messageStore.getMessagePage(data.room, {
+      before: data.before,
+      beforeTimestamp: data.beforeTimestamp,
+      limit: data.limit
+    });
+
+    emitRequestResult(socket, 'older messages', {
+      room: data.room,
+      messages: page.messages,
+      hasMore: page.hasMore,
+      timestamp: new Date()
+    }, ack);
+
+    console.log(`✅ 이전 메시지 ${page.messages.length}개 전송 (추가 페이지: ${page.hasMore ? '있음' : '없음'})`);
   });
 
   /**
    * 채팅방 나가기 이벤트 처리
    */
-  socket.on('leave', (data) => {
+  socket.on('leave', (data, ack) => {
+    const nickname = requireNickname('leave', ack);
+    if (!nickname) return;
+
     console.log(`\n--- 채팅방 나가기 요청 ---`);
-    console.log(`사용자: ${data.user}`);
+    console.log(`사용자: ${nickname}`);
     console.log(`채팅방 ID: ${data.room}`);
     console.log(`소켓 ID: ${socket.id}`);
 
     const room = chatRooms.get(data.room);
     if (!room) {
-      socket.emit('leave failed', {
+      emitRequestError(socket, 'leave', {
         error: '존재하지 않는 채팅방입니다.',
         code: 'ROOM_NOT_FOUND'
-      });
+      }, ack);
       return;
     }
 
@@ -493,7 +2747,7 @@ io.on('connection', (socket) => {
      * - 클라이언트에서는 사용 불가 (서버에서만 가능)
      */
     socket.leave(data.room);
-    console.log(`${data.user}님이 ${room.name} 채팅방에서 나갔습니다.`);
+    console.log(`${nickname}님이 ${room.name} 채팅방에서 나갔습니다.`);
 
     // 방 사용자 목록에서 제거
     removeUserFromRoom(data.room, socket.id);
@@ -501,8 +2755,8 @@ io.on('connection', (socket) => {
     // 해당 룸의 다른 사용자들에게 퇴장 알림
     // socket.to()를 사용하여 나간 본인은 제외
     socket.to(data.room).emit('user left', {
-      user: data.user,
-      message: `${data.user}님이 채팅방을 나갔습니다.`,
+      user: nickname,
+      message: `${nickname}님이 채팅방을 나갔습니다.`,
       timestamp: new Date(),
       type: 'system',
       wasOwner: wasOwner
@@ -515,7 +2769,7 @@ io.on('connection', (socket) => {
      * 방장이 나간 경우 처리
      */
     if (wasOwner) {
-      console.log(`👑 방장이 나감: ${data.user}`);
+      console.log(`👑 방장이 나감: ${nickname}`);
       
       if (room.users.length > 0) {
         // 다른 사용자가 있으면 권한 위임
@@ -523,33 +2777,7 @@ io.on('connection', (socket) => {
         
         if (newOwner) {
           console.log(`👑 새로운 방장: ${newOwner.nickname}`);
-          
-          // 새 방장에게 권한 부여 알림
-          const newOwnerSocket = io.sockets.sockets.get(newOwner.socketId);
-          if (newOwnerSocket) {
-            newOwnerSocket.emit('ownership transferred', {
-              message: '당신이 새로운 방장이 되었습니다.',
-              room: {
-                id: data.room,
-                name: room.name
-              },
-              timestamp: new Date()
-            });
-            
-            // 사용자 정보 업데이트
-            const userData = connectedUsers.get(newOwner.socketId);
-            if (userData) {
-              userData.isOwner = true;
-            }
-          }
-          
-          // 방의 모든 사용자에게 방장 변경 알림
-          io.to(data.room).emit('owner changed', {
-            newOwner: newOwner.nickname,
-            message: `${newOwner.nickname}님이 새로운 방장이 되었습니다.`,
-            timestamp: new Date(),
-            type: 'system'
-          });
+          announceOwnershipTransfer(data.room, newOwner);
         }
       } else {
         // 아무도 없으면 방 삭제
@@ -559,37 +2787,268 @@ io.on('connection', (socket) => {
       }
     }
 
-    // 나간 클라이언트에게 확인 응답
-    socket.emit('leave confirmed', {
-      success: true,
-      room: {
-        id: data.room,
-        name: room.name
-      },
-      user: data.user,
-      message: `${room.name} 채팅방에서 나갔습니다.`,
-      roomDeleted: roomDeleted,
-      newOwner: newOwner ? newOwner.nickname : null,
-      timestamp: new Date()
+    // 나간 클라이언트에게 확인 응답 (응답 콜백이 있으면 콜백으로)
+    emitRequestResult(socket, 'leave confirmed', {
+      success: true,
+      room: {
+        id: data.room,
+        name: room.name
+      },
+      user: nickname,
+      message: `${room.name} 채팅방에서 나갔습니다.`,
+      roomDeleted: roomDeleted,
+      newOwner: newOwner ? newOwner.nickname : null,
+      timestamp: new Date()
+    }, ack);
+
+    // 사용자 정보에서 방 제거
+    connectedUsers.delete(socket.id);
+
+    console.log(`현재 ${room.name} 룸의 클라이언트 수:`, room.users.length);
+
+    // 남은 사용자들에게 최신 사용자 목록 전송
+    emitRoomUsers(data.room);
+
+    // 모든 클라이언트에게 업데이트된 채팅방 목록 전송
+    broadcastRoomsList();
+  });
+
+  /**
+   * 최신 메시지 요청 처리
+   * 
+   * 채팅방 화면을 잠시 떠났다가(DM 화면 등) 돌아왔을 때
+   * 기준 메시지 이후에 온 메시지를 받아 대화를 이어 붙입니다.
+   * 응답: 'newer messages' { room, messages }
+   *       (응답 콜백(ack)이 있으면 { ok, room, messages } / { ok: false, error })
+   */
+  socket.on('load newer messages', (data = {}, ack) => {
+    const room = chatRooms.get(data.room);
+    if (!room) {
+      emitRequestError(socket, 'load newer messages', { message: '존재하지 않는 채팅방입니다.', code: 'ROOM_NOT_FOUND' }, ack);
+      return;
+    }
+
+    // 입장한 사용자만 기록 조회 가능
+    const userInRoom = room.users.find(user => user.socketId === socket.id);
+    if (!userInRoom) {
+      emitRequestError(socket, 'load newer messages', { message: '채팅방에 입장하지 않은 상태입니다.', code: 'NOT_IN_ROOM' }, ack);
+      return;
+    }
+
+    const messages = messageStore.getMessagesAfter(data.room, data.after || null);
+
+    emitRequestResult(socket, 'newer messages', {
+      room: data.room,
+      messages: messages,
+      timestamp: new Date()
+    }, ack);
+  });
+
+  /**
+   * DM 대화 목록 요청 처리
+   * 응답: 'conversations list' { conversations, totalUnread }
+   *       (응답 콜백(ack)이 있으면 { ok, conversations, totalUnread })
+   */
+  socket.on('get conversations', (data, ack) => {
+    const userId = socket.data.user.id;
+
+    emitRequestResult(socket, 'conversations list', {
+      conversations: dmStore.listConversations(userId),
+      totalUnread: dmStore.getUnreadTotal(userId),
+      timestamp: new Date()
+    }, ack);
+  });
+
+  /**
+   * DM 대화 열기
+   * 
+   * 상대 이름으로 대화를 열고 최근 메시지를 받습니다.
+   * 아직 주고받은 메시지가 없으면 빈 대화로 열립니다. (첫 메시지를 보낼 때 저장)
+   * 읽지 않은 메시지는 읽음으로 처리됩니다.
+   * 
+   * 응답: 'conversation opened' { conversation, messages, hasMore }
+   * 실패: 'error' { event, code, message, to }
+   * (응답 콜백(ack)이 있으면 { ok, conversation, messages, hasMore } / { ok: false, error })
+   */
+  socket.on('open conversation', (data = {}, ack) => {
+    const me = socket.data.user;
+    const peer = accountStore.findAccount(data.with);
+
+    console.log(`\n--- DM 대화 열기: ${me.username} ↔ ${data.with} ---`);
+
+    if (!peer) {
+      emitRequestError(socket, 'open conversation', {
+        error: '존재하지 않는 사용자입니다.',
+        code: 'USER_NOT_FOUND',
+        to: data.with
+      }, ack);
+      return;
+    }
+
+    if (peer.id === me.id) {
+      emitRequestError(socket, 'open conversation', {
+        error: '자기 자신에게는 메시지를 보낼 수 없습니다.',
+        code: 'CANNOT_MESSAGE_SELF',
+        to: data.with
+      }, ack);
+      return;
+    }
+
+    const conversationId = dmStore.getConversationId(me.id, peer.id);
+    const conversation = dmStore.markRead(conversationId, me.id);
+    const page = messageStore.getMessagePage(conversationId);
+
+    emitRequestResult(socket, 'conversation opened', {
+      conversation: conversation
+        ? dmStore.toSummary(conversation, me.id)
+        : { id: conversationId, peer: peer.username, lastMessage: null, unreadCount: 0, updatedAt: null },
+      messages: page.messages,
+      hasMore: page.hasMore,
+      timestamp: new Date()
+    }, ack);
+
+    // 다른 탭의 읽지 않은 수도 함께 갱신
+    if (conversation) {
+      io.to(getUserChannel(me.id)).emit('conversation updated', {
+        conversation: dmStore.toSummary(conversation, me.id),
+        totalUnread: dmStore.getUnreadTotal(me.id)
+      });
+    }
+  });
+
+  /**
+   * DM 전송
+   * 
+   * 상대가 어느 채팅방에 있든(또는 로비에 있든) 계정 룸으로 전달됩니다.
+   * 접속 중이 아니면 저장만 되고, 다음 접속 때 읽지 않은 수로 표시됩니다.
+   * 
+   * 전송: 'direct message' { conversationId, message } (양쪽 모두)
+   *       'conversation updated' { conversation, totalUnread } (양쪽 각각)
+   * 실패: 'error' { event, code, message, to }
+   * 응답 콜백(ack)이 있으면 { ok, conversationId, message } / { ok: false, error }
+   */
+  socket.on('send direct message', async (data = {}, ack) => {
+    const me = socket.data.user;
+    const fail = (error, code) => {
+      emitRequestError(socket, 'send direct message', { error, code, to: data.to }, ack);
+    };
+
+    // 빈 내용과 길이는 스키마에서 검사 (앞뒤 공백 제거된 값)
+    const text = data.message;
+
+    const peer = accountStore.findAccount(data.to);
+    if (!peer) {
+      fail('존재하지 않는 사용자입니다.', 'USER_NOT_FOUND');
+      return;
+    }
+
+    if (peer.id === me.id) {
+      fail('자기 자신에게는 메시지를 보낼 수 없습니다.', 'CANNOT_MESSAGE_SELF');
+      return;
+    }
+
+    const conversationId = dmStore.getConversationId(me.id, peer.id);
+
+    // 순번은 채팅방 메시지처럼 공유 카운터에서 받음
+    let seq;
+    try {
+      seq = await messageStore.reserveSequence(conversationId);
+    } catch (error) {
+      console.error('❌ DM 순번 발급 실패:', error);
+      fail('메시지를 저장하지 못했습니다. 잠시 후에 다시 시도하세요.', 'STORE_FAILED');
+      return;
+    }
+
+    const message = {
+      id: `dm_msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      seq: seq,
+      conversationId: conversationId,
+      user: me.username,
+      to: peer.username,
+      message: text,
+      serverTimestamp: new Date()
+    };
+
+    const conversation = dmStore.addMessage(me, peer, message);
+
+    console.log(`💌 DM: ${me.username} → ${peer.username}`);
+
+    [me.id, peer.id].forEach(userId => {
+      io.to(getUserChannel(userId)).emit('direct message', {
+        conversationId: conversationId,
+        message: message
+      });
+    });
+
+    emitConversationUpdate(conversation);
+    emitRequestResult(socket, null, { conversationId, message }, ack);
+  });
+
+  /**
+   * DM 읽음 처리 (대화를 보고 있는 중에 새 메시지를 받은 경우)
+   * 'mark read'처럼 실패는 응답 콜백(ack)이 있을 때만 알립니다.
+   * 응답 콜백이 있으면 { ok, conversation, totalUnread } / { ok: false, error }
+   */
+  socket.on('mark conversation read', (data = {}, ack) => {
+    const userId = socket.data.user.id;
+    const conversation = dmStore.markRead(data.conversationId, userId);
+    if (!conversation) {
+      if (typeof ack === 'function') {
+        emitRequestError(socket, 'mark conversation read', {
+          error: '존재하지 않는 대화입니다.',
+          code: 'CONVERSATION_NOT_FOUND',
+          conversationId: data.conversationId
+        }, ack);
+      }
+      return;
+    }
+
+    const update = {
+      conversation: dmStore.toSummary(conversation, userId),
+      totalUnread: dmStore.getUnreadTotal(userId)
+    };
+    io.to(getUserChannel(userId)).emit('conversation updated', update);
+    emitRequestResult(socket, null, update, ack);
+  });
+
+  /**
+   * DM 이전 메시지 요청 처리
+   * 응답: 'older direct messages' { conversationId, messages, hasMore }
+   *       (응답 콜백(ack)이 있으면 { ok, conversationId, messages, hasMore } / { ok: false, error })
+   */
+  socket.on('load older direct messages', (data = {}, ack) => {
+    const conversation = dmStore.getConversation(data.conversationId);
+    if (!conversation || !dmStore.isParticipant(conversation, socket.data.user.id)) {
+      emitRequestError(socket, 'load older direct messages', {
+        error: '존재하지 않는 대화입니다.',
+        code: 'CONVERSATION_NOT_FOUND'
+      }, ack);
+      return;
+    }
+
+    const page = messageStore.getMessagePage(conversation.id, {
+      before: data.before,
+      beforeTimestamp: data.beforeTimestamp,
+      limit: data.limit
     });
 
-    // 사용자 정보에서 방 제거
-    connectedUsers.delete(socket.id);
-
-    console.log(`현재 ${room.name} 룸의 클라이언트 수:`, room.users.length);
-
-    // 모든 클라이언트에게 업데이트된 채팅방 목록 전송
-    broadcastRoomsList();
+    emitRequestResult(socket, 'older direct messages', {
+      conversationId: conversation.id,
+      messages: page.messages,
+      hasMore: page.hasMore,
+      timestamp: new Date()
+    }, ack);
   });
 
   /**
    * 채팅방 목록 요청 처리
+   * 응답: 'rooms list' { rooms, totalRooms } (응답 콜백(ack)이 있으면 { ok, rooms, totalRooms })
    */
-  socket.on('get rooms', () => {
+  socket.on('get rooms', (data, ack) => {
     console.log(`\n--- 채팅방 목록 요청 ---`);
     console.log(`요청 소켓 ID: ${socket.id}`);
 
-    sendRoomsListToClient(socket);
+    sendRoomsListToClient(socket, ack);
   });
 
   /**
@@ -606,90 +3065,43 @@ io.on('connection', (socket) => {
     console.log(`해제 사유: ${reason}`);
     console.log(`해제 시간: ${new Date().toLocaleString()}`);
 
-    // 연결 해제된 사용자 정보 조회
+    // 제한 상태는 계정별이라 다시 연결해도 이어지며, 여기서는 만료된 상태만 정리
+    rateLimiter.prune();
+
+    const session = sessions.get(socket.data.sessionToken);
     const disconnectedUser = connectedUsers.get(socket.id);
-    
-    if (disconnectedUser) {
-      console.log(`해제된 사용자: ${disconnectedUser.username}`);
-      console.log(`마지막 활동 룸: ${disconnectedUser.room}`);
-      
-      const room = chatRooms.get(disconnectedUser.room);
-      if (room) {
-        const wasOwner = disconnectedUser.isOwner;
-
-        // 방 사용자 목록에서 제거
-        removeUserFromRoom(disconnectedUser.room, socket.id);
-
-        /**
-         * 해당 룸의 다른 사용자들에게 퇴장 알림
-         * 
-         * socket.to() 사용 이유:
-         * - 이미 연결이 해제된 소켓이므로 본인은 메시지를 받을 수 없음
-         * - 따라서 socket.to()와 io.to()의 결과가 동일
-         * - 하지만 의미상 socket.to()가 더 적절
-         */
-        socket.to(disconnectedUser.room).emit('user left', {
-          user: disconnectedUser.username,
-          message: `${disconnectedUser.username}님이 연결을 해제했습니다.`,
-          timestamp: new Date(),
-          type: 'system',
-          wasOwner: wasOwner
-        });
-
-        /**
-         * 방장이 연결 해제된 경우 처리
-         */
-        if (wasOwner) {
-          console.log(`👑 방장이 연결 해제됨: ${disconnectedUser.username}`);
-          
-          if (room.users.length > 0) {
-            // 다른 사용자가 있으면 권한 위임
-            const newOwner = transferOwnership(disconnectedUser.room);
-            
-            if (newOwner) {
-              console.log(`👑 새로운 방장: ${newOwner.nickname}`);
-              
-              // 새 방장에게 권한 부여 알림
-              const newOwnerSocket = io.sockets.sockets.get(newOwner.socketId);
-              if (newOwnerSocket) {
-                newOwnerSocket.emit('ownership transferred', {
-                  message: '당신이 새로운 방장이 되었습니다.',
-                  room: {
-                    id: disconnectedUser.room,
-                    name: room.name
-                  },
-                  timestamp: new Date()
-                });
-                
-                // 사용자 정보 업데이트
-                const userData = connectedUsers.get(newOwner.socketId);
-                if (userData) {
-                  userData.isOwner = true;
-                }
-              }
-              
-              // 방의 모든 사용자에게 방장 변경 알림
-              io.to(disconnectedUser.room).emit('owner changed', {
-                newOwner: newOwner.nickname,
-                message: `${newOwner.nickname}님이 새로운 방장이 되었습니다.`,
-                timestamp: new Date(),
-                type: 'system'
-              });
-            }
-          } else {
-            // 아무도 없으면 방 삭제
-            chatRooms.delete(disconnectedUser.room);
-            console.log(`🗑️ 빈 채팅방 삭제: ${room.name}`);
-          }
-        }
 
-        // 모든 클라이언트에게 업데이트된 채팅방 목록 전송
-        broadcastRoomsList();
+    /**
+     * 일시적인 연결 끊김 처리 (유예 시간)
+     * 
+     * 클라이언트가 직접 연결을 끊은 경우('client namespace disconnect')나
+     * 서버가 끊은 경우를 제외하면 네트워크 문제일 수 있으므로,
+     * 바로 방에서 제거하지 않고 유예 시간 동안 재연결을 기다립니다.
+     */
+    const intentional = reason === 'client namespace disconnect' || reason === 'server namespace disconnect';
+
+    // 재연결 유예 중에도 입력 중 표시는 바로 해제
+    stopTyping(socket.id);
+
+    if (session) {
+      if (disconnectedUser && !intentional) {
+        // 재연결 시 놓친 메시지를 찾기 위해 마지막 메시지 ID 기억
+        const lastPage = messageStore.getMessagePage(disconnectedUser.room, { limit: 1 });
+        session.lastSeenMessageId = lastPage.messages.length > 0 ? lastPage.messages[0].id : null;
+
+        console.log(`⏳ ${SESSION_GRACE_PERIOD / 1000}초 동안 재연결 대기: ${disconnectedUser.username}`);
       }
 
-      // 사용자 정보에서 제거
-      connectedUsers.delete(socket.id);
-      console.log(`사용자 정보 삭제 완료`);
+      // 유예 타이머는 이 노드에 걸지만, 다시 연결은 어느 노드로 해도 됨 (resumeSession)
+      session.node = NODE_ID;
+      session.disconnectedAt = new Date();
+
+      const graceDelay = disconnectedUser && !intentional ? SESSION_GRACE_PERIOD : 0;
+      graceTimers.set(session.token, setTimeout(() => {
+        expireSession(session.token, socket.id);
+      }, graceDelay));
+    } else {
+      removeDisconnectedUser(socket.id);
     }
 
     console.log(`현재 연결된 클라이언트 수: ${io.engine.clientsCount}`);
@@ -713,47 +3125,271 @@ io.on('connection', (socket) => {
 });
 
 /**
- * 모든 클라이언트에게 채팅방 목록 브로드캐스트
+ * 연결이 끊긴 사용자를 방에서 제거
+ * 
+ * 유예 시간이 지나도 재연결되지 않았거나, 클라이언트가 직접 연결을 끊었을 때 호출됩니다.
+ * 퇴장 알림, 방장 위임, 빈 방 삭제를 처리합니다.
+ * 
+ * @param {string} socketId - 끊긴 소켓 ID
  */
-function broadcastRoomsList() {
-  const roomsList = Array.from(chatRooms.values()).map(room => ({
-    id: room.id,
-    name: room.name,
-    owner: room.ownerName,
-    userCount: room.users.length,
-    users: room.users.map(user => user.nickname),
-    createdAt: room.createdAt,
-    isPrivate: room.isPrivate
-  }));
+function removeDisconnectedUser(socketId) {
+  // 연결 해제된 사용자 정보 조회
+  const disconnectedUser = connectedUsers.get(socketId);
+  if (!disconnectedUser) return;
 
-  io.emit('rooms list', {
-    rooms: roomsList,
-    totalRooms: roomsList.length,
+  console.log(`해제된 사용자: ${disconnectedUser.username}`);
+  console.log(`마지막 활동 룸: ${disconnectedUser.room}`);
+  
+  const room = chatRooms.get(disconnectedUser.room);
+  if (room) {
+    const wasOwner = room.owner === socketId;
+
+    // 방 사용자 목록에서 제거
+    removeUserFromRoom(disconnectedUser.room, socketId);
+
+    /**
+     * 해당 룸의 다른 사용자들에게 퇴장 알림
+     * 
+     * io.to() 사용 이유:
+     * - 이미 연결이 해제된 소켓이므로 본인은 메시지를 받을 수 없음
+     * - 유예 시간 후에 호출되면 socket 객체를 사용할 수 없으므로 io.to() 사용
+     */
+    io.to(disconnectedUser.room).emit('user left', {
+      user: disconnectedUser.username,
+      message: `${disconnectedUser.username}님이 연결을 해제했습니다.`,
+      timestamp: new Date(),
+      type: 'system',
+      wasOwner: wasOwner
+    });
+
+    /**
+     * 방장이 연결 해제된 경우 처리
+     */
+    if (wasOwner) {
+      console.log(`👑 방장이 연결 해제됨: ${disconnectedUser.username}`);
+      
+      if (room.users.length > 0) {
+        // 다른 사용자가 있으면 권한 위임
+        const newOwner = transferOwnership(disconnectedUser.room);
+        
+        if (newOwner) {
+          console.log(`👑 새로운 방장: ${newOwner.nickname}`);
+          announceOwnershipTransfer(disconnectedUser.room, newOwner);
+        }
+      } else {
+        // 아무도 없으면 방 삭제
+        chatRooms.delete(disconnectedUser.room);
+        console.log(`🗑️ 빈 채팅방 삭제: ${room.name}`);
+      }
+    }
+
+    // 남은 사용자들에게 최신 사용자 목록 전송
+    emitRoomUsers(disconnectedUser.room);
+
+    // 모든 클라이언트에게 업데이트된 채팅방 목록 전송
+    broadcastRoomsList();
+  }
+
+  // 사용자 정보에서 제거
+  connectedUsers.delete(socketId);
+  console.log(`사용자 정보 삭제 완료`);
+}
+
+/**
+ * 새 세션 생성
+ * 
+ * @param {Object} socket - 연결된 소켓
+ * @returns {Object} 세션 정보
+ */
+function createSession(socket) {
+  const session = {
+    token: crypto.randomUUID(),
+    socketId: socket.id,
+    nickname: socket.data.user.username,
+    node: NODE_ID,
+    disconnectedAt: null,
+    lastSeenMessageId: null
+  };
+
+  sessions.set(session.token, session);
+  return session;
+}
+
+/**
+ * 세션 만료 처리
+ * 유예 시간 안에 재연결되지 않으면 사용자를 방에서 제거하고 세션을 삭제합니다.
+ * 
+ * @param {string} token - 세션 토큰
+ * @param {string} socketId - 끊긴 소켓 ID (그 사이 재연결되었다면 무시)
+ */
+function expireSession(token, socketId) {
+  graceTimers.delete(token);
+
+  // 그 사이 다른 노드로 다시 연결했으면 소켓 ID가 바뀌어 있음
+  const session = sessions.get(token);
+  if (!session || session.socketId !== socketId) return;
+
+  if (connectedUsers.has(socketId)) {
+    console.log(`\n⌛ 재연결 유예 시간 만료: ${connectedUsers.get(socketId).username}`);
+  }
+
+  removeDisconnectedUser(socketId);
+  sessions.delete(token);
+}
+
+/**
+ * 세션 복구 처리
+ * 
+ * 유예 시간 안에 같은 세션 토큰으로 재연결한 경우
+ * 이전 소켓 ID를 새 소켓 ID로 바꿔 방 멤버십과 방장 여부를 그대로 이어받습니다.
+ * 
+ * @param {Object} socket - 새로 연결된 소켓
+ * @param {Object} session - 기존 세션 정보
+ */
+function resumeSession(socket, session) {
+  // 유예 타이머가 다른 노드에 있으면 그 노드의 expireSession이 바뀐 소켓 ID를 보고 무시함
+  clearTimeout(graceTimers.get(session.token));
+  graceTimers.delete(session.token);
+
+  const oldSocketId = session.socketId;
+  session.socketId = socket.id;
+  session.node = NODE_ID;
+  session.disconnectedAt = null;
+
+  const userData = connectedUsers.get(oldSocketId);
+  if (!userData) {
+    // 방에 들어가 있지 않았던 세션은 토큰만 이어받음
+    return;
+  }
+
+  const room = chatRooms.get(userData.room);
+  const member = room && room.users.find(user => user.socketId === oldSocketId);
+  connectedUsers.delete(oldSocketId);
+
+  if (!member) {
+    return;
+  }
+
+  // 방 사용자 정보와 방장 정보의 소켓 ID 교체
+  member.socketId = socket.id;
+  if (room.owner === oldSocketId) {
+    room.owner = socket.id;
+  }
+
+  connectedUsers.set(socket.id, {
+    ...userData,
+    isOwner: room.owner === socket.id,
+    node: NODE_ID
+  });
+
+  socket.join(room.id);
+
+  // 끊겨 있는 동안 놓친 메시지 + 최근 기록 (새로고침한 경우 화면 복원용)
+  const missedMessages = messageStore.getMessagesAfter(room.id, session.lastSeenMessageId);
+  const history = messageStore.getMessagePage(room.id);
+
+  socket.emit('session restored', {
+    room: getRoomPayload(room, socket.id),
+    user: userData.username,
+    history: history.messages,
+    hasMoreHistory: history.hasMore,
+    missedMessages: missedMessages,
+    message: `${room.name} 채팅방에 다시 연결되었습니다.`,
     timestamp: new Date()
   });
 
-  console.log(`📋 채팅방 목록 브로드캐스트: ${roomsList.length}개 방`);
+  console.log(`🔄 세션 복구: ${userData.username} → ${room.name} (놓친 메시지 ${missedMessages.length}개)`);
 }
 
 /**
- * 특정 클라이언트에게 채팅방 목록 전송
+ * 채팅방 목록 데이터 생성
+ * 로비에 표시할 공개 정보만 추려냅니다. (비밀번호 해시 등은 제외)
+ *
+ * @returns {Array} 채팅방 요약 정보 배열
  */
-function sendRoomsListToClient(socket) {
-  const roomsList = Array.from(chatRooms.values()).map(room => ({
+function getRoomsList(user) {
+  return Array.from(chatRooms.values()).map(room => ({
     id: room.id,
     name: room.name,
     owner: room.ownerName,
     userCount: room.users.length,
     users: room.users.map(user => user.nickname),
     createdAt: room.createdAt,
-    isPrivate: room.isPrivate
+    isPrivate: room.isPrivate,
+    hasPassword: Boolean(room.passwordHash), // 입장 시 비밀번호 입력 필요 여부
+    topic: room.topic || '',
+    description: room.description || '',
+    maxUsers: room.maxUsers || null,
+    slowMode: room.slowMode || 0,
+    unreadCount: getUnreadCount(room, user) // 요청한 사용자가 읽지 않은 메시지 수
   }));
+}
+
+/**
+ * 사용자가 채팅방에서 읽지 않은 메시지 수
+ * 한 번도 입장하지 않은 방은 0 (읽음 위치가 없음)
+ *
+ * @param {Object} room - 채팅방 객체
+ * @param {Object} [user] - 계정 정보 { id, username }
+ * @returns {number} 읽지 않은 메시지 수
+ */
+function getUnreadCount(room, user) {
+  const entry = user ? room.lastRead[user.id] : null;
+  if (!entry) return 0;
+
+  return countUnread(room, entry);
+}
+
+/**
+ * 한 클라이언트에게 채팅방 목록 전송
+ * 읽지 않은 수가 사용자마다 다르므로 소켓별로 목록을 만듭니다.
+ *
+ * @param {Object} socket - 받을 소켓
+ * @param {Function} [ack] - 'get rooms' 요청의 응답 콜백 (있으면 이벤트 대신 콜백으로 응답)
+ * @returns {Array} 전송한 채팅방 목록
+ */
+function emitRoomsList(socket, ack) {
+  const roomsList = getRoomsList(socket.data.user);
 
-  socket.emit('rooms list', {
+  emitRequestResult(socket, 'rooms list', {
     rooms: roomsList,
     totalRooms: roomsList.length,
     timestamp: new Date()
-  });
+  }, ack);
+
+  return roomsList;
+}
+
+/**
+ * 모든 클라이언트에게 채팅방 목록 브로드캐스트 (각자의 읽지 않은 수 포함)
+ * 목록이 소켓마다 다르므로 각 노드가 자기 소켓에 직접 보냅니다.
+ * 다른 노드에는 바뀐 상태를 먼저 저장한 뒤 'rooms list changed'로 알림
+ */
+function broadcastRoomsList() {
+  if (REDIS_URL) {
+    stateStore.flush();
+    io.serverSideEmit('rooms list changed');
+  }
+  emitRoomsListToLocalSockets();
+}
+
+/**
+ * 이 노드에 연결된 클라이언트에게 채팅방 목록 전송
+ */
+function emitRoomsListToLocalSockets() {
+  io.sockets.sockets.forEach(socket => emitRoomsList(socket));
+
+  console.log(`📋 채팅방 목록 브로드캐스트: ${chatRooms.size}개 방`);
+}
+
+// 다른 노드에서 채팅방 목록이 바뀜 (서버 한 대일 때는 호출되지 않음)
+io.on('rooms list changed', emitRoomsListToLocalSockets);
+
+/**
+ * 특정 클라이언트에게 채팅방 목록 전송
+ */
+function sendRoomsListToClient(socket, ack) {
+  const roomsList = emitRoomsList(socket, ack);
 
   console.log(`✅ 채팅방 목록 전송 완료: ${roomsList.length}개 룸`);
   console.log('룸 목록:', roomsList.map(room => `${room.name}(${room.userCount}명, 방장: ${room.owner})`).join(', '));
@@ -802,8 +3438,361 @@ app.get('/status', (req, res) => {
   });
 });
 
+/**
+ * 인증 응답 생성
+ * 
+ * @param {Object} account - 계정 정보
+ * @returns {Object} { token, expiresAt, user }
+ */
+function createAuthResponse(account) {
+  const { token, expiresAt } = issueToken(account);
+
+  return {
+    token: token,
+    expiresAt: expiresAt,
+    user: {
+      id: account.id,
+      username: account.username
+    }
+  };
+}
+
+/**
+ * 회원가입 API
+ *
+ * POST /auth/register { username, password }
+ * 성공: 201 { token, expiresAt, user }
+ * 실패: 400 (형식 오류) / 409 (USERNAME_TAKEN) { error, code }
+ */
+app.post('/auth/register', (req, res) => {
+  const { username, password } = req.body || {};
+
+  const invalid = validateNickname(username) || accountStore.validatePassword(password);
+  if (invalid) {
+    res.status(400).json(invalid);
+    return;
+  }
+
+  const account = accountStore.createAccount(username, password);
+  if (!account) {
+    res.status(409).json({
+      error: '이미 사용 중인 이름입니다.',
+      code: 'USERNAME_TAKEN'
+    });
+    return;
+  }
+
+  console.log(`🆕 회원가입: ${account.username}`);
+  res.status(201).json(createAuthResponse(account));
+});
+
+/**
+ * 로그인 API
+ *
+ * POST /auth/login { username, password }
+ * 성공: 200 { token, expiresAt, user }
+ * 실패: 401 { error, code: 'INVALID_CREDENTIALS' }
+ */
+app.post('/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+
+  const account = accountStore.authenticate(username, password);
+  if (!account) {
+    res.status(401).json({
+      error: '이름 또는 비밀번호가 올바르지 않습니다.',
+      code: 'INVALID_CREDENTIALS'
+    });
+    return;
+  }
+
+  console.log(`🔑 로그인: ${account.username}`);
+  res.json(createAuthResponse(account));
+});
+
+/**
+ * Authorization 헤더의 Bearer 토큰 추출
+ *
+ * @param {Object} req - Express 요청
+ * @returns {string|null} 토큰 (없으면 null)
+ */
+function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+/**
+ * 토큰 갱신 API
+ *
+ * POST /auth/refresh (Authorization: Bearer <아직 만료되지 않은 토큰>)
+ * 성공: 200 { token, expiresAt, user }
+ * 실패: 401 { error, code } (만료되었으면 다시 로그인해야 함)
+ */
+app.post('/auth/refresh', (req, res) => {
+  let payload;
+  try {
+    payload = verifyToken(getBearerToken(req));
+  } catch (error) {
+    res.status(401).json({ error: error.message, code: error.code });
+    return;
+  }
+
+  // 그 사이 계정이 삭제되었으면 갱신 불가
+  const account = accountStore.findAccount(payload.username);
+  if (!account || account.id !== payload.sub) {
+    res.status(401).json({
+      error: '존재하지 않는 계정입니다.',
+      code: 'TOKEN_INVALID'
+    });
+    return;
+  }
+
+  res.json(createAuthResponse(account));
+});
+
+/**
+ * 채팅방 메시지 기록 조회 API (페이지 단위)
+ *
+ * GET /rooms/:roomId/messages?before=<메시지 ID>&beforeTimestamp=<시각>&limit=<개수>
+ * (Authorization: Bearer <토큰>)
+ * 소켓 이벤트 'load older messages'와 같은 결과를 반환합니다.
+ * 'load older messages'처럼 지금 방에 입장해 있는 계정만 조회할 수 있습니다. (비공개 방 보호)
+ *
+ * 실패: 401 (토큰) / 404 (ROOM_NOT_FOUND) / 403 (NOT_IN_ROOM) { error, code }
+ */
+app.get('/rooms/:roomId/messages', (req, res) => {
+  let payload;
+  try {
+    payload = verifyToken(getBearerToken(req));
+  } catch (error) {
+    res.status(401).json({ error: error.message, code: error.code });
+    return;
+  }
+
+  const room = chatRooms.get(req.params.roomId);
+  if (!room) {
+    res.status(404).json({
+      error: '존재하지 않는 채팅방입니다.',
+      code: 'ROOM_NOT_FOUND'
+    });
+    return;
+  }
+
+  // 입장한 사용자만 기록 조회 가능
+  if (findRoomMembers(room, payload.username).length === 0) {
+    res.status(403).json({
+      error: '채팅방에 입장하지 않은 상태입니다.',
+      code: 'NOT_IN_ROOM'
+    });
+    return;
+  }
+
+  const page = messageStore.getMessagePage(room.id, {
+    before: req.query.before,
+    beforeTimestamp: req.query.beforeTimestamp,
+    limit: req.query.limit
+  });
+
+  res.json({
+    room: room.id,
+    messages: page.messages,
+    hasMore: page.hasMore,
+    timestamp: new Date()
+  });
+});
+
+/**
+ * 첨부 파일 업로드 API
+ *
+ * POST /uploads (Authorization: Bearer <토큰>)
+ * - 본문: 파일 내용 그대로 (multipart 아님)
+ * - Content-Type: 파일의 MIME 타입
+ * - X-File-Name: encodeURIComponent로 인코딩한 파일 이름
+ *
+ * 성공: 201 { attachment: { id, name, size, mimeType, isImage } }
+ * 실패: 401 (토큰) / 400 (EMPTY_FILE) / 413 (FILE_TOO_LARGE) / 415 (UNSUPPORTED_FILE_TYPE) { error, code }
+ *
+ * 올린 파일은 'chat message'의 attachments에 ID를 넣어 메시지에 첨부합니다.
+ */
+app.post(
+  '/uploads',
+  express.raw({ type: () => true, limit: attachmentStore.MAX_UPLOAD_BYTES }),
+  (req, res) => {
+    let payload;
+    try {
+      payload = verifyToken(getBearerToken(req));
+    } catch (error) {
+      res.status(401).json({ error: error.message, code: error.code });
+      return;
+    }
+
+    const mimeType = req.get('Content-Type');
+    const invalid = attachmentStore.validateAttachment(req.body, mimeType);
+    if (invalid) {
+      res.status(invalid.status).json({ error: invalid.error, code: invalid.code });
+      return;
+    }
+
+    let fileName;
+    try {
+      fileName = decodeURIComponent(req.get('X-File-Name') || '');
+    } catch (error) {
+      fileName = '';
+    }
+
+    const attachment = attachmentStore.saveAttachment(
+      { buffer: req.body, mimeType, fileName },
+      { id: payload.sub, username: payload.username }
+    );
+
+    console.log(`📎 파일 업로드: ${attachment.name} (${attachment.size} bytes, ${payload.username})`);
+    res.status(201).json({ attachment: attachmentStore.toMessageAttachment(attachment) });
+  },
+  // 크기 제한을 넘으면 express.raw가 413 에러를 넘김 → 같은 형식의 JSON으로 응답
+  (error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+      res.status(413).json({
+        error: `파일은 ${Math.floor(attachmentStore.MAX_UPLOAD_BYTES / 1024 / 1024)}MB까지 올릴 수 있습니다.`,
+        code: 'FILE_TOO_LARGE'
+      });
+      return;
+    }
+    next(error);
+  }
+);
+
+/**
+ * 첨부 파일 다운로드 API
+ *
+ * GET /uploads/:id?access=<다운로드 토큰>
+ * <img src>로도 불러올 수 있도록 헤더 대신 주소의 토큰으로 확인합니다.
+ * 토큰은 소켓 요청 'attachment access'로 채팅방마다 발급받으며 (ATTACHMENT_ACCESS_TTL_SECONDS 동안 유효)
+ * 파일이 첨부된 방에 지금 입장해 있는 계정만 내려받을 수 있습니다.
+ * 이미지는 바로 표시(inline), 나머지는 내려받기(attachment)로 응답합니다.
+ *
+ * 실패: 401 (토큰) / 404 (ATTACHMENT_NOT_FOUND, 다른 방의 파일 포함) / 403 (NOT_IN_ROOM) { error, code }
+ */
+app.get('/uploads/:id', (req, res) => {
+  let access;
+  try {
+    access = verifyScopedToken(req.query.access, 'attachments');
+  } catch (error) {
+    res.status(401).json({ error: error.message, code: error.code });
+    return;
+  }
+
+  let attachment = attachmentStore.getAttachment(req.params.id);
+
+  // 첨부된 방을 기록하기 전에 올린 파일은 그 방의 메시지에서 찾아 한 번 기록
+  if (attachment && !attachment.rooms && messageStore.findMessageWithAttachment(access.room, attachment.id)) {
+    attachment = attachmentStore.addAttachmentRoom(attachment, access.room);
+  }
+
+  // 다른 방의 파일은 존재 여부도 알리지 않음
+  if (!attachment || !(attachment.rooms || []).includes(access.room)) {
+    res.status(404).json({
+      error: '존재하지 않는 파일입니다.',
+      code: 'ATTACHMENT_NOT_FOUND'
+    });
+    return;
+  }
+
+  const room = chatRooms.get(access.room);
+  if (!room || findRoomMembers(room, access.username).length === 0) {
+    res.status(403).json({
+      error: '채팅방에 입장하지 않은 상태입니다.',
+      code: 'NOT_IN_ROOM'
+    });
+    return;
+  }
+
+  const disposition = attachment.isImage ? 'inline' : 'attachment';
+  res.sendFile(attachmentStore.getFilePath(attachment.id), {
+    headers: {
+      'Content-Type': attachment.mimeType,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': `private, max-age=${ATTACHMENT_ACCESS_TTL_SECONDS}`
+    }
+  });
+});
+
 const PORT = process.env.PORT || 3000;
 
+/**
+ * 서버 노드 간 공유 연결 (REDIS_URL이 있을 때만)
+ * 
+ * 1. 메시지/계정/DM 저장소를 로컬 파일 대신 공유 상태 컬렉션으로 전환
+ *    (노드마다 따로 파일에 쓰면 기록이 노드별로 갈라지므로, 기존 파일 기록은 옮기지 않음)
+ * 2. 저장된 채팅방/사용자/메시지 등을 읽어 오고 변경 알림 구독
+ * 3. Socket.io 어댑터를 클러스터 어댑터로 교체 (io.to(room).emit이 모든 노드에 전달됨)
+ * 4. 노드 하트비트 시작 (같은 노드 ID로 다시 시작했으면 이전 연결의 사용자와 세션은 먼저 정리)
+ * 
+ * 연결을 받기 전에 끝나야 하므로 server.listen()보다 먼저 실행합니다.
+ */
+async function connectCluster() {
+  if (!REDIS_URL) return;
+
+  const client = await createRedisClient(REDIS_URL);
+  const subscriber = client.duplicate();
+  await subscriber.connect();
+
+  messageStore.useSharedState(stateStore);
+  accountStore.useSharedState(stateStore);
+  dmStore.useSharedState(stateStore);
+
+  await stateStore.connect(createRedisBackend({ client, subscriber, nodeId: NODE_ID }));
+  io.adapter(createClusterAdapter(client, subscriber));
+
+  purgeNode(NODE_ID);
+  checkClusterNodes();
+  setInterval(checkClusterNodes, NODE_HEARTBEAT_INTERVAL).unref();
+}
+
+/**
+ * 노드 하트비트 갱신 및 죽은 노드 정리 (NODE_HEARTBEAT_INTERVAL마다)
+ * 
+ * 같은 노드를 여러 노드가 동시에 정리하면 퇴장 알림과 방장 위임이 겹치므로
+ * 살아 있는 노드 중 ID가 가장 작은 노드만 정리합니다. (그 노드가 죽으면 다음 노드가 이어받음)
+ */
+function checkClusterNodes() {
+  const now = Date.now();
+  clusterNodes.set(NODE_ID, { id: NODE_ID, heartbeatAt: now });
+
+  const aliveNodes = [];
+  const expiredNodes = [];
+  for (const node of clusterNodes.values()) {
+    (now - node.heartbeatAt > NODE_EXPIRY ? expiredNodes : aliveNodes).push(node.id);
+  }
+
+  if (expiredNodes.length === 0 || aliveNodes.sort()[0] !== NODE_ID) return;
+
+  expiredNodes.forEach(nodeId => {
+    console.log(`\n💀 ${NODE_EXPIRY / 1000}초 동안 응답 없는 노드 정리: ${nodeId}`);
+    purgeNode(nodeId);
+  });
+}
+
+/**
+ * 노드에 연결되어 있던 사용자와 세션 정리
+ * 사용자는 연결이 끊긴 것처럼 방에서 내보내고(퇴장 알림, 방장 위임, 빈 방 삭제),
+ * 세션은 복구할 소켓이 없으므로 삭제합니다.
+ * 
+ * @param {string} nodeId - 정리할 노드 ID
+ */
+function purgeNode(nodeId) {
+  Array.from(connectedUsers.entries())
+    .filter(([, user]) => user.node === nodeId)
+    .forEach(([socketId]) => removeDisconnectedUser(socketId));
+
+  Array.from(sessions.entries())
+    .filter(([, session]) => session.node === nodeId)
+    .forEach(([token]) => sessions.delete(token));
+
+  if (nodeId !== NODE_ID) {
+    clusterNodes.delete(nodeId);
+  }
+}
+
 /**
  * 서버 시작
  * 
@@ -813,7 +3802,17 @@ const PORT = process.env.PORT || 3000;
  * 
  * Socket.io는 HTTP 서버 위에서 동작하므로 server.listen() 사용 필수
  */
-server.listen(PORT, () => {
+connectCluster()
+  .then(() => server.listen(PORT, logServerStarted))
+  .catch(error => {
+    console.error('❌ 공유 상태(Redis) 연결 실패:', error.message);
+    process.exit(1);
+  });
+
+/**
+ * 서버 시작 로그
+ */
+function logServerStarted() {
   console.log('\n🚀 Socket.io 채팅 서버 시작!');
   console.log(`📍 서버 주소: http://localhost:${PORT}`);
   console.log(`🔌 WebSocket 엔드포인트: ws://localhost:${PORT}`);
@@ -823,14 +3822,38 @@ server.listen(PORT, () => {
   console.log(`   - 재연결: 자동`);
   console.log(`   - 핑 타임아웃: 60초`);
   console.log('\n🎯 사용 가능한 이벤트:');
-  console.log(`   📥 수신: create room, join, leave, chat message, get rooms`);
-  console.log(`   📤 송신: room created, chat message, user joined, user left, rooms list, ownership transferred`);
+  console.log(`   📥 수신: create room, join, leave, chat message, get rooms, load older messages, load newer messages, typing start, typing stop, mark read, edit message, delete message, toggle reaction, load thread, attachment access, command, update room`);
+  console.log(`   📥 응답 콜백(ack) 지원: typing start, typing stop을 뺀 모든 요청 (attachment access는 콜백 전용)`);
+  console.log(`   📥 DM: get conversations, open conversation, send direct message, mark conversation read, load older direct messages`);
+  console.log(`   📥 방장 전용: ban user, transfer ownership, set moderator`);
+  console.log(`   📥 방장/부방장: kick user, mute user, unmute user`);
+  console.log(`   📤 세션: session, session restored`);
+  console.log(`   📤 송신: room created, chat message, typing start, typing stop, read updated, room unread, message edited, message deleted, reaction updated, thread updated, thread messages, link preview, mentioned, command result, room updated, user joined, user left, rooms list, ownership transferred, older messages, room users`);
+  console.log(`   📤 DM: conversations list, conversation opened, direct message, conversation updated, older direct messages`);
+  console.log(`   📤 관리: kicked, banned, muted, unmuted, user muted, user unmuted, role changed, role updated`);
+  console.log(`   📤 요청 실패: error { event, code, message, ... } (수신 데이터는 먼저 스키마로 검사, ack 없는 요청은 join failed 등 이전 실패 이벤트도 함께)`);
   console.log('\n👑 방장 시스템:');
   console.log(`   - 채팅방 생성자가 방장이 됨`);
   console.log(`   - 방장 나가면 2번째 사용자가 방장 승계`);
+  console.log(`   - 방장이 직접 위임하거나 부방장 지정 가능`);
   console.log(`   - 빈 방은 자동 삭제`);
+  console.log('\n🔑 인증:');
+  console.log(`   - POST /auth/register, /auth/login, /auth/refresh`);
+  console.log(`   - 소켓 연결 시 handshake.auth.token 필요`);
+  console.log('\n📎 첨부 파일:');
+  console.log(`   - POST /uploads (최대 ${Math.floor(attachmentStore.MAX_UPLOAD_BYTES / 1024 / 1024)}MB), GET /uploads/:id?access=<토큰>`);
+  console.log('\n🔄 재연결 세션:');
+  console.log(`   - 연결이 끊겨도 ${SESSION_GRACE_PERIOD / 1000}초 안에 재연결하면 방 상태 복구`);
+  console.log('\n🚦 속도 제한:');
+  console.log(`   - 계정별, 이벤트별 토큰 버킷 (경고 → 일시 정지 → 연결 종료)`);
+  console.log('\n🌐 서버 노드:');
+  console.log(`   - 노드 ID: ${NODE_ID}`);
+  console.log(`   - 공유 상태: ${REDIS_URL ? `Redis (${new URL(REDIS_URL).host}) - 채팅방, 사용자, 세션, 메시지, 계정, DM` : '메모리 (서버 한 대)'}`);
+  if (REDIS_URL) {
+    console.log(`   - 노드 만료: 하트비트가 ${NODE_EXPIRY / 1000}초 동안 없으면 그 노드의 사용자와 세션 정리`);
+  }
   console.log('\n' + '='.repeat(50));
-});
+}
 
 /**
  * 프로세스 종료 시 정리 작업
@@ -0,0 +1,419 @@
+/**
+ * 링크 미리보기 (Open Graph)
+ * 메시지에 포함된 URL의 페이지를 가져와 og:title, og:description, og:image 등을 추출합니다.
+ *
+ * 캐시:
+ * - URL별 결과를 메모리에 보관 (성공 PREVIEW_CACHE_TTL_MS, 실패 FAILURE_CACHE_TTL_MS)
+ * - 같은 URL을 동시에 요청하면 한 번만 가져옴
+ *
+ * 안전 장치 (서버가 대신 요청하므로 내부망 접근을 막음):
+ * - http/https만 허용, 사설/루프백 주소로 해석되는 호스트는 거부
+ * - 주소 검사는 실제 연결에 쓰는 DNS 조회(lookup 옵션) 안에서 하므로
+ *   검사한 주소와 연결하는 주소가 같음 (검사 후 DNS 응답을 바꾸는 DNS rebinding 차단)
+ * - 리디렉션은 직접 따라가며 매번 주소를 다시 검사 (최대 MAX_REDIRECTS번)
+ * - 응답 시간(FETCH_TIMEOUT_MS)과 크기(MAX_HTML_BYTES) 제한, HTML만 처리
+ *
+ * 테스트:
+ * - LINK_PREVIEW_ALLOWED_HOSTS 환경 변수에 'localhost:4010'처럼 호스트를 적으면
+ *   사설 주소 검사를 건너뛰므로 로컬 픽스처 서버를 사용할 수 있음
+ * - setFetcher()로 페이지를 가져오는 함수 자체를 바꿀 수도 있음
+ */
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// 메시지 하나에서 미리보기를 만들 최대 URL 수
+const MAX_PREVIEWS_PER_MESSAGE = 3;
+
+const FETCH_TIMEOUT_MS = Number(process.env.LINK_PREVIEW_TIMEOUT_MS) || 5000;
+const MAX_HTML_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 3;
+
+const PREVIEW_CACHE_TTL_MS = 60 * 60 * 1000;
+const FAILURE_CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+
+// 사설 주소 검사를 건너뛸 호스트 (host 또는 host:port, 테스트 픽스처용)
+const ALLOWED_HOSTS = (process.env.LINK_PREVIEW_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// 메시지에서 URL 찾기 (클라이언트 자동 링크와 같은 규칙)
+const URL_PATTERN = /https?:\/\/[^\s<>"'`]+/g;
+
+/**
+ * URL별 미리보기 캐시
+ * { url: { preview: Object|null, expiresAt: number } }
+ */
+const cache = new Map();
+
+// 가져오는 중인 요청 (같은 URL 동시 요청 합치기)
+const pending = new Map();
+
+/**
+ * 메시지 내용에서 미리보기 대상 URL 추출 (중복 제거, 최대 MAX_PREVIEWS_PER_MESSAGE개)
+ *
+ * @param {string} text - 메시지 내용
+ * @returns {Array<string>} URL 목록
+ */
+function extractUrls(text) {
+  const urls = (String(text || '').match(URL_PATTERN) || [])
+    // 문장 끝 문장부호와 서식 기호는 URL에서 제외
+    .map(url => url.replace(/[.,!?;:)\]*_]+$/, ''));
+
+  return Array.from(new Set(urls)).slice(0, MAX_PREVIEWS_PER_MESSAGE);
+}
+
+/**
+ * 요청하지 않는 주소 대역 (IPv4, IPv6 따로)
+ *
+ * IPv6 안에 IPv4를 담는 형식(::ffff:7f00:1 같은 IPv4-mapped, IPv4-compatible, NAT64)은
+ * 표기가 여러 가지라 앞부분 비교로는 걸러지지 않으므로 대역 전체를 막습니다.
+ * BlockList는 IPv4 주소를 IPv6 규칙에도 mapped 형식으로 비교하므로 목록을 나눔
+ */
+const BLOCKED_IPV4 = new net.BlockList();
+const BLOCKED_IPV6 = new net.BlockList();
+
+[
+  ['0.0.0.0', 8],       // 현재 네트워크
+  ['10.0.0.0', 8],      // 사설
+  ['100.64.0.0', 10],   // 통신사 NAT
+  ['127.0.0.0', 8],     // 루프백
+  ['169.254.0.0', 16],  // 링크 로컬 (클라우드 메타데이터 포함)
+  ['172.16.0.0', 12],   // 사설
+  ['192.0.0.0', 24],    // IETF 프로토콜 할당
+  ['192.168.0.0', 16],  // 사설
+  ['198.18.0.0', 15],   // 벤치마크 테스트
+  ['224.0.0.0', 4],     // 멀티캐스트
+  ['240.0.0.0', 4]      // 예약 (255.255.255.255 브로드캐스트 포함)
+].forEach(([network, prefix]) => BLOCKED_IPV4.addSubnet(network, prefix, 'ipv4'));
+
+[
+  ['::', 96],           // 지정 안 됨, 루프백(::1), IPv4-compatible
+  ['::ffff:0:0', 96],   // IPv4-mapped
+  ['64:ff9b::', 96],    // NAT64
+  ['fc00::', 7],        // 고유 로컬 (사설)
+  ['fe80::', 10],       // 링크 로컬
+  ['fec0::', 10],       // 사이트 로컬 (폐지됐지만 내부망에서 쓰일 수 있음)
+  ['ff00::', 8]         // 멀티캐스트
+].forEach(([network, prefix]) => BLOCKED_IPV6.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * 내부망 주소 여부 (사설, 루프백, 링크 로컬, 멀티캐스트, 예약 대역)
+ *
+ * @param {string} address - IP 주소
+ * @returns {boolean} 내부 주소 여부 (IP 주소가 아니면 true)
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+
+  return family === 4 ? BLOCKED_IPV4.check(address, 'ipv4') : BLOCKED_IPV6.check(address, 'ipv6');
+}
+
+/**
+ * 사설 주소 검사를 건너뛰는 호스트인지 확인 (LINK_PREVIEW_ALLOWED_HOSTS)
+ *
+ * @param {URL} url - 요청할 URL
+ * @returns {boolean} 허용 목록 포함 여부
+ */
+function isAllowedHost(url) {
+  return ALLOWED_HOSTS.includes(url.host.toLowerCase()) || ALLOWED_HOSTS.includes(url.hostname.toLowerCase());
+}
+
+/**
+ * 요청 전 URL 검사 (프로토콜, IP 주소로 적은 호스트)
+ * 도메인 호스트는 연결할 때 pinnedLookup에서 해석한 주소로 검사합니다.
+ *
+ * @param {URL} url - 요청할 URL
+ * @returns {boolean} 허용 여부
+ */
+function isAllowedUrl(url) {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return false;
+  }
+
+  if (isAllowedHost(url)) {
+    return true;
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  return !net.isIP(hostname) || !isPrivateAddress(hostname);
+}
+
+/**
+ * 주소를 검사하는 DNS 조회 (http.request의 lookup 옵션)
+ *
+ * 연결에 쓸 주소를 이 함수가 돌려주므로, 검사를 통과한 주소로만 연결됩니다.
+ * 해석된 주소 중 하나라도 사설 주소면 연결하지 않습니다.
+ *
+ * @param {string} hostname - 호스트 이름
+ * @param {Object} options - dns.lookup 옵션 (all 등)
+ * @param {Function} callback - (error, address, family) 또는 all이면 (error, addresses)
+ */
+function pinnedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    if (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address))) {
+      const blocked = new Error(`내부 주소로 해석되는 호스트입니다: ${hostname}`);
+      blocked.code = 'PRIVATE_ADDRESS';
+      callback(blocked);
+      return;
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+/**
+ * 페이지 요청 (응답 헤더까지)
+ *
+ * @param {URL} url - 요청할 URL
+ * @param {AbortSignal} signal - 시간 초과 시 요청 중단
+ * @returns {Promise<http.IncomingMessage>} 응답
+ */
+function requestPage(url, signal) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, {
+      signal: signal,
+      lookup: isAllowedHost(url) ? undefined : pinnedLookup,
+      headers: {
+        'User-Agent': 'ChatLinkPreview/1.0',
+        Accept: 'text/html'
+      }
+    }, resolve);
+
+    request.on('error', reject);
+  });
+}
+
+/**
+ * 응답 본문을 최대 MAX_HTML_BYTES까지만 읽기
+ *
+ * @param {http.IncomingMessage} response - 응답
+ * @returns {Promise<string>} HTML 문자열
+ */
+async function readLimitedText(response) {
+  const chunks = [];
+  let total = 0;
+
+  for await (const chunk of response) {
+    chunks.push(chunk);
+    total += chunk.length;
+    if (total >= MAX_HTML_BYTES) break;
+  }
+
+  response.destroy();
+  return Buffer.concat(chunks).subarray(0, MAX_HTML_BYTES).toString('utf8');
+}
+
+/**
+ * 기본 페이지 가져오기 함수
+ * 리디렉션을 직접 따라가며 단계마다 주소를 검사합니다.
+ * 시간 제한(FETCH_TIMEOUT_MS)은 리디렉션과 본문 읽기를 모두 포함합니다.
+ *
+ * @param {string} url - 페이지 URL
+ * @returns {Promise<{ url: string, html: string }|null>} 최종 URL과 HTML (실패 시 null)
+ */
+async function defaultFetcher(url) {
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  let current = new URL(url);
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (!isAllowedUrl(current)) {
+      return null;
+    }
+
+    let response;
+    try {
+      response = await requestPage(current, signal);
+    } catch (error) {
+      // 내부 주소는 실패로만 처리 (로그 없이)
+      if (error.code === 'PRIVATE_ADDRESS') return null;
+      throw error;
+    }
+
+    const { statusCode, headers } = response;
+
+    if (statusCode >= 300 && statusCode < 400 && headers.location) {
+      response.resume();
+      current = new URL(headers.location, current);
+      continue;
+    }
+
+    const contentType = headers['content-type'] || '';
+    if (statusCode < 200 || statusCode >= 300 || !contentType.includes('text/html')) {
+      response.destroy();
+      return null;
+    }
+
+    return { url: current.toString(), html: await readLimitedText(response) };
+  }
+
+  return null;
+}
+
+let fetcher = defaultFetcher;
+
+/**
+ * 페이지 가져오기 함수 교체 (테스트용)
+ *
+ * @param {Function|null} fn - (url) => Promise<{ url, html }|null>, null이면 기본 함수로 복구
+ */
+function setFetcher(fn) {
+  fetcher = fn || defaultFetcher;
+  cache.clear();
+}
+
+/**
+ * HTML 엔티티 해제 (메타 태그 값에 자주 쓰이는 것만)
+ *
+ * @param {string} value - 엔티티가 포함된 문자열
+ * @returns {string} 해제된 문자열
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * 메타 태그 값 찾기 (property/name 순서와 관계없이)
+ *
+ * @param {string} html - HTML
+ * @param {string} key - 'og:title' 등
+ * @returns {string|null} 값
+ */
+function findMeta(html, key) {
+  const tags = html.match(/<meta\b[^>]*>/gi) || [];
+
+  for (const tag of tags) {
+    const name = tag.match(/\b(?:property|name)\s*=\s*["']([^"']+)["']/i);
+    if (!name || name[1].toLowerCase() !== key) continue;
+
+    const content = tag.match(/\bcontent\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+    if (content) {
+      return decodeEntities(content[1] ?? content[2]).trim();
+    }
+  }
+
+  return null;
+}
+
+/**
+ * HTML에서 미리보기 정보 추출
+ *
+ * @param {string} html - HTML
+ * @param {string} pageUrl - 최종 페이지 URL (상대 경로 이미지 처리용)
+ * @returns {Object|null} { url, title, description, image, siteName } (제목이 없으면 null)
+ */
+function parsePreview(html, pageUrl) {
+  const titleTag = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+  const title = findMeta(html, 'og:title') || (titleTag ? decodeEntities(titleTag[1]).trim() : '');
+  if (!title) return null;
+
+  let image = findMeta(html, 'og:image');
+  try {
+    image = image ? new URL(image, pageUrl).toString() : null;
+    // 이미지도 http/https만 허용 (javascript:, data: 등 차단)
+    if (image && !/^https?:\/\//i.test(image)) image = null;
+  } catch (error) {
+    image = null;
+  }
+
+  return {
+    url: pageUrl,
+    title: title.slice(0, 200),
+    description: (findMeta(html, 'og:description') || findMeta(html, 'description') || '').slice(0, 300),
+    image: image,
+    siteName: (findMeta(html, 'og:site_name') || new URL(pageUrl).hostname).slice(0, 100)
+  };
+}
+
+/**
+ * 캐시에 결과 저장 (가장 오래된 항목부터 정리)
+ *
+ * @param {string} url - URL
+ * @param {Object|null} preview - 미리보기 (실패면 null)
+ */
+function remember(url, preview) {
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  cache.set(url, {
+    preview: preview,
+    expiresAt: Date.now() + (preview ? PREVIEW_CACHE_TTL_MS : FAILURE_CACHE_TTL_MS)
+  });
+}
+
+/**
+ * URL 하나의 미리보기 (캐시 우선)
+ *
+ * @param {string} url - URL
+ * @returns {Promise<Object|null>} 미리보기 (없거나 실패하면 null)
+ */
+async function getPreview(url) {
+  const cached = cache.get(url);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.preview;
+  }
+
+  if (pending.has(url)) {
+    return pending.get(url);
+  }
+
+  const request = (async () => {
+    try {
+      const page = await fetcher(url);
+      const preview = page ? parsePreview(page.html, page.url || url) : null;
+      remember(url, preview);
+      return preview;
+    } catch (error) {
+      console.error(`⚠️ 링크 미리보기 실패 (${url}):`, error.message);
+      remember(url, null);
+      return null;
+    } finally {
+      pending.delete(url);
+    }
+  })();
+
+  pending.set(url, request);
+  return request;
+}
+
+/**
+ * 메시지 내용의 링크 미리보기 목록
+ *
+ * @param {string} text - 메시지 내용
+ * @returns {Promise<Array>} 미리보기 목록 (가져오지 못한 링크는 제외)
+ */
+async function getPreviewsForText(text) {
+  const previews = await Promise.all(extractUrls(text).map(getPreview));
+  return previews.filter(Boolean);
+}
+
+module.exports = {
+  extractUrls,
+  getPreview,
+  getPreviewsForText,
+  isPrivateAddress,
+  parsePreview,
+  setFetcher
+};
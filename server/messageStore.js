@@ -0,0 +1,456 @@
+/**
+ * 채팅 메시지 저장소
+ * 채팅방별 메시지를 로컬 디스크에 보관합니다.
+ *
+ * 저장 방식 (append-only 파일):
+ * - 채팅방 하나당 파일 하나: data/messages/<roomId>.jsonl
+ * - 한 줄에 기록 하나(JSON)를 추가만 하고 기존 줄은 수정하지 않음
+ *   - 새 메시지: 메시지 전체 { id, user, message, ... }
+ *   - 수정(수정, 삭제 표시, 반응 등): 바뀐 필드만 { update: 메시지 ID, changes: { ... } }
+ * - 다시 읽을 때 수정 기록을 순서대로 덮어써 복원 (같은 id의 전체 기록이 다시 있으면 나중 것이 우선, 예전 형식)
+ * - 지난 기록(수정 기록, 덮어쓴 전체 기록)이 메시지 수만큼 쌓이면 메시지당 한 줄로 파일을 다시 씀 (compactRoom)
+ * - 서버가 재시작되어도 파일에서 다시 읽어 복원
+ *
+ * 메시지 순번 (seq):
+ * - 채팅방 안에서 1부터 하나씩 늘어나는 번호를 새 메시지에 붙임 (읽지 않은 수 = 최신 순번 - 읽은 순번)
+ * - 새 메시지는 reserveSequence()로 순번을 먼저 받은 뒤 appendMessage()로 저장
+ * - 순번이 없는 예전 기록은 읽을 때 파일 순서대로 번호를 붙임
+ *
+ * 메모리 캐시:
+ * - 한 번 읽은 채팅방은 Map으로 메모리에 유지하여 매번 파일을 읽지 않음
+ * - 실제 프로덕션에서는 SQLite 등 데이터베이스 사용 권장
+ *
+ * 서버 노드가 여러 대일 때 (useSharedState):
+ * - 파일 대신 공유 상태 컬렉션('messages')에 메시지마다 따로 저장해 모든 노드가 같은 기록을 씀
+ * - 연결할 때 전체 기록을 읽어 오므로 메모리 사용량이 기록 크기만큼 늘어남
+ * - 마지막 순번은 공유 카운터(lastSeq)에서 원자적으로 받으므로 두 노드가 같은 순간에 보내도 겹치지 않음
+ */
+const fs = require('fs');
+const path = require('path');
+
+// 메시지 파일 저장 경로 (환경 변수로 변경 가능)
+const DATA_DIR = process.env.CHAT_DATA_DIR
+  ? path.join(process.env.CHAT_DATA_DIR, 'messages')
+  : path.join(__dirname, 'data', 'messages');
+
+// 입장 시 전달하는 최근 메시지 기본 개수
+const DEFAULT_HISTORY_LIMIT = Number(process.env.HISTORY_LIMIT) || 50;
+
+// 이전 메시지 페이지 요청 시 허용하는 최대 개수
+const MAX_PAGE_SIZE = 100;
+
+// 재전송 메시지(clientId)를 찾을 때 확인하는 최근 메시지 개수
+const CLIENT_ID_LOOKBACK = 500;
+
+// 파일을 다시 쓰기 위한 최소 지난 기록 줄 수 (메시지가 적은 방을 너무 자주 다시 쓰지 않도록)
+const COMPACT_MIN_STALE_LINES = 100;
+
+/**
+ * 채팅방별 메시지 캐시
+ *
+ * 데이터 구조:
+ * {
+ *   roomId: Map {
+ *     messageId: { id, user, message, room, serverTimestamp, ... }
+ *   }
+ * }
+ *
+ * Map은 삽입 순서를 유지하므로 값 목록이 곧 시간순 메시지 목록
+ */
+const roomMessages = new Map();
+
+// 채팅방별 마지막 메시지 순번 (파일 저장 시, 공유 상태에서는 항목의 lastSeq 필드)
+const roomSequences = new Map();
+
+// 채팅방별 파일의 지난 기록 줄 수 (현재 내용에 더는 필요 없는 줄, 파일 저장 시)
+const roomStaleLines = new Map();
+
+// 공유 상태 컬렉션 (useSharedState 호출 후, 없으면 파일 사용)
+let sharedMessages = null;
+
+/**
+ * 파일 대신 공유 상태 저장소에 메시지 보관 (서버 노드가 여러 대일 때)
+ * stateStore.connect() 전에 호출해야 저장된 기록을 읽어 옵니다.
+ *
+ * @param {Object} stateStore - 공유 상태 저장소 (stateStore.createStateStore)
+ */
+function useSharedState(stateStore) {
+  // 메시지가 많으므로 자동 비교 대신 추가/수정한 메시지만 저장 (updateMember), 순번은 카운터
+  sharedMessages = stateStore.collection('messages', {
+    members: { messages: { type: 'map', order: 'seq' } },
+    counters: ['lastSeq'],
+    track: false
+  });
+  roomMessages.clear();
+  roomSequences.clear();
+  roomStaleLines.clear();
+}
+
+/**
+ * 채팅방 ID를 파일 경로로 변환
+ * 경로 조작을 막기 위해 안전한 문자만 남깁니다.
+ *
+ * @param {string} roomId - 채팅방 ID
+ * @returns {string} 메시지 파일 경로
+ */
+function getRoomFile(roomId) {
+  const safeId = String(roomId).replace(/[^a-zA-Z0-9_-]/g, '_');
+  return path.join(DATA_DIR, `${safeId}.jsonl`);
+}
+
+/**
+ * 채팅방 메시지를 파일에서 읽어 캐시에 적재
+ *
+ * @param {string} roomId - 채팅방 ID
+ * @returns {Map} 메시지 ID → 메시지 Map
+ */
+function loadRoom(roomId) {
+  if (sharedMessages) {
+    if (!sharedMessages.has(roomId)) {
+      sharedMessages.set(roomId, { messages: new Map(), lastSeq: 0 });
+    }
+    return sharedMessages.get(roomId).messages;
+  }
+
+  if (roomMessages.has(roomId)) {
+    return roomMessages.get(roomId);
+  }
+
+  const messages = new Map();
+  const file = getRoomFile(roomId);
+  let recordCount = 0;
+
+  if (fs.existsSync(file)) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      try {
+        const record = JSON.parse(line);
+        if (record && record.update) {
+          // 수정 기록: 바뀐 필드만 덮어씀 (Map의 순서는 처음 위치 유지)
+          const current = messages.get(record.update);
+          if (current) {
+            messages.set(record.update, { ...current, ...record.changes, id: record.update });
+          }
+          recordCount++;
+        } else if (record && record.id) {
+          messages.set(record.id, record);
+          recordCount++;
+        }
+      } catch (error) {
+        // 비정상 종료 등으로 깨진 줄은 건너뜀
+        console.error(`⚠️ 손상된 메시지 기록 무시 (${roomId}):`, error.message);
+      }
+    }
+  }
+
+  // 순번이 없는 예전 기록은 파일 순서대로 번호 부여 (다시 읽어도 같은 번호)
+  let sequence = 0;
+  for (const message of messages.values()) {
+    if (!message.seq) {
+      message.seq = sequence + 1;
+    }
+    sequence = Math.max(sequence, message.seq);
+  }
+
+  roomMessages.set(roomId, messages);
+  roomSequences.set(roomId, sequence);
+  roomStaleLines.set(roomId, recordCount - messages.size);
+  compactRoomIfNeeded(roomId);
+  return messages;
+}
+
+/**
+ * 지난 기록이 충분히 쌓였으면 파일 다시 쓰기
+ * 지난 기록이 COMPACT_MIN_STALE_LINES 이상이고 메시지 수 이상일 때 (파일이 필요한 크기의 두 배 이상)
+ *
+ * @param {string} roomId - 채팅방 ID
+ */
+function compactRoomIfNeeded(roomId) {
+  const staleLines = roomStaleLines.get(roomId) || 0;
+  if (staleLines >= COMPACT_MIN_STALE_LINES && staleLines >= roomMessages.get(roomId).size) {
+    compactRoom(roomId);
+  }
+}
+
+/**
+ * 채팅방 파일을 메시지당 한 줄로 다시 쓰기
+ *
+ * 순번(seq)도 함께 기록하므로 예전 기록도 다시 읽을 때 같은 번호를 유지합니다.
+ * 임시 파일에 쓴 뒤 이름을 바꾸므로 중간에 서버가 멈춰도 기존 파일은 그대로 남습니다.
+ * 실패하면 기존 파일을 그대로 쓰고 다음 수정 때 다시 시도합니다.
+ *
+ * @param {string} roomId - 채팅방 ID
+ */
+function compactRoom(roomId) {
+  const file = getRoomFile(roomId);
+  const temporaryFile = `${file}.tmp`;
+  const messages = roomMessages.get(roomId);
+
+  try {
+    fs.writeFileSync(temporaryFile, Array.from(messages.values()).map(message => JSON.stringify(message) + '\n').join(''));
+    fs.renameSync(temporaryFile, file);
+    roomStaleLines.set(roomId, 0);
+    console.log(`🧹 메시지 기록 정리: ${roomId} (${messages.size}개)`);
+  } catch (error) {
+    console.error(`⚠️ 메시지 기록 정리 실패 (${roomId}):`, error.message);
+  }
+}
+
+/**
+ * 파일에 지난 기록이 한 줄 늘었음을 기록 (수정 기록 또는 덮어쓴 전체 기록)
+ *
+ * @param {string} roomId - 채팅방 ID
+ */
+function addStaleLine(roomId) {
+  roomStaleLines.set(roomId, (roomStaleLines.get(roomId) || 0) + 1);
+  compactRoomIfNeeded(roomId);
+}
+
+/**
+ * 채팅방의 마지막 메시지 순번
+ *
+ * @param {string} roomId - 채팅방 ID
+ * @returns {number} 마지막 순번 (메시지가 없으면 0)
+ */
+function getLatestSequence(roomId) {
+  loadRoom(roomId);
+
+  if (sharedMessages) {
+    return sharedMessages.get(roomId).lastSeq || 0;
+  }
+  return roomSequences.get(roomId) || 0;
+}
+
+/**
+ * 새 메시지의 순번 발급
+ * 발급한 순번은 바로 마지막 순번이 되므로, 받은 순번은 메시지에 넣어 곧바로 저장할 것
+ * (여러 노드가 함께 쓸 때는 공유 카운터를 늘리므로 비동기)
+ *
+ * @param {string} roomId - 채팅방 ID
+ * @returns {Promise<number>} 새 순번
+ */
+async function reserveSequence(roomId) {
+  loadRoom(roomId);
+
+  if (sharedMessages) {
+    return sharedMessages.increment(roomId, 'lastSeq');
+  }
+
+  const sequence = (roomSequences.get(roomId) || 0) + 1;
+  roomSequences.set(roomId, sequence);
+  return sequence;
+}
+
+/**
+ * 메시지를 저장소에 추가
+ * 순번(seq)이 없는 새 메시지에는 다음 순번을 붙입니다. (수정 기록은 기존 순번 유지)
+ * 공유 상태에서는 순번을 붙일 수 없으므로 reserveSequence()로 받은 순번을 넣어 보내야 합니다.
+ *
+ * @param {string} roomId - 채팅방 ID
+ * @param {Object} message - 저장할 메시지 (id 필수)
+ * @returns {Object} 저장된 메시지
+ * @throws {Error} 공유 상태에서 순번 없는 메시지를 저장하려는 경우
+ */
+function appendMessage(roomId, message) {
+  const messages = loadRoom(roomId);
+  const isNew = !message.seq;
+
+  if (sharedMessages) {
+    if (isNew) {
+      throw new Error('여러 노드가 함께 쓰는 기록에는 reserveSequence()로 받은 순번이 있어야 합니다.');
+    }
+
+    messages.set(message.id, message);
+    sharedMessages.updateMember(roomId, 'messages', message.id);
+    return message;
+  }
+
+  if (isNew) {
+    message.seq = getLatestSequence(roomId) + 1;
+  }
+
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.appendFileSync(getRoomFile(roomId), JSON.stringify(message) + '\n');
+
+  const replaced = messages.has(message.id);
+  messages.set(message.id, message);
+  if (isNew) {
+    roomSequences.set(roomId, message.seq);
+  }
+  if (replaced) {
+    addStaleLine(roomId);
+  }
+  return message;
+}
+
+/**
+ * 메시지 하나 조회
+ *
+ * @param {string} roomId - 채팅방 ID
+ * @param {string} messageId - 메시지 ID
+ * @returns {Object|null} 메시지 (없으면 null)
+ */
+function getMessage(roomId, messageId) {
+  return loadRoom(roomId).get(messageId) || null;
+}
+
+/**
+ * 클라이언트가 붙인 ID(clientId)로 최근 메시지 찾기
+ * 응답을 받지 못한 클라이언트가 같은 메시지를 다시 보냈는지 확인할 때 사용합니다.
+ *
+ * @param {string} roomId - 채팅방 ID
+ * @param {string} userId - 보낸 사람 계정 ID
+ * @param {string} clientId - 클라이언트 메시지 ID
+ * @returns {Object|null} 이미 저장된 메시지 (없으면 null)
+ */
+function findMessageByClientId(roomId, userId, clientId) {
+  const messages = Array.from(loadRoom(roomId).values());
+
+  for (let index = messages.length - 1; index >= Math.max(0, messages.length - CLIENT_ID_LOOKBACK); index--) {
+    const message = messages[index];
+    if (message.clientId === clientId && message.userId === userId) {
+      return message;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 첨부 파일이 들어 있는 메시지 찾기
+ * 첨부된 방을 기록하기 전에 올린 파일의 다운로드 권한을 확인할 때 사용합니다.
+ *
+ * @param {string} roomId - 채팅방 ID
+ * @param {string} attachmentId - 첨부 파일 ID
+ * @returns {Object|null} 메시지 (없으면 null)
+ */
+function findMessageWithAttachment(roomId, attachmentId) {
+  for (const message of loadRoom(roomId).values()) {
+    if ((message.attachments || []).some(attachment => attachment.id === attachmentId)) {
+      return message;
+    }
+  }
+  return null;
+}
+
+/**
+ * 메시지 수정 (수정 또는 삭제 표시)
+ *
+ * 기존 줄은 그대로 두고 바뀐 필드만 수정 기록 { update, changes }으로 한 줄 더 기록합니다.
+ * 다시 읽을 때 수정 기록을 차례로 덮어쓰고, Map의 순서는 처음 위치를 유지하므로
+ * 메시지 순서는 바뀌지 않습니다.
+ * (공유 상태에서는 메시지 항목 하나를 덮어쓰므로 기록이 늘어나지 않음)
+ *
+ * @param {string} roomId - 채팅방 ID
+ * @param {string} messageId - 메시지 ID
+ * @param {Object} changes - 덮어쓸 필드
+ * @returns {Object|null} 수정된 메시지 (없으면 null)
+ */
+function updateMessage(roomId, messageId, changes) {
+  const current = getMessage(roomId, messageId);
+  if (!current) return null;
+
+  const updated = { ...current, ...changes, id: messageId };
+  if (sharedMessages) {
+    return appendMessage(roomId, updated);
+  }
+
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.appendFileSync(getRoomFile(roomId), JSON.stringify({ update: messageId, changes }) + '\n');
+
+  loadRoom(roomId).set(messageId, updated);
+  addStaleLine(roomId);
+  return updated;
+}
+
+/**
+ * 채팅방 메시지를 페이지 단위로 조회
+ *
+ * 기준(커서)보다 오래된 메시지 중 가장 최근 limit개를 반환합니다.
+ * 커서가 없으면 가장 최근 메시지부터 반환합니다. (입장 시 기록)
+ *
+ * 커서 종류:
+ * - before: 기준 메시지 ID (이 메시지보다 앞선 메시지만)
+ * - beforeTimestamp: 기준 serverTimestamp (이 시각보다 앞선 메시지만)
+ *
+ * @param {string} roomId - 채팅방 ID
+ * @param {Object} options - 조회 옵션
+ * @param {string} [options.before] - 기준 메시지 ID
+ * @param {string|Date} [options.beforeTimestamp] - 기준 시각
+ * @param {number} [options.limit] - 최대 개수 (MAX_PAGE_SIZE 이하)
+ * @returns {{ messages: Array, hasMore: boolean }} 오래된 것부터 정렬된 메시지와 추가 페이지 여부
+ */
+function getMessagePage(roomId, options = {}) {
+  const limit = Math.min(
+    Math.max(Number(options.limit) || DEFAULT_HISTORY_LIMIT, 1),
+    MAX_PAGE_SIZE
+  );
+
+  let messages = Array.from(loadRoom(roomId).values());
+
+  if (options.before) {
+    const index = messages.findIndex(message => message.id === options.before);
+    // 알 수 없는 ID는 빈 페이지로 처리 (엉뚱한 구간을 반환하지 않도록)
+    messages = index === -1 ? [] : messages.slice(0, index);
+  } else if (options.beforeTimestamp) {
+    const cursor = new Date(options.beforeTimestamp).getTime();
+    messages = messages.filter(message => new Date(message.serverTimestamp).getTime() < cursor);
+  }
+
+  const start = Math.max(messages.length - limit, 0);
+
+  return {
+    messages: messages.slice(start),
+    hasMore: start > 0
+  };
+}
+
+/**
+ * 기준 메시지 이후의 메시지 조회
+ * 재연결 시 연결이 끊겨 있던 동안 놓친 메시지를 찾는 데 사용합니다.
+ *
+ * @param {string} roomId - 채팅방 ID
+ * @param {string|null} afterId - 기준 메시지 ID (null이면 처음부터)
+ * @param {number} [limit] - 최대 개수 (너무 많으면 가장 최근 메시지만)
+ * @returns {Array} 오래된 것부터 정렬된 메시지 배열
+ */
+function getMessagesAfter(roomId, afterId, limit = MAX_PAGE_SIZE) {
+  const messages = Array.from(loadRoom(roomId).values());
+  const index = afterId ? messages.findIndex(message => message.id === afterId) : -1;
+
+  return messages.slice(index + 1).slice(-limit);
+}
+
+/**
+ * 스레드 답글 조회
+ * 답글의 답글도 같은 스레드로 묶이도록 메시지에 기록된 threadRoot로 찾습니다.
+ *
+ * @param {string} roomId - 채팅방 ID
+ * @param {string} rootId - 스레드 첫 메시지 ID
+ * @param {number} [limit] - 최대 개수 (너무 많으면 가장 최근 답글만)
+ * @returns {Array} 오래된 것부터 정렬된 답글 배열
+ */
+function getThreadReplies(roomId, rootId, limit = MAX_PAGE_SIZE) {
+  return Array.from(loadRoom(roomId).values())
+    .filter(message => message.threadRoot === rootId)
+    .slice(-limit);
+}
+
+module.exports = {
+  useSharedState,
+  reserveSequence,
+  appendMessage,
+  getMessage,
+  findMessageByClientId,
+  findMessageWithAttachment,
+  updateMessage,
+  getMessagePage,
+  getMessagesAfter,
+  getThreadReplies,
+  getLatestSequence,
+  DEFAULT_HISTORY_LIMIT,
+  MAX_PAGE_SIZE
+};
@@ -0,0 +1,107 @@
+/**
+ * 닉네임 검증 유틸리티
+ * 서버에 등록할 닉네임의 형식과 예약어를 검사합니다.
+ *
+ * 규칙:
+ * - 앞뒤 공백 제거 후 2~20자
+ * - 한글, 영문, 숫자, 밑줄(_), 하이픈(-)만 허용 (공백 불가)
+ * - 운영자/시스템으로 오해될 수 있는 예약어는 사용 불가
+ */
+
+const MIN_LENGTH = 2;
+const MAX_LENGTH = 20;
+
+// 허용 문자: 한글(완성형), 영문, 숫자, _, -
+const NICKNAME_PATTERN = /^[가-힣a-zA-Z0-9_-]+$/;
+
+// 메시지 안의 멘션 (@닉네임), 이메일 주소처럼 앞에 영문/숫자가 붙은 @는 제외
+const MENTION_PATTERN = /(^|[^a-zA-Z0-9_.@-])@([가-힣a-zA-Z0-9_-]+)/g;
+
+// 예약된 닉네임 (대소문자 무시)
+const RESERVED_NICKNAMES = [
+  'admin',
+  'administrator',
+  'system',
+  'server',
+  'root',
+  'moderator',
+  'owner',
+  '관리자',
+  '운영자',
+  '시스템',
+  '서버',
+  '방장',
+  '부방장'
+];
+
+/**
+ * 닉네임 비교용 정규화 (대소문자 무시)
+ *
+ * @param {string} nickname - 닉네임
+ * @returns {string} 비교용 닉네임
+ */
+function normalizeNickname(nickname) {
+  return String(nickname || '').trim().toLowerCase();
+}
+
+/**
+ * 닉네임 형식 검사
+ *
+ * @param {string} nickname - 검사할 닉네임
+ * @returns {Object|null} 실패 시 { error, code }, 통과하면 null
+ */
+function validateNickname(nickname) {
+  if (typeof nickname !== 'string' || nickname.trim().length === 0) {
+    return { error: '닉네임을 입력해주세요.', code: 'INVALID_NICKNAME' };
+  }
+
+  const trimmed = nickname.trim();
+
+  if (trimmed.length < MIN_LENGTH || trimmed.length > MAX_LENGTH) {
+    return {
+      error: `닉네임은 ${MIN_LENGTH}~${MAX_LENGTH}자로 입력해주세요.`,
+      code: 'INVALID_NICKNAME_LENGTH'
+    };
+  }
+
+  if (!NICKNAME_PATTERN.test(trimmed)) {
+    return {
+      error: '닉네임에는 한글, 영문, 숫자, _, -만 사용할 수 있습니다.',
+      code: 'INVALID_NICKNAME_CHARACTERS'
+    };
+  }
+
+  if (RESERVED_NICKNAMES.includes(normalizeNickname(trimmed))) {
+    return { error: '사용할 수 없는 닉네임입니다.', code: 'NICKNAME_RESERVED' };
+  }
+
+  return null;
+}
+
+/**
+ * 메시지에서 멘션된 닉네임 추출
+ * 닉네임 형식(길이)에 맞는 것만 남기고, 대소문자만 다른 중복은 하나로 합칩니다.
+ *
+ * @param {string} text - 메시지 내용
+ * @returns {Array<string>} 멘션된 닉네임 목록 (입력한 그대로)
+ */
+function extractMentions(text) {
+  const names = new Map();
+
+  for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+    const name = match[2];
+    if (name.length >= MIN_LENGTH && name.length <= MAX_LENGTH && !names.has(normalizeNickname(name))) {
+      names.set(normalizeNickname(name), name);
+    }
+  }
+
+  return Array.from(names.values());
+}
+
+module.exports = {
+  normalizeNickname,
+  validateNickname,
+  extractMentions,
+  MIN_LENGTH,
+  MAX_LENGTH
+};
@@ -0,0 +1,52 @@
+/**
+ * 비밀번호 해시 유틸리티
+ * 비밀번호는 평문으로 저장하지 않고 scrypt 해시로만 보관합니다.
+ *
+ * 저장 형식: 'salt:hash' (둘 다 hex 문자열)
+ * - salt: 비밀번호마다 새로 생성하는 16바이트 난수
+ * - hash: scrypt(비밀번호, salt) 결과 64바이트
+ */
+const crypto = require('crypto');
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * 비밀번호 해시 생성
+ *
+ * @param {string} password - 평문 비밀번호
+ * @returns {string} 'salt:hash' 형식의 해시 문자열
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+/**
+ * 비밀번호 검증
+ * 타이밍 공격을 막기 위해 timingSafeEqual로 비교합니다.
+ *
+ * @param {string} password - 입력된 평문 비밀번호
+ * @param {string} stored - hashPassword()로 만든 해시 문자열
+ * @returns {boolean} 일치 여부
+ */
+function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') {
+    return false;
+  }
+
+  const [salt, hash] = stored.split(':');
+  if (!salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword
+};
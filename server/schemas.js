@@ -0,0 +1,269 @@
+/**
+ * 수신 이벤트 데이터 검사 (스키마)
+ * 클라이언트가 보내는 이벤트 데이터의 형식을 선언하고, 핸들러보다 먼저 검사/정리합니다.
+ *
+ * 검사 내용:
+ * - 타입 (문자열, ID, 숫자, 불리언, 배열, 객체)
+ * - 필수 여부, 최대 길이, 숫자 범위, 배열 개수
+ * - 문자열 정리: 유니코드 NFC 정규화(조합형 한글 등을 완성형으로 통일), 제어 문자 제거, 앞뒤 공백 제거
+ * - 스키마에 없는 필드는 버림 (핸들러는 정리된 값만 받음)
+ *
+ * 사용 방법:
+ *   const schema = { room: id('채팅방', { required: true }), message: string('메시지', { maxLength: 500 }) };
+ *   const result = validate(schema, data);
+ *   // 성공: { value }, 실패: { error: { code: 'INVALID_PAYLOAD', field, message } }
+ *
+ * 이벤트별 스키마 목록은 index.js(INBOUND_SCHEMAS)에 있고,
+ * 방이 존재하는지, 권한이 있는지 같은 의미 검사는 각 핸들러가 계속 담당합니다.
+ */
+
+// 제거할 제어 문자 (줄바꿈 \n, 탭 \t은 유지)
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+
+// ID 형식 (room_..., msg_..., dm_..., 첨부 파일 ID 등)
+const ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const MAX_ID_LENGTH = 120;
+
+/**
+ * 받침 유무에 맞는 조사 붙이기 ('메시지' + 을/를 → '메시지를', '채팅방 이름' → '채팅방 이름을')
+ * 마지막 글자가 한글이 아니면 '을(를)'처럼 둘 다 표시
+ *
+ * @param {string} word - 조사를 붙일 단어
+ * @param {string} withFinal - 받침이 있을 때 조사 ('을', '은')
+ * @param {string} withoutFinal - 받침이 없을 때 조사 ('를', '는')
+ * @returns {string} 조사를 붙인 단어
+ */
+function withParticle(word, withFinal, withoutFinal) {
+  const code = word.charCodeAt(word.length - 1);
+  if (!(code >= 0xAC00 && code <= 0xD7A3)) {
+    return `${word}${withFinal}(${withoutFinal})`;
+  }
+
+  // 한글 음절은 받침 28가지마다 한 글자씩 배치 (나머지가 0이면 받침 없음)
+  const hasFinal = (code - 0xAC00) % 28 !== 0;
+  return word + (hasFinal ? withFinal : withoutFinal);
+}
+
+/**
+ * 문자열 필드
+ *
+ * @param {string} label - 오류 메시지에 쓰는 필드 이름 ('메시지')
+ * @param {Object} [options] - { required, maxLength, trim = true, allowEmpty }
+ *   trim: false면 앞뒤 공백을 유지 (비밀번호 등)
+ *   allowEmpty: true면 빈 문자열을 그대로 전달 (주제 지우기 등, 기본은 값이 없는 것으로 처리)
+ */
+function string(label, options = {}) {
+  return { type: 'string', label, trim: true, ...options };
+}
+
+/**
+ * ID 필드 (영문, 숫자, '_', '-'만 허용)
+ */
+function id(label, options = {}) {
+  return { type: 'id', label, ...options };
+}
+
+/**
+ * 숫자 필드
+ *
+ * @param {Object} [options] - { required, min, max, integer, nullable }
+ *   nullable: true면 null 허용 (예: 최대 인원 제한 없음)
+ */
+function number(label, options = {}) {
+  return { type: 'number', label, ...options };
+}
+
+/**
+ * 불리언 필드
+ */
+function boolean(label, options = {}) {
+  return { type: 'boolean', label, ...options };
+}
+
+/**
+ * 시각 필드 (ISO 문자열, 밀리초 숫자 또는 Date - 명령어가 서버 안에서 보내는 경우)
+ */
+function timestamp(label, options = {}) {
+  return { type: 'timestamp', label, ...options };
+}
+
+/**
+ * 배열 필드
+ *
+ * @param {Object} items - 각 항목의 필드 정의
+ * @param {Object} [options] - { required, maxItems }
+ */
+function array(label, items, options = {}) {
+  return { type: 'array', label, items, ...options };
+}
+
+/**
+ * 객체 필드 (하위 필드를 같은 방식으로 검사)
+ *
+ * @param {Object} fields - { 필드 이름: 필드 정의 }
+ */
+function object(label, fields, options = {}) {
+  return { type: 'object', label, fields, ...options };
+}
+
+/**
+ * 문자열 정리 (NFC 정규화, 제어 문자 제거, 앞뒤 공백 제거)
+ *
+ * @param {string} value - 원본 문자열
+ * @param {boolean} trim - 앞뒤 공백 제거 여부
+ * @returns {string} 정리된 문자열
+ */
+function cleanString(value, trim) {
+  const cleaned = value.normalize('NFC').replace(CONTROL_CHARACTERS, '');
+  return trim ? cleaned.trim() : cleaned;
+}
+
+/**
+ * 실패 결과 생성
+ */
+function invalid(path, message) {
+  return { error: { code: 'INVALID_PAYLOAD', field: path, message } };
+}
+
+/**
+ * 필드 하나 검사
+ *
+ * @param {Object} rule - 필드 정의
+ * @param {*} value - 받은 값
+ * @param {string} path - 필드 경로 ('settings.topic')
+ * @returns {Object} { value } 또는 { error }
+ */
+function checkField(rule, value, path) {
+  if (value === undefined || value === null || value === '') {
+    if (value === null && rule.nullable) {
+      return { value: null };
+    }
+    if (value === '' && rule.allowEmpty) {
+      return { value: '' };
+    }
+    return rule.required ? invalid(path, `${withParticle(rule.label, '을', '를')} 입력해주세요.`) : { value: undefined };
+  }
+
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') {
+        return invalid(path, `${withParticle(rule.label, '은', '는')} 문자열이어야 합니다.`);
+      }
+      const cleaned = cleanString(value, rule.trim);
+      if (!cleaned && rule.allowEmpty) {
+        return { value: '' };
+      }
+      if (!cleaned) {
+        return rule.required ? invalid(path, `${withParticle(rule.label, '을', '를')} 입력해주세요.`) : { value: undefined };
+      }
+      if (rule.maxLength && cleaned.length > rule.maxLength) {
+        return invalid(path, `${withParticle(rule.label, '은', '는')} ${rule.maxLength}자까지 입력할 수 있습니다.`);
+      }
+      return { value: cleaned };
+    }
+
+    case 'id': {
+      if (typeof value !== 'string' || value.length > MAX_ID_LENGTH || !ID_PATTERN.test(value)) {
+        return invalid(path, `${rule.label} ID가 올바르지 않습니다.`);
+      }
+      return { value };
+    }
+
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value) || (rule.integer && !Number.isInteger(value))) {
+        return invalid(path, `${withParticle(rule.label, '은', '는')} ${rule.integer ? '정수' : '숫자'}여야 합니다.`);
+      }
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        return invalid(path, `${withParticle(rule.label, '은', '는')} ${rule.min ?? ''}~${rule.max ?? ''} 사이여야 합니다.`);
+      }
+      return { value };
+    }
+
+    case 'boolean': {
+      if (typeof value !== 'boolean') {
+        return invalid(path, `${rule.label} 값이 올바르지 않습니다.`);
+      }
+      return { value };
+    }
+
+    case 'timestamp': {
+      const valid = (typeof value === 'number' && Number.isFinite(value))
+        || (typeof value === 'string' && value.length <= 40 && !Number.isNaN(Date.parse(value)))
+        || (value instanceof Date && !Number.isNaN(value.getTime()));
+      return valid ? { value } : invalid(path, `${rule.label} 시각이 올바르지 않습니다.`);
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return invalid(path, `${withParticle(rule.label, '은', '는')} 목록이어야 합니다.`);
+      }
+      if (rule.maxItems && value.length > rule.maxItems) {
+        return invalid(path, `${withParticle(rule.label, '은', '는')} ${rule.maxItems}개까지 보낼 수 있습니다.`);
+      }
+      const items = [];
+      for (let index = 0; index < value.length; index++) {
+        const result = checkField({ ...rule.items, required: true }, value[index], `${path}[${index}]`);
+        if (result.error) return result;
+        items.push(result.value);
+      }
+      return { value: items };
+    }
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return invalid(path, `${rule.label} 형식이 올바르지 않습니다.`);
+      }
+      return checkFields(rule.fields, value, `${path}.`);
+    }
+
+    default:
+      throw new Error(`알 수 없는 필드 타입: ${rule.type}`);
+  }
+}
+
+/**
+ * 객체의 필드들 검사 (정의되지 않은 필드와 빈 선택 필드는 결과에서 뺌)
+ */
+function checkFields(fields, data, prefix = '') {
+  const value = {};
+
+  for (const [name, rule] of Object.entries(fields)) {
+    const result = checkField(rule, data[name], `${prefix}${name}`);
+    if (result.error) return result;
+    if (result.value !== undefined) {
+      value[name] = result.value;
+    }
+  }
+
+  return { value };
+}
+
+/**
+ * 이벤트 데이터 검사
+ *
+ * @param {Object} schema - { 필드 이름: 필드 정의 }
+ * @param {*} data - 받은 데이터 (없으면 빈 객체로 간주)
+ * @returns {Object} 성공: { value }, 실패: { error: { code, field, message } }
+ */
+function validate(schema, data) {
+  if (data === undefined || data === null) {
+    data = {};
+  }
+
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return { error: { code: 'INVALID_PAYLOAD', field: null, message: '요청 데이터 형식이 올바르지 않습니다.' } };
+  }
+
+  return checkFields(schema, data);
+}
+
+module.exports = {
+  string,
+  id,
+  number,
+  boolean,
+  timestamp,
+  array,
+  object,
+  validate
+};
@@ -0,0 +1,722 @@
+/**
+ * 공유 상태 저장소
+ * 채팅방(chatRooms), 접속 사용자(connectedUsers), 그리고 클러스터 모드의 메시지/계정/DM처럼
+ * 서버 노드끼리 같아야 하는 상태를 보관합니다.
+ *
+ * 사용 방법:
+ * - collection(name, schema)은 Map과 같은 메서드(get, set, delete, has, values, keys, entries, size)를 가진 객체 반환
+ *   기존 코드가 Map을 쓰던 방식 그대로 사용할 수 있음
+ * - 노드마다 메모리에 복사본을 두고 읽기는 항상 복사본에서 (동기)
+ * - 변경은 백엔드에 저장하고 다른 노드에 알려 복사본을 갱신
+ *
+ * 저장 단위 (필드/구성원별):
+ * - 항목의 필드(name, topic, owner 등)는 필드마다 따로 저장
+ * - 스키마의 members에 적은 필드(users, mutedUsers, lastRead 등)는 구성원마다 따로 저장
+ *   예) 두 노드에서 동시에 다른 사용자가 입장해도 users의 구성원이 각각 추가되므로 한쪽이 사라지지 않음
+ * - 한 번의 저장은 MULTI로 묶어 원자적으로 기록 (변경 알림 발행 포함)
+ * - 같은 필드(또는 같은 구성원)를 두 노드가 동시에 바꾸면 나중에 저장한 쪽이 이김
+ *
+ * 변경 감지:
+ * - 기존 코드는 get()으로 꺼낸 객체를 그 자리에서 수정하므로(room.users.push 등)
+ *   get()/set()한 항목을 현재 이벤트 처리가 끝난 뒤 마지막 저장 내용(스냅샷)과 비교해
+ *   실제로 바뀐 필드와 구성원만 저장 (읽기만 한 항목은 아무것도 저장하지 않음)
+ * - 값을 수정할 때는 반드시 get()으로 꺼낼 것 (values()로 꺼낸 객체를 수정하면 저장되지 않음)
+ * - 다른 노드에 바로 반영되어야 할 때(목록 브로드캐스트 직전 등)는 flush() 호출
+ * - 구성원이 많은 컬렉션(메시지)은 schema.track = false로 자동 비교를 끄고 updateMember(), updateField()로 저장
+ *
+ * 카운터 (schema.counters):
+ * - increment()로만 바꾸는 숫자 필드 (예: 메시지 순번 lastSeq)
+ * - 백엔드에서 원자적으로 늘리므로(HINCRBY) 여러 노드가 동시에 늘려도 같은 값을 받지 않음
+ * - 다른 노드의 알림은 더 큰 값일 때만 반영 (알림 순서가 바뀌어도 값이 줄지 않음)
+ *
+ * 백엔드:
+ * - memory: 프로세스 안에만 보관 (기본값, 서버 한 대)
+ * - redis: 아래 키에 저장하고 채널(<prefix>:state:<name>:changes)로 바뀐 내용을 다른 노드에 알림
+ *   - <prefix>:state:<name>                 항목 키 목록 (해시)
+ *   - <prefix>:state:<name>:<key>           항목의 필드 (해시, 필드 → JSON)
+ *   - <prefix>:state:<name>:<key>:<field>   구성원 필드 (해시, 구성원 키 → JSON)
+ *   연결할 때 전체를 읽어 복사본을 만듦
+ *
+ * 한계:
+ * - 카운터가 아닌 필드는 같은 필드를 두 노드가 동시에 바꾸면 나중에 저장한 쪽이 이김
+ * - 타이머(재연결 유예, 입력 중 표시)는 타이머를 건 노드에만 있음
+ *   (노드가 죽으면 index.js의 노드 하트비트 만료 처리가 그 노드의 사용자와 세션을 정리)
+ */
+
+// 날짜 문자열 형식 (Date.toJSON 결과)
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+/**
+ * 저장된 JSON을 값으로 변환
+ * 스키마의 dates에 적은 필드(joinedAt, until 등)만 Date로 복원하고,
+ * 다른 필드는 날짜처럼 보이는 문자열(방 주제 등)이라도 그대로 둡니다.
+ *
+ * @param {string} text - 저장된 JSON 문자열
+ * @param {string} field - 값이 들어 있던 필드 이름
+ * @param {Set} dateFields - Date로 복원할 필드 이름
+ * @returns {*} 복원한 값
+ */
+function deserialize(text, field, dateFields) {
+  return JSON.parse(text, (key, value) => {
+    const name = key === '' ? field : key;
+    return typeof value === 'string' && dateFields.has(name) && ISO_DATE_PATTERN.test(value)
+      ? new Date(value)
+      : value;
+  });
+}
+
+/**
+ * 메모리 백엔드 (서버 한 대용, 아무 데도 저장하지 않음)
+ *
+ * @returns {Object} 백엔드
+ */
+function createMemoryBackend() {
+  return {
+    name: 'memory',
+    shared: false,
+    async load() {
+      return [];
+    },
+    write() {},
+    remove() {},
+    async subscribe() {}
+  };
+}
+
+/**
+ * Redis 백엔드
+ *
+ * @param {Object} options - 설정
+ * @param {Object} options.client - 명령어용 Redis 클라이언트 (redisClient.createRedisClient)
+ * @param {Object} options.subscriber - 구독 전용 Redis 클라이언트 (client.duplicate())
+ * @param {string} options.nodeId - 이 서버 노드의 ID (자기가 보낸 변경 알림은 무시)
+ * @param {string} [options.prefix='chat'] - Redis 키 접두사
+ * @returns {Object} 백엔드
+ */
+function createRedisBackend({ client, subscriber, nodeId, prefix = 'chat' }) {
+  const indexKey = name => `${prefix}:state:${name}`;
+  const itemKey = (name, key) => `${prefix}:state:${name}:${key}`;
+  const memberKey = (name, key, field) => `${prefix}:state:${name}:${key}:${field}`;
+  const changesChannel = name => `${prefix}:state:${name}:changes`;
+
+  const reportError = error => console.error('❌ 공유 상태 저장 실패:', error.message);
+
+  return {
+    name: 'redis',
+    shared: true,
+
+    /**
+     * 컬렉션 전체 읽기
+     *
+     * @param {string} name - 컬렉션 이름
+     * @param {Array} memberFields - 구성원별로 저장하는 필드 이름
+     * @returns {Promise<Array>} [키, 변경 목록] 배열 (변경 목록은 write()와 같은 형식)
+     */
+    async load(name, memberFields) {
+      const keys = Object.keys(await client.hGetAll(indexKey(name)));
+      const entries = [];
+
+      for (const key of keys) {
+        const fields = await client.hGetAll(itemKey(name, key));
+        const ops = Object.entries(fields).map(([field, value]) => ({ field, value }));
+
+        for (const field of memberFields) {
+          const members = await client.hGetAll(memberKey(name, key, field));
+          Object.entries(members).forEach(([member, value]) => ops.push({ field, member, value }));
+        }
+
+        entries.push([key, ops]);
+      }
+
+      return entries;
+    },
+
+    /**
+     * 바뀐 필드/구성원 저장 및 알림 (MULTI로 한 번에)
+     *
+     * @param {string} name - 컬렉션 이름
+     * @param {string} key - 항목 키
+     * @param {Array} ops - [{ field, value }] 또는 [{ field, member, value }] (value: JSON, null이면 삭제)
+     * @param {boolean} created - 새 항목 여부 (항목 키 목록에 추가)
+     */
+    write(name, key, ops, created) {
+      const multi = client.multi();
+
+      if (created) {
+        multi.hSet(indexKey(name), key, '1');
+      }
+
+      ops.forEach(op => {
+        const hash = op.member === undefined ? itemKey(name, key) : memberKey(name, key, op.field);
+        const field = op.member === undefined ? op.field : op.member;
+
+        if (op.value === null) {
+          multi.hDel(hash, field);
+        } else {
+          multi.hSet(hash, field, op.value);
+        }
+      });
+
+      multi.publish(changesChannel(name), JSON.stringify({ node: nodeId, key, ops }));
+      multi.exec().catch(reportError);
+    },
+
+    /**
+     * 항목 삭제 및 알림
+     *
+     * @param {string} name - 컬렉션 이름
+     * @param {string} key - 항목 키
+     * @param {Array} memberFields - 구성원별로 저장하는 필드 이름
+     */
+    remove(name, key, memberFields) {
+      const multi = client.multi();
+
+      multi.hDel(indexKey(name), key);
+      multi.del(itemKey(name, key));
+      memberFields.forEach(field => multi.del(memberKey(name, key, field)));
+      multi.publish(changesChannel(name), JSON.stringify({ node: nodeId, key, removed: true }));
+      multi.exec().catch(reportError);
+    },
+
+    /**
+     * 카운터 필드를 1 늘리고 다른 노드에 알림
+     * 늘린 값을 받은 뒤에 알리므로 알림은 MULTI로 묶지 않음 (순서가 바뀌어도 받는 쪽이 큰 값만 반영)
+     *
+     * @param {string} name - 컬렉션 이름
+     * @param {string} key - 항목 키
+     * @param {string} field - 카운터 필드 이름
+     * @returns {Promise<number>} 늘린 값
+     */
+    async increment(name, key, field) {
+      const value = await client.hIncrBy(itemKey(name, key), field, 1);
+      const ops = [{ field, value: String(value) }];
+      client.publish(changesChannel(name), JSON.stringify({ node: nodeId, key, ops })).catch(reportError);
+      return value;
+    },
+
+    async subscribe(name, onChange) {
+      await subscriber.subscribe(changesChannel(name), raw => {
+        const change = JSON.parse(raw);
+        if (change.node === nodeId) return;
+
+        onChange(change.key, change);
+      });
+    }
+  };
+}
+
+/**
+ * 구성원 필드의 구성원 목록 (구성원 키 → 값)
+ *
+ * 필드 종류 (schema.members):
+ * - { by: '속성' }    배열, 구성원의 속성 값이 키 (예: users는 socketId)
+ * - {}                배열, 값 자체가 키 (예: bannedUsers의 닉네임 문자열)
+ * - { type: 'object' } 객체, 속성 이름이 키 (예: lastRead의 계정 ID)
+ * - { type: 'map' }    Map, Map의 키가 키 (예: 메시지 ID)
+ *
+ * @param {*} container - 필드 값
+ * @param {Object} spec - 필드 설정
+ * @returns {Array} [구성원 키, 값] 배열
+ */
+function memberEntries(container, spec) {
+  if (!container) return [];
+
+  if (spec.type === 'map') {
+    return Array.from(container.entries());
+  }
+  if (spec.type === 'object') {
+    return Object.entries(container);
+  }
+  return container.map(member => [spec.by ? member[spec.by] : member, member]);
+}
+
+/**
+ * 빈 구성원 필드 값 만들기
+ *
+ * @param {Object} spec - 필드 설정
+ * @returns {Array|Object|Map} 빈 배열/객체/Map
+ */
+function createContainer(spec) {
+  if (spec.type === 'map') return new Map();
+  if (spec.type === 'object') return {};
+  return [];
+}
+
+/**
+ * Map처럼 쓰는 공유 컬렉션
+ */
+class SharedCollection {
+  /**
+   * @param {string} name - 컬렉션 이름 ('rooms', 'users')
+   * @param {Function} getBackend - 현재 백엔드를 돌려주는 함수 (연결 후 교체되므로)
+   * @param {Object} [schema] - 저장 방식
+   * @param {Object} [schema.members] - 구성원별로 저장할 필드 { 필드: { by, type, order } } (memberEntries 참고)
+   * @param {Array} [schema.dates] - 읽을 때 Date로 복원할 필드 이름
+   * @param {Array} [schema.counters] - increment()로만 늘리는 숫자 필드 이름
+   * @param {boolean} [schema.track=true] - get()으로 꺼낸 항목을 자동으로 비교할지 여부
+   */
+  constructor(name, getBackend, schema = {}) {
+    this.name = name;
+    this.getBackend = getBackend;
+    this.members = schema.members || {};
+    this.memberFields = Object.keys(this.members);
+    this.dateFields = new Set(schema.dates || []);
+    this.counters = new Set(schema.counters || []);
+    this.track = schema.track !== false;
+    this.items = new Map();
+    this.snapshots = new Map(); // 키 → { fields: Map(필드 → JSON), members: Map(필드 → Map(구성원 키 → JSON)) }
+    this.pending = new Set();
+    this.flushScheduled = false;
+  }
+
+  get size() {
+    return this.items.size;
+  }
+
+  get(key) {
+    const value = this.items.get(key);
+    if (value !== undefined && this.track) {
+      this.scheduleCheck(key);
+    }
+    return value;
+  }
+
+  set(key, value) {
+    this.items.set(key, value);
+    this.scheduleCheck(key);
+    return this;
+  }
+
+  delete(key) {
+    this.pending.delete(key);
+    const existed = this.items.delete(key);
+    if (existed && this.snapshots.delete(key)) {
+      this.getBackend().remove(this.name, key, this.memberFields);
+    }
+    return existed;
+  }
+
+  has(key) {
+    return this.items.has(key);
+  }
+
+  values() {
+    return this.items.values();
+  }
+
+  keys() {
+    return this.items.keys();
+  }
+
+  entries() {
+    return this.items.entries();
+  }
+
+  forEach(callback) {
+    this.items.forEach((value, key) => callback(value, key, this));
+  }
+
+  [Symbol.iterator]() {
+    return this.items.entries();
+  }
+
+  /**
+   * 현재 이벤트 처리가 끝난 뒤 항목을 스냅샷과 비교하도록 예약
+   * 공유하지 않는 백엔드(memory)면 아무것도 하지 않음
+   *
+   * @param {string} key - 항목 키
+   */
+  scheduleCheck(key) {
+    if (!this.getBackend().shared) return;
+
+    this.pending.add(key);
+    if (!this.flushScheduled) {
+      this.flushScheduled = true;
+      setImmediate(() => this.flush());
+    }
+  }
+
+  /**
+   * 구성원 하나만 저장 (track = false인 컬렉션용)
+   * 구성원 전체를 비교하지 않고 지정한 구성원만 스냅샷과 비교합니다.
+   *
+   * @param {string} key - 항목 키
+   * @param {string} field - 구성원 필드 이름
+   * @param {string} member - 구성원 키
+   */
+  updateMember(key, field, member) {
+    const backend = this.getBackend();
+    const item = this.items.get(key);
+    if (!backend.shared || !item) return;
+
+    const created = !this.snapshots.has(key);
+    if (created) {
+      // 처음 저장하는 항목은 전체를 저장
+      this.saveChanges(key);
+      return;
+    }
+
+    const entry = memberEntries(item[field], this.members[field]).find(([memberKey]) => String(memberKey) === String(member));
+    const value = entry ? JSON.stringify(entry[1]) : null;
+    const ops = [{ field, member: String(member), value }];
+
+    if (this.applyToSnapshot(key, ops).length > 0) {
+      backend.write(this.name, key, ops, false);
+    }
+  }
+
+  /**
+   * 필드 하나만 저장 (track = false인 컬렉션용)
+   *
+   * @param {string} key - 항목 키
+   * @param {string} field - 필드 이름 (구성원 필드가 아닌 것)
+   */
+  updateField(key, field) {
+    const backend = this.getBackend();
+    const item = this.items.get(key);
+    if (!backend.shared || !item) return;
+
+    if (!this.snapshots.has(key)) {
+      this.saveChanges(key);
+      return;
+    }
+
+    const ops = [{ field, value: item[field] === undefined ? null : JSON.stringify(item[field]) }];
+    if (this.applyToSnapshot(key, ops).length > 0) {
+      backend.write(this.name, key, ops, false);
+    }
+  }
+
+  /**
+   * 카운터 필드를 1 늘리고 늘린 값 반환
+   * 공유 백엔드에서는 백엔드가 원자적으로 늘린 값을 쓰므로 여러 노드가 같은 값을 받지 않습니다.
+   *
+   * @param {string} key - 항목 키 (이미 있는 항목)
+   * @param {string} field - 카운터 필드 이름 (schema.counters)
+   * @returns {Promise<number>} 늘린 값
+   */
+  async increment(key, field) {
+    const backend = this.getBackend();
+    const item = this.items.get(key);
+
+    if (!backend.shared) {
+      item[field] = (item[field] || 0) + 1;
+      return item[field];
+    }
+
+    const value = await backend.increment(this.name, key, field);
+    this.applyCounter(key, field, value);
+    return value;
+  }
+
+  /**
+   * 카운터 값을 복사본과 스냅샷에 반영 (지금 값보다 클 때만)
+   *
+   * @param {string} key - 항목 키
+   * @param {string} field - 카운터 필드 이름
+   * @param {number} value - 새 값
+   * @returns {boolean} 반영 여부
+   */
+  applyCounter(key, field, value) {
+    const item = this.items.get(key);
+    if (!item || (item[field] || 0) >= value) return false;
+
+    item[field] = value;
+    this.applyToSnapshot(key, [{ field, value: JSON.stringify(value) }]);
+    return true;
+  }
+
+  /**
+   * 비교 예약된 항목의 변경 내용을 백엔드에 저장
+   */
+  flush() {
+    this.flushScheduled = false;
+    const keys = Array.from(this.pending);
+    this.pending.clear();
+
+    keys.forEach(key => {
+      if (this.items.has(key)) {
+        this.saveChanges(key);
+      }
+    });
+  }
+
+  /**
+   * 항목을 스냅샷과 비교해 바뀐 필드/구성원만 저장
+   *
+   * @param {string} key - 항목 키
+   */
+  saveChanges(key) {
+    const backend = this.getBackend();
+    if (!backend.shared) return;
+
+    const created = !this.snapshots.has(key);
+    const ops = this.applyToSnapshot(key, this.diff(key));
+
+    if (created || ops.length > 0) {
+      backend.write(this.name, key, ops, created);
+    }
+  }
+
+  /**
+   * 현재 항목과 스냅샷의 차이
+   *
+   * @param {string} key - 항목 키
+   * @returns {Array} 변경 목록 [{ field, value }, { field, member, value }]
+   */
+  diff(key) {
+    const item = this.items.get(key);
+    const snapshot = this.snapshots.get(key) || { fields: new Map(), members: new Map() };
+    const ops = [];
+
+    const fields = new Set([...Object.keys(item), ...snapshot.fields.keys()]);
+    fields.forEach(field => {
+      // 카운터는 increment()로만 저장 (다른 노드가 늘린 값을 첫 저장이 덮어쓰지 않도록)
+      if (this.members[field] || this.counters.has(field)) return;
+
+      const value = item[field] === undefined ? null : JSON.stringify(item[field]);
+      if (value !== (snapshot.fields.get(field) ?? null)) {
+        ops.push({ field, value });
+      }
+    });
+
+    this.memberFields.forEach(field => {
+      const previous = snapshot.members.get(field) || new Map();
+      const current = new Map(
+        memberEntries(item[field], this.members[field]).map(([member, value]) => [String(member), JSON.stringify(value)])
+      );
+
+      current.forEach((value, member) => {
+        if (previous.get(member) !== value) {
+          ops.push({ field, member, value });
+        }
+      });
+      previous.forEach((value, member) => {
+        if (!current.has(member)) {
+          ops.push({ field, member, value: null });
+        }
+      });
+    });
+
+    return ops;
+  }
+
+  /**
+   * 변경 목록을 스냅샷에 반영하고 실제로 바뀐 것만 반환
+   *
+   * @param {string} key - 항목 키
+   * @param {Array} ops - 변경 목록
+   * @returns {Array} 스냅샷과 달랐던 변경 목록
+   */
+  applyToSnapshot(key, ops) {
+    if (!this.snapshots.has(key)) {
+      this.snapshots.set(key, { fields: new Map(), members: new Map() });
+    }
+    const snapshot = this.snapshots.get(key);
+
+    return ops.filter(op => {
+      const target = op.member === undefined
+        ? snapshot.fields
+        : (snapshot.members.get(op.field) || snapshot.members.set(op.field, new Map()).get(op.field));
+      const name = op.member === undefined ? op.field : op.member;
+
+      if ((target.get(name) ?? null) === op.value) return false;
+
+      if (op.value === null) {
+        target.delete(name);
+      } else {
+        target.set(name, op.value);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * 다른 노드의 변경을 복사본에 반영 (다시 저장하지 않음)
+   * 기존 항목 객체는 그대로 두고 바뀐 필드/구성원만 바꿉니다. (다른 코드가 참조 중일 수 있으므로)
+   *
+   * @param {string} key - 항목 키
+   * @param {Object} change - { ops } 또는 { removed: true }
+   */
+  applyRemote(key, change) {
+    if (change.removed) {
+      this.items.delete(key);
+      this.snapshots.delete(key);
+      this.pending.delete(key);
+      return;
+    }
+
+    let item = this.items.get(key);
+    if (!item) {
+      item = {};
+      this.memberFields.forEach(field => {
+        item[field] = createContainer(this.members[field]);
+      });
+      this.items.set(key, item);
+    }
+
+    // 카운터는 더 큰 값만 반영 (늦게 도착한 알림으로 값이 줄지 않도록)
+    const ops = change.ops.filter(op => {
+      if (op.member !== undefined || !this.counters.has(op.field) || op.value === null) return true;
+      this.applyCounter(key, op.field, Number(op.value));
+      return false;
+    });
+
+    this.applyToSnapshot(key, ops);
+
+    ops.forEach(op => {
+      if (op.member === undefined) {
+        if (op.value === null) {
+          delete item[op.field];
+        } else {
+          item[op.field] = deserialize(op.value, op.field, this.dateFields);
+        }
+        return;
+      }
+
+      this.applyMember(item, op);
+    });
+  }
+
+  /**
+   * 구성원 하나를 복사본에 반영 (추가, 교체, 삭제)
+   *
+   * @param {Object} item - 항목
+   * @param {Object} op - { field, member, value }
+   */
+  applyMember(item, op) {
+    const spec = this.members[op.field];
+    if (!item[op.field]) {
+      item[op.field] = createContainer(spec);
+    }
+    const container = item[op.field];
+    const value = op.value === null ? undefined : deserialize(op.value, op.field, this.dateFields);
+
+    if (spec.type === 'map') {
+      if (value === undefined) {
+        container.delete(op.member);
+      } else {
+        container.set(op.member, value);
+      }
+      return;
+    }
+
+    if (spec.type === 'object') {
+      if (value === undefined) {
+        delete container[op.member];
+      } else {
+        container[op.member] = value;
+      }
+      return;
+    }
+
+    const index = container.findIndex(member => String(spec.by ? member[spec.by] : member) === op.member);
+    if (value === undefined) {
+      if (index !== -1) container.splice(index, 1);
+    } else if (index !== -1) {
+      container[index] = value;
+    } else {
+      // order가 있으면 정렬 위치에, 없으면 끝에 추가 (users는 입장 순서 유지)
+      const position = spec.order
+        ? container.findIndex(member => member[spec.order] > value[spec.order])
+        : -1;
+
+      if (position === -1) {
+        container.push(value);
+      } else {
+        container.splice(position, 0, value);
+      }
+    }
+  }
+
+  /**
+   * 불러온 항목의 구성원을 order 순서로 정렬
+   * 해시에는 순서가 없으므로 연결할 때 읽어 온 배열/Map을 한 번 정렬합니다.
+   *
+   * @param {string} key - 항목 키
+   */
+  sortMembers(key) {
+    const item = this.items.get(key);
+
+    this.memberFields.forEach(field => {
+      const spec = this.members[field];
+      if (!spec.order || !item[field]) return;
+
+      const compare = (a, b) => (a[spec.order] > b[spec.order]) - (a[spec.order] < b[spec.order]);
+      if (spec.type === 'map') {
+        item[field] = new Map(Array.from(item[field].entries()).sort(([, a], [, b]) => compare(a, b)));
+      } else if (Array.isArray(item[field])) {
+        item[field].sort(compare);
+      }
+    });
+  }
+}
+
+/**
+ * 공유 상태 저장소 생성
+ * 처음에는 memory 백엔드로 동작하고, connect()로 다른 백엔드에 연결합니다.
+ *
+ * @returns {Object} { collection, connect, flush, backendName }
+ */
+function createStateStore() {
+  let backend = createMemoryBackend();
+  const collections = new Map();
+
+  return {
+    /**
+     * 컬렉션 가져오기 (없으면 생성)
+     *
+     * @param {string} name - 컬렉션 이름
+     * @param {Object} [schema] - 저장 방식 (SharedCollection 참고, 처음 만들 때만 사용)
+     * @returns {SharedCollection} Map처럼 쓰는 컬렉션
+     */
+    collection(name, schema) {
+      if (!collections.has(name)) {
+        collections.set(name, new SharedCollection(name, () => backend, schema));
+      }
+      return collections.get(name);
+    },
+
+    /**
+     * 백엔드 연결 (서버가 연결을 받기 전에 호출)
+     * 변경 알림을 먼저 구독한 뒤 저장된 상태를 읽어 복사본을 만들고,
+     * 연결 전에 이 노드에만 만들어 둔 항목은 백엔드에 저장합니다.
+     *
+     * @param {Object} nextBackend - createRedisBackend() 결과
+     */
+    async connect(nextBackend) {
+      backend = nextBackend;
+
+      for (const collection of collections.values()) {
+        await backend.subscribe(collection.name, (key, change) => collection.applyRemote(key, change));
+
+        const entries = await backend.load(collection.name, collection.memberFields);
+        entries.forEach(([key, ops]) => {
+          collection.applyRemote(key, { ops });
+          collection.sortMembers(key);
+        });
+
+        Array.from(collection.keys())
+          .filter(key => !collection.snapshots.has(key))
+          .forEach(key => collection.saveChanges(key));
+      }
+    },
+
+    /**
+     * 모든 컬렉션의 변경 내용을 바로 저장
+     */
+    flush() {
+      collections.forEach(collection => collection.flush());
+    },
+
+    get backendName() {
+      return backend.name;
+    }
+  };
+}
+
+module.exports = {
+  createStateStore,
+  createMemoryBackend,
+  createRedisBackend
+};
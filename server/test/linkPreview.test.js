@@ -0,0 +1,123 @@
+/**
+ * 링크 미리보기 테스트
+ * 로컬 픽스처 서버(127.0.0.1)를 LINK_PREVIEW_ALLOWED_HOSTS에 등록해 실제 요청 경로를 사용합니다.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+let server;
+let origin;
+let linkPreview;
+const hits = new Map();
+
+const PAGE_HTML = `<!doctype html>
+<html><head>
+  <title>대체 제목</title>
+  <meta property="og:title" content="픽스처 &amp; 제목">
+  <meta content="설명입니다" property="og:description">
+  <meta property="og:image" content="/image.png">
+</head><body></body></html>`;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits.set(req.url, (hits.get(req.url) || 0) + 1);
+
+    if (req.url.startsWith('/page')) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(PAGE_HTML);
+    } else if (req.url === '/redirect-private') {
+      // 허용 목록에 없는 이름(localhost)으로 리디렉션 → 루프백 주소라 거부되어야 함
+      res.writeHead(302, { Location: `http://localhost:${server.address().port}/page-via-localhost` });
+      res.end();
+    } else if (req.url === '/slow') {
+      // 응답하지 않음 (시간 초과 확인용)
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+
+  // 설정은 모듈을 처음 불러올 때 읽으므로 서버 포트를 정한 뒤 불러옴
+  process.env.LINK_PREVIEW_ALLOWED_HOSTS = `127.0.0.1:${server.address().port}`;
+  process.env.LINK_PREVIEW_TIMEOUT_MS = '300';
+  linkPreview = require('../linkPreview');
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('Open Graph 태그로 미리보기를 만든다', async () => {
+  const preview = await linkPreview.getPreview(`${origin}/page`);
+
+  assert.deepEqual(preview, {
+    url: `${origin}/page`,
+    title: '픽스처 & 제목',
+    description: '설명입니다',
+    image: `${origin}/image.png`,
+    siteName: '127.0.0.1'
+  });
+});
+
+test('같은 URL은 캐시에서 돌려준다', async () => {
+  const url = `${origin}/page?cached`;
+  const [first, second] = await Promise.all([linkPreview.getPreview(url), linkPreview.getPreview(url)]);
+  const third = await linkPreview.getPreview(url);
+
+  assert.equal(first.title, '픽스처 & 제목');
+  assert.deepEqual(second, first);
+  assert.deepEqual(third, first);
+  assert.equal(hits.get('/page?cached'), 1);
+});
+
+test('사설/루프백 주소는 요청하지 않는다', async () => {
+  assert.equal(await linkPreview.getPreview('http://10.0.0.1/'), null);
+  assert.equal(await linkPreview.getPreview('http://[::1]/'), null);
+
+  // IPv4-mapped IPv6 (URL 파서가 점 표기를 16진수로 바꿔도 거부)
+  const port = server.address().port;
+  assert.equal(await linkPreview.getPreview(`http://[::ffff:7f00:1]:${port}/page-mapped-hex`), null);
+  assert.equal(await linkPreview.getPreview(`http://[::ffff:127.0.0.1]:${port}/page-mapped-dotted`), null);
+  assert.equal(hits.get('/page-mapped-hex'), undefined);
+  assert.equal(hits.get('/page-mapped-dotted'), undefined);
+
+  // 도메인 이름은 연결할 때 해석한 주소로 검사
+  assert.equal(await linkPreview.getPreview(`http://localhost:${server.address().port}/page-direct`), null);
+  assert.equal(hits.get('/page-direct'), undefined);
+
+  // 리디렉션 대상도 다시 검사
+  assert.equal(await linkPreview.getPreview(`${origin}/redirect-private`), null);
+  assert.equal(hits.get('/redirect-private'), 1);
+  assert.equal(hits.get('/page-via-localhost'), undefined);
+});
+
+test('멀티캐스트, 예약, 벤치마크 대역과 IPv6 내부 대역을 막는다', () => {
+  const blocked = [
+    '224.0.0.1', '239.255.255.250', '240.0.0.1', '255.255.255.255', '198.18.0.1', '198.19.255.255',
+    '::ffff:7f00:1', '::ffff:a00:1', '64:ff9b::7f00:1', 'fec0::1', 'ff02::1', 'fd12::1', 'fe80::1'
+  ];
+  const allowed = ['8.8.8.8', '198.20.0.1', '2001:4860:4860::8888'];
+
+  blocked.forEach(address => assert.equal(linkPreview.isPrivateAddress(address), true, address));
+  allowed.forEach(address => assert.equal(linkPreview.isPrivateAddress(address), false, address));
+});
+
+test('응답이 없으면 시간 제한 후 실패로 처리한다', async () => {
+  const startedAt = Date.now();
+  const preview = await linkPreview.getPreview(`${origin}/slow`);
+
+  assert.equal(preview, null);
+  assert.ok(Date.now() - startedAt < 2000);
+});
+
+test('메시지에서 URL을 찾아 미리보기 목록을 만든다', async () => {
+  const previews = await linkPreview.getPreviewsForText(`보세요 ${origin}/page?text. 그리고 http://10.0.0.1/`);
+
+  assert.equal(previews.length, 1);
+  assert.equal(previews[0].url, `${origin}/page?text`);
+});
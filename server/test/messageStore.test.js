@@ -0,0 +1,125 @@
+/**
+ * 메시지 저장소 테스트 (파일 저장)
+ * 임시 디렉터리를 CHAT_DATA_DIR로 지정해 실제 파일을 읽고 씁니다.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let dataDir;
+let messageStore;
+
+before(() => {
+  // 저장 경로는 모듈을 처음 불러올 때 읽으므로 환경 변수를 먼저 설정
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-messages-'));
+  process.env.CHAT_DATA_DIR = dataDir;
+  messageStore = require('../messageStore');
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * 캐시 없이 파일에서 다시 읽는 새 저장소 (서버 재시작 흉내)
+ */
+function reloadStore() {
+  delete require.cache[require.resolve('../messageStore')];
+  return require('../messageStore');
+}
+
+function readRecords(roomId) {
+  return fs.readFileSync(path.join(dataDir, 'messages', `${roomId}.jsonl`), 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+}
+
+test('새 메시지에 채팅방 안의 순번을 붙이고 수정해도 유지한다', () => {
+  assert.equal(messageStore.getLatestSequence('room_seq'), 0);
+
+  messageStore.appendMessage('room_seq', { id: 'm1', user: 'alice', message: '하나' });
+  messageStore.appendMessage('room_seq', { id: 'm2', user: 'bob', message: '둘' });
+  messageStore.updateMessage('room_seq', 'm1', { message: '하나(수정)', edited: true });
+
+  assert.equal(messageStore.getMessage('room_seq', 'm1').seq, 1);
+  assert.equal(messageStore.getMessage('room_seq', 'm2').seq, 2);
+  assert.equal(messageStore.getLatestSequence('room_seq'), 2);
+
+  // 다른 방은 따로 센다
+  messageStore.appendMessage('room_other', { id: 'm3', user: 'alice', message: '셋' });
+  assert.equal(messageStore.getMessage('room_other', 'm3').seq, 1);
+});
+
+test('순번이 없는 예전 기록은 파일 순서대로 번호를 붙인다', () => {
+  const legacy = [
+    { id: 'old1', user: 'alice', message: '예전 1' },
+    { id: 'old2', user: 'bob', message: '예전 2' },
+    { id: 'old1', user: 'alice', message: '예전 1(수정)', edited: true }
+  ];
+  fs.mkdirSync(path.join(dataDir, 'messages'), { recursive: true });
+  fs.writeFileSync(
+    path.join(dataDir, 'messages', 'room_legacy.jsonl'),
+    legacy.map(message => JSON.stringify(message)).join('\n') + '\n'
+  );
+
+  assert.equal(messageStore.getMessage('room_legacy', 'old1').seq, 1);
+  assert.equal(messageStore.getMessage('room_legacy', 'old2').seq, 2);
+
+  messageStore.appendMessage('room_legacy', { id: 'new1', user: 'carol', message: '새 메시지' });
+  assert.equal(messageStore.getMessage('room_legacy', 'new1').seq, 3);
+});
+
+test('수정은 바뀐 필드만 기록하고 다시 읽을 때 합쳐서 복원한다', () => {
+  messageStore.appendMessage('room_update', { id: 'u1', user: 'alice', message: '원래 내용' });
+  messageStore.appendMessage('room_update', { id: 'u2', user: 'bob', message: '둘' });
+  messageStore.updateMessage('room_update', 'u1', { message: '고친 내용', edited: true });
+  messageStore.updateMessage('room_update', 'u1', { reactions: { '👍': ['bob'] } });
+
+  const records = readRecords('room_update');
+  assert.equal(records.length, 4);
+  assert.deepEqual(records[3], { update: 'u1', changes: { reactions: { '👍': ['bob'] } } });
+
+  const reloaded = reloadStore();
+  const message = reloaded.getMessage('room_update', 'u1');
+  assert.equal(message.message, '고친 내용');
+  assert.equal(message.edited, true);
+  assert.deepEqual(message.reactions, { '👍': ['bob'] });
+  assert.equal(message.seq, 1);
+
+  // 순서는 처음 기록된 위치 유지
+  assert.deepEqual(reloaded.getMessagePage('room_update').messages.map(item => item.id), ['u1', 'u2']);
+});
+
+test('지난 기록이 쌓이면 메시지당 한 줄로 파일을 다시 쓴다', () => {
+  messageStore.appendMessage('room_compact', { id: 'c1', user: 'alice', message: '반응 많은 메시지' });
+  for (let i = 0; i < 150; i++) {
+    messageStore.updateMessage('room_compact', 'c1', { reactions: { '👍': [`user${i}`] } });
+  }
+
+  // 100번째 수정에서 한 줄로 정리되고 그 뒤 50줄만 추가됨
+  assert.equal(readRecords('room_compact').length, 51);
+
+  const message = reloadStore().getMessage('room_compact', 'c1');
+  assert.deepEqual(message.reactions, { '👍': ['user149'] });
+  assert.equal(message.seq, 1);
+});
+
+test('예전 형식으로 쌓인 기록은 불러올 때 정리한다', () => {
+  const legacy = [{ id: 'l1', user: 'alice', message: '예전 메시지' }];
+  for (let i = 0; i < 120; i++) {
+    legacy.push({ id: 'l1', user: 'alice', message: `수정 ${i}`, edited: true });
+  }
+  fs.writeFileSync(
+    path.join(dataDir, 'messages', 'room_legacy_many.jsonl'),
+    legacy.map(message => JSON.stringify(message)).join('\n') + '\n'
+  );
+
+  const message = reloadStore().getMessage('room_legacy_many', 'l1');
+  assert.equal(message.message, '수정 119');
+
+  // 순번까지 함께 기록되어 다시 읽어도 같은 번호
+  assert.deepEqual(readRecords('room_legacy_many'), [{ ...legacy[120], seq: 1 }]);
+});
@@ -0,0 +1,86 @@
+/**
+ * 이벤트 속도 제한 테스트
+ * 현재 시각(now)을 직접 넘겨 시간 흐름을 흉내 냅니다.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRateLimiter, DEFAULT_LIMITS, DEFAULT_PENALTIES } = require('../rateLimiter');
+
+/**
+ * 위반이 일시 정지까지 쌓이도록 'chat message'를 계속 보냄
+ * (경고 후 retryAfter가 지날 때마다 다시 보내서 위반을 셈)
+ *
+ * @returns {number} 일시 정지된 시각
+ */
+function floodUntilMuted(limiter, userId, start) {
+  let now = start;
+  for (let i = 0; i < 100; i++) {
+    const limited = limiter.consume(userId, 'chat message', now);
+    if (limited && limited.code === 'RATE_LIMIT_MUTED') return now;
+    now += limited ? limited.retryAfter : 1;
+  }
+  throw new Error('일시 정지되지 않음');
+}
+
+test('RATE_LIMITS는 적은 항목만 기본 한도에 덮어쓴다', () => {
+  const limiter = createRateLimiter({ limits: { 'chat message': { capacity: 2 } } });
+
+  // capacity는 2로 바뀌고 refillPerSecond는 기본값(1) 유지
+  assert.equal(limiter.consume('u1', 'chat message', 0), null);
+  assert.equal(limiter.consume('u1', 'chat message', 0), null);
+  assert.equal(limiter.consume('u1', 'chat message', 0).code, 'RATE_LIMITED');
+  assert.equal(limiter.consume('u1', 'chat message', 1000 / DEFAULT_LIMITS['chat message'].refillPerSecond), null);
+});
+
+test('한도에 없는 이벤트는 이름이 달라도 공용(*) 버킷 하나를 함께 쓴다', () => {
+  const limiter = createRateLimiter();
+  const capacity = DEFAULT_LIMITS['*'].capacity;
+
+  // 매번 다른 이름이어도 버킷이 새로 생기지 않으므로 capacity개 뒤에 거부
+  for (let i = 0; i < capacity; i++) {
+    assert.equal(limiter.consume('u1', `random event ${i}`, 0), null);
+  }
+  assert.equal(limiter.consume('u1', 'another random event', 0).code, 'RATE_LIMITED');
+  assert.equal(limiter.consume('u1', 'constructor', 0).code, 'RATE_LIMITED');
+
+  // 한도가 정해진 이벤트는 따로 셈
+  assert.equal(limiter.consume('u1', 'chat message', 0), null);
+});
+
+test('같은 계정의 여러 탭(소켓)은 한도를 함께 쓴다', () => {
+  const limiter = createRateLimiter();
+  const { capacity } = DEFAULT_LIMITS['chat message'];
+
+  // index.js는 소켓 ID가 아니라 계정 ID로 consume을 호출하므로 탭을 나눠 보내도 같은 버킷
+  for (let i = 0; i < capacity; i++) {
+    assert.equal(limiter.consume('account-1', 'chat message', 0), null);
+  }
+  assert.equal(limiter.consume('account-1', 'chat message', 0).code, 'RATE_LIMITED');
+
+  // 다른 계정은 영향 없음
+  assert.equal(limiter.consume('account-2', 'chat message', 0), null);
+});
+
+test('숫자가 아니거나 너무 작은 한도는 거부한다', () => {
+  assert.throws(() => createRateLimiter({ limits: { 'chat message': { capacity: '10' } } }), /capacity/);
+  assert.throws(() => createRateLimiter({ limits: { 'chat message': { refillPerSecond: 0 } } }), /refillPerSecond/);
+  assert.throws(() => createRateLimiter({ limits: { 'chat message': { capacity: 0.5 } } }), /capacity/);
+  assert.throws(() => createRateLimiter({ limits: { 'chat message': { burst: 3 } } }), /burst/);
+  assert.throws(() => createRateLimiter({ limits: { 'chat message': 10 } }), /객체/);
+  assert.throws(() => createRateLimiter({ limits: [] }), /형식/);
+});
+
+test('정리(prune)해도 진행 중인 제재는 유지된다', () => {
+  const limiter = createRateLimiter();
+  const mutedAt = floodUntilMuted(limiter, 'u1', 0);
+
+  // 다시 연결한 것처럼 정리를 거쳐도 같은 계정은 계속 정지 상태
+  limiter.prune(mutedAt + 1);
+  assert.equal(limiter.consume('u1', 'chat message', mutedAt + 1).code, 'RATE_LIMIT_MUTED');
+
+  // 제재와 위반 기록이 모두 끝난 뒤에는 새 상태로 시작
+  const later = mutedAt + DEFAULT_PENALTIES.muteDurationMs + DEFAULT_PENALTIES.violationWindowMs;
+  limiter.prune(later);
+  assert.equal(limiter.consume('u1', 'chat message', later), null);
+});
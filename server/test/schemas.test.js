@@ -0,0 +1,31 @@
+/**
+ * 수신 이벤트 데이터 검사 테스트
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { string, number, validate } = require('../schemas');
+
+test('문자열은 정리한 값으로 바꾸고 모르는 필드는 버린다', () => {
+  const schema = { message: string('메시지', { required: true, maxLength: 5 }) };
+
+  assert.deepEqual(validate(schema, { message: '  안녕\u0007 ', extra: 1 }), { value: { message: '안녕' } });
+  assert.equal(validate(schema, { message: '   ' }).error.field, 'message');
+  assert.equal(validate(schema, { message: '여섯글자입니다' }).error.code, 'INVALID_PAYLOAD');
+});
+
+test('오류 메시지는 받침에 맞는 조사를 쓴다', () => {
+  const schema = {
+    message: string('메시지', { required: true }),
+    roomName: string('채팅방 이름', { required: true }),
+    limit: number('개수', { min: 1, max: 10 }),
+    slowMode: number('slowMode', { integer: true })
+  };
+
+  assert.equal(validate(schema, {}).error.message, '메시지를 입력해주세요.');
+  assert.equal(validate(schema, { message: 'a' }).error.message, '채팅방 이름을 입력해주세요.');
+  assert.equal(validate(schema, { message: 'a', roomName: 'b', limit: 20 }).error.message, '개수는 1~10 사이여야 합니다.');
+
+  // 마지막 글자가 한글이 아니면 두 조사를 모두 표시
+  assert.equal(validate(schema, { message: 'a', roomName: 'b', slowMode: 1.5 }).error.message, 'slowMode은(는) 정수여야 합니다.');
+});
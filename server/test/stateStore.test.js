@@ -0,0 +1,194 @@
+/**
+ * 공유 상태 저장소 테스트
+ * 같은 메모리 Redis(memory://)에 연결한 stateStore 두 개를 서버 노드 두 대처럼 사용합니다.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createStateStore, createRedisBackend } = require('../stateStore');
+const { createRedisClient } = require('../redisClient');
+
+// index.js의 채팅방 컬렉션과 같은 스키마
+const ROOM_SCHEMA = {
+  members: {
+    users: { by: 'socketId', order: 'joinedAt' },
+    bannedUsers: {},
+    mutedUsers: { by: 'nickname' },
+    lastRead: { type: 'object' },
+    lastMessageAt: { type: 'object' }
+  },
+  dates: ['createdAt', 'joinedAt', 'until', 'readAt']
+};
+
+/**
+ * 서버 노드 하나 (stateStore + 채팅방 컬렉션)
+ *
+ * @param {string} serverName - 메모리 Redis 이름 (같으면 데이터 공유)
+ * @param {string} nodeId - 노드 ID
+ * @returns {Promise<Object>} { store, rooms, client }
+ */
+async function createNode(serverName, nodeId) {
+  const client = await createRedisClient(`memory://${serverName}`);
+  const subscriber = client.duplicate();
+  const store = createStateStore();
+  const rooms = store.collection('rooms', ROOM_SCHEMA);
+
+  await store.connect(createRedisBackend({ client, subscriber, nodeId }));
+  return { store, rooms, client };
+}
+
+// 저장(setImmediate)과 변경 알림 전달(setImmediate)이 모두 끝날 때까지 대기
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+function createRoom(owner) {
+  return {
+    name: '테스트',
+    topic: '',
+    owner: owner.socketId,
+    ownerName: owner.nickname,
+    users: [{ ...owner, isOwner: true, isModerator: false }],
+    createdAt: new Date(),
+    bannedUsers: [],
+    mutedUsers: [],
+    lastRead: {},
+    lastMessageAt: {}
+  };
+}
+
+test('입장, 퇴장, 방장 변경이 다른 노드에 전달된다', async () => {
+  const a = await createNode('join-leave', 'node-a');
+  const b = await createNode('join-leave', 'node-b');
+
+  a.rooms.set('room_1', createRoom({ socketId: 'sa', nickname: 'alice', joinedAt: new Date(1000) }));
+  await settle();
+
+  assert.equal(b.rooms.get('room_1').ownerName, 'alice');
+  assert.deepEqual(b.rooms.get('room_1').users.map(user => user.nickname), ['alice']);
+
+  // 두 노드에서 같은 틱에 서로 다른 사용자가 입장 (어느 쪽도 사라지면 안 됨)
+  a.rooms.get('room_1').users.push({ socketId: 'sc', nickname: 'carol', joinedAt: new Date(3000), isOwner: false });
+  b.rooms.get('room_1').users.push({ socketId: 'sb', nickname: 'bob', joinedAt: new Date(2000), isOwner: false });
+  await settle();
+
+  for (const node of [a, b]) {
+    assert.deepEqual(node.rooms.get('room_1').users.map(user => user.nickname), ['alice', 'bob', 'carol']);
+  }
+
+  // 노드 A에서 방장이 나가고 bob이 방장 승계, 같은 틱에 노드 B에서 방 주제 변경
+  const roomA = a.rooms.get('room_1');
+  roomA.users.splice(0, 1);
+  roomA.users[0].isOwner = true;
+  roomA.owner = 'sb';
+  roomA.ownerName = 'bob';
+  b.rooms.get('room_1').topic = '새 주제';
+  await settle();
+
+  for (const node of [a, b]) {
+    const room = node.rooms.get('room_1');
+    assert.equal(room.owner, 'sb');
+    assert.equal(room.ownerName, 'bob');
+    assert.equal(room.topic, '새 주제');
+    assert.deepEqual(room.users.map(user => [user.nickname, user.isOwner]), [['bob', true], ['carol', false]]);
+  }
+
+  // 방 삭제
+  b.rooms.delete('room_1');
+  await settle();
+  assert.equal(a.rooms.has('room_1'), false);
+});
+
+test('get()으로 읽기만 한 항목은 저장하지 않는다', async () => {
+  const a = await createNode('read-only', 'node-a');
+  a.rooms.set('room_1', createRoom({ socketId: 'sa', nickname: 'alice', joinedAt: new Date() }));
+  await settle();
+
+  let writes = 0;
+  const multi = a.client.multi.bind(a.client);
+  a.client.multi = () => {
+    writes++;
+    return multi();
+  };
+
+  a.rooms.get('room_1');
+  a.rooms.get('room_1').users.find(user => user.socketId === 'sa');
+  await settle();
+  assert.equal(writes, 0);
+
+  a.rooms.get('room_1').users[0].isModerator = true;
+  await settle();
+  assert.equal(writes, 1);
+});
+
+test('나중에 연결한 노드는 저장된 상태를 읽고, 날짜 필드만 Date로 복원한다', async () => {
+  const a = await createNode('load', 'node-a');
+  const room = createRoom({ socketId: 'sa', nickname: 'alice', joinedAt: new Date(1000) });
+  room.users.push({ socketId: 'sb', nickname: 'bob', joinedAt: new Date(2000), isOwner: false });
+  room.topic = '2024-01-01T00:00:00.000Z';
+  room.mutedUsers.push({ nickname: 'bob', until: new Date(5000) });
+  a.rooms.set('room_1', room);
+  await settle();
+
+  const c = await createNode('load', 'node-c');
+  const loaded = c.rooms.get('room_1');
+
+  assert.deepEqual(loaded.users.map(user => user.nickname), ['alice', 'bob']);
+  assert.ok(loaded.users[0].joinedAt instanceof Date);
+  assert.ok(loaded.createdAt instanceof Date);
+  assert.equal(loaded.mutedUsers[0].until.getTime(), 5000);
+  assert.equal(loaded.topic, '2024-01-01T00:00:00.000Z');
+});
+
+test('메시지 저장소를 공유하면 다른 노드에서 같은 기록을 읽는다', async () => {
+  const messageStore = require('../messageStore');
+
+  const client = await createRedisClient('memory://messages');
+  const storeA = createStateStore();
+  messageStore.useSharedState(storeA);
+  await storeA.connect(createRedisBackend({ client, subscriber: client.duplicate(), nodeId: 'node-a' }));
+
+  const b = createStateStore();
+  const messagesB = b.collection('messages', { members: { messages: { type: 'map' } }, counters: ['lastSeq'], track: false });
+  await b.connect(createRedisBackend({ client, subscriber: client.duplicate(), nodeId: 'node-b' }));
+
+  // 공유 기록에는 순번을 먼저 받아야 저장할 수 있음
+  assert.throws(() => messageStore.appendMessage('room_1', { id: 'm0', user: 'alice', message: '순번 없음' }), /reserveSequence/);
+
+  const seq = await messageStore.reserveSequence('room_1');
+  messageStore.appendMessage('room_1', { id: 'm1', seq, user: 'alice', message: '안녕', serverTimestamp: new Date(1000) });
+  messageStore.updateMessage('room_1', 'm1', { message: '안녕하세요', edited: true });
+  await settle();
+
+  const message = messagesB.get('room_1').messages.get('m1');
+  assert.equal(message.message, '안녕하세요');
+  assert.equal(message.edited, true);
+
+  // 순번은 수정해도 그대로이고, 마지막 순번도 다른 노드에 전달
+  assert.equal(message.seq, 1);
+  assert.equal(messagesB.get('room_1').lastSeq, 1);
+});
+
+test('카운터는 두 노드가 동시에 늘려도 같은 값을 주지 않고, 늦게 온 알림으로 줄지 않는다', async () => {
+  const schema = { members: { messages: { type: 'map' } }, counters: ['lastSeq'], track: false };
+  const client = await createRedisClient('memory://counter');
+
+  const nodes = [];
+  for (const nodeId of ['node-a', 'node-b']) {
+    const store = createStateStore();
+    const messages = store.collection('messages', schema);
+    await store.connect(createRedisBackend({ client, subscriber: client.duplicate(), nodeId }));
+    messages.set('room_1', { messages: new Map(), lastSeq: 0 });
+    nodes.push(messages);
+  }
+  await settle();
+
+  // 같은 순간에 양쪽에서 세 번씩 늘림
+  const values = await Promise.all([0, 1, 0, 1, 0, 1].map(index => nodes[index].increment('room_1', 'lastSeq')));
+  assert.deepEqual([...values].sort((a, b) => a - b), [1, 2, 3, 4, 5, 6]);
+
+  await settle();
+  nodes.forEach(messages => assert.equal(messages.get('room_1').lastSeq, 6));
+
+  // 순서가 바뀌어 늦게 도착한 작은 값은 무시
+  nodes[0].applyRemote('room_1', { ops: [{ field: 'lastSeq', value: '3' }] });
+  assert.equal(nodes[0].get('room_1').lastSeq, 6);
+});
@@ -0,0 +1,35 @@
+/**
+ * 인증 토큰 테스트
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'test-secret';
+const { issueToken, issueScopedToken, verifyToken, verifyScopedToken } = require('../token');
+
+const account = { id: 'user_1', username: 'alice' };
+
+test('용도가 정해진 토큰은 그 용도로만 쓸 수 있다', () => {
+  const { token } = issueScopedToken('attachments', account, { room: 'room_1' }, 60);
+
+  const payload = verifyScopedToken(token, 'attachments');
+  assert.equal(payload.room, 'room_1');
+  assert.equal(payload.username, 'alice');
+
+  // 로그인 토큰이나 다른 용도로는 거부
+  assert.throws(() => verifyToken(token), { code: 'TOKEN_INVALID' });
+  assert.throws(() => verifyScopedToken(token, 'other'), { code: 'TOKEN_INVALID' });
+});
+
+test('로그인 토큰은 다운로드 토큰으로 쓸 수 없다', () => {
+  const { token } = issueToken(account);
+
+  assert.equal(verifyToken(token).sub, 'user_1');
+  assert.throws(() => verifyScopedToken(token, 'attachments'), { code: 'TOKEN_INVALID' });
+});
+
+test('만료된 토큰은 거부한다', () => {
+  const { token } = issueScopedToken('attachments', account, { room: 'room_1' }, -1);
+
+  assert.throws(() => verifyScopedToken(token, 'attachments'), { code: 'TOKEN_EXPIRED' });
+});
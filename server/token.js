@@ -0,0 +1,172 @@
+/**
+ * 인증 토큰(JWT) 유틸리티
+ * 로그인한 계정에 HS256 서명 JWT를 발급하고 검증합니다.
+ *
+ * 토큰 내용 (payload):
+ * - sub: 계정 ID
+ * - username: 계정 이름 (채팅에서 닉네임으로 사용)
+ * - iat / exp: 발급 / 만료 시각 (초 단위 Unix 시간)
+ *
+ * 용도가 정해진 짧은 토큰 (issueScopedToken):
+ * - scope: 용도 ('attachments' 등), 로그인 토큰으로는 쓸 수 없음
+ * - 첨부 파일 주소처럼 헤더를 붙일 수 없는 요청에 주소(쿼리)로 전달
+ *
+ * 서명 키는 JWT_SECRET 환경 변수로 지정합니다.
+ * 지정하지 않으면 서버를 시작할 때마다 임시 키를 만들므로
+ * 재시작하면 이전에 발급한 토큰은 모두 무효가 됩니다.
+ */
+const crypto = require('crypto');
+
+// 토큰 유효 시간 (초, 기본 1시간)
+const TOKEN_TTL_SECONDS = Number(process.env.JWT_TTL_SECONDS) || 60 * 60;
+
+const SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️ JWT_SECRET이 설정되지 않아 임시 서명 키를 사용합니다. (재시작 시 모든 토큰 무효)');
+}
+
+/**
+ * 토큰 검증 실패 에러
+ * code: 'TOKEN_MISSING' | 'TOKEN_INVALID' | 'TOKEN_EXPIRED'
+ */
+class TokenError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+  }
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+}
+
+/**
+ * payload에 발급/만료 시각을 붙여 서명한 토큰 생성
+ *
+ * @param {Object} claims - 토큰 내용
+ * @param {number} ttlSeconds - 유효 시간 (초)
+ * @returns {Object} { token, expiresAt } (expiresAt: ISO 문자열)
+ */
+function encode(claims, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { ...claims, iat: now, exp: now + ttlSeconds };
+
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(payload));
+  const token = `${header}.${body}.${sign(`${header}.${body}`)}`;
+
+  return {
+    token,
+    expiresAt: new Date(payload.exp * 1000).toISOString()
+  };
+}
+
+/**
+ * 계정 토큰 발급
+ *
+ * @param {Object} account - { id, username }
+ * @returns {Object} { token, expiresAt } (expiresAt: ISO 문자열)
+ */
+function issueToken(account) {
+  return encode({ sub: account.id, username: account.username }, TOKEN_TTL_SECONDS);
+}
+
+/**
+ * 용도가 정해진 토큰 발급 (로그인 토큰으로는 쓸 수 없음)
+ *
+ * @param {string} scope - 용도 ('attachments' 등)
+ * @param {Object} account - { id, username }
+ * @param {Object} claims - 용도별 내용 (예: { room })
+ * @param {number} ttlSeconds - 유효 시간 (초)
+ * @returns {Object} { token, expiresAt }
+ */
+function issueScopedToken(scope, account, claims, ttlSeconds) {
+  return encode({ ...claims, scope, sub: account.id, username: account.username }, ttlSeconds);
+}
+
+/**
+ * 토큰 검증
+ * 서명과 만료 시각을 확인하고 payload를 반환합니다.
+ * 용도가 정해진 토큰(scope)은 로그인 토큰으로 인정하지 않습니다.
+ *
+ * @param {string} token - JWT 문자열
+ * @returns {Object} payload { sub, username, iat, exp }
+ * @throws {TokenError} 토큰이 없거나 잘못되었거나 만료된 경우
+ */
+function verifyToken(token) {
+  const payload = decode(token);
+
+  if (payload.scope !== undefined) {
+    throw new TokenError('유효하지 않은 인증 토큰입니다.', 'TOKEN_INVALID');
+  }
+  return payload;
+}
+
+/**
+ * 용도가 정해진 토큰 검증
+ *
+ * @param {string} token - JWT 문자열
+ * @param {string} scope - 기대하는 용도
+ * @returns {Object} payload { scope, sub, username, iat, exp, ... }
+ * @throws {TokenError} 토큰이 없거나 잘못되었거나 만료되었거나 용도가 다른 경우
+ */
+function verifyScopedToken(token, scope) {
+  const payload = decode(token);
+
+  if (payload.scope !== scope) {
+    throw new TokenError('유효하지 않은 인증 토큰입니다.', 'TOKEN_INVALID');
+  }
+  return payload;
+}
+
+/**
+ * 서명과 만료 시각 확인 후 payload 반환
+ */
+function decode(token) {
+  if (typeof token !== 'string' || token.length === 0) {
+    throw new TokenError('로그인이 필요합니다.', 'TOKEN_MISSING');
+  }
+
+  const [header, body, signature] = token.split('.');
+  if (!header || !body || !signature) {
+    throw new TokenError('유효하지 않은 인증 토큰입니다.', 'TOKEN_INVALID');
+  }
+
+  const expected = Buffer.from(sign(`${header}.${body}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new TokenError('유효하지 않은 인증 토큰입니다.', 'TOKEN_INVALID');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new TokenError('유효하지 않은 인증 토큰입니다.', 'TOKEN_INVALID');
+  }
+
+  if (!payload.sub || !payload.username || typeof payload.exp !== 'number') {
+    throw new TokenError('유효하지 않은 인증 토큰입니다.', 'TOKEN_INVALID');
+  }
+
+  if (payload.exp * 1000 <= Date.now()) {
+    throw new TokenError('인증이 만료되었습니다. 다시 로그인해주세요.', 'TOKEN_EXPIRED');
+  }
+
+  return payload;
+}
+
+module.exports = {
+  issueToken,
+  issueScopedToken,
+  verifyToken,
+  verifyScopedToken,
+  TokenError,
+  TOKEN_TTL_SECONDS
+};
@@ -0,0 +1,121 @@
+/**
+ * 첨부 파일 API 클라이언트
+ * 파일 업로드와 다운로드 주소를 담당합니다.
+ *
+ * 업로드는 multipart가 아니라 파일 내용을 본문 그대로 보냅니다.
+ * (파일 이름은 X-File-Name 헤더, 종류는 Content-Type)
+ *
+ * 응답 형식 (성공): { attachment: { id, name, size, mimeType, isImage } }
+ * 실패 시에는 서버가 보낸 { error, code }를 담은 Error를 던집니다.
+ */
+import axios from 'axios'
+
+// 업로드 서버 URL (소켓 서버와 같은 서버)
+const API_SERVER_URL = 'http://localhost:3000'
+
+// 파일 하나의 최대 크기 (서버 기본값과 같음, 올리기 전에 미리 확인)
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024
+
+// 메시지 하나에 첨부할 수 있는 최대 파일 수 (서버와 같음)
+export const MAX_ATTACHMENTS_PER_MESSAGE = 5
+
+// 허용하는 파일 종류 (서버 ALLOWED_TYPES와 같은 목록)
+export const ALLOWED_ATTACHMENT_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'application/zip',
+  'text/plain'
+]
+
+const api = axios.create({
+  baseURL: API_SERVER_URL,
+  timeout: 60000
+})
+
+/**
+ * 요청 실패를 { message, code }가 담긴 Error로 변환
+ *
+ * @param {Error} error - axios 에러
+ * @returns {Error} 화면에 보여줄 메시지와 에러 코드를 담은 Error
+ */
+function toUploadError(error) {
+  const data = error.response?.data
+  const uploadError = new Error(data?.error || '파일을 올리지 못했습니다.')
+  uploadError.code = data?.code || 'NETWORK_ERROR'
+  uploadError.status = error.response?.status || 0
+  return uploadError
+}
+
+/**
+ * 올리기 전 파일 검사 (서버도 같은 기준으로 다시 검사)
+ *
+ * @param {File} file - 올릴 파일
+ * @returns {string|null} 오류 메시지, 통과하면 null
+ */
+export function checkAttachment(file) {
+  if (!ALLOWED_ATTACHMENT_TYPES.includes(file.type)) {
+    return `${file.name}: 지원하지 않는 파일 형식입니다.`
+  }
+
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    return `${file.name}: 파일은 ${MAX_ATTACHMENT_SIZE / 1024 / 1024}MB까지 올릴 수 있습니다.`
+  }
+
+  return null
+}
+
+/**
+ * 파일 업로드
+ *
+ * @param {File} file - 올릴 파일
+ * @param {string} token - 로그인 토큰
+ * @param {Function} [onProgress] - 진행률 콜백 (0~100)
+ * @returns {Promise<Object>} 첨부 파일 정보 { id, name, size, mimeType, isImage }
+ */
+export async function uploadAttachment(file, token, onProgress) {
+  try {
+    const response = await api.post('/uploads', file, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': file.type,
+        'X-File-Name': encodeURIComponent(file.name || 'file')
+      },
+      onUploadProgress: (event) => {
+        if (onProgress && event.total) {
+          onProgress(Math.round((event.loaded / event.total) * 100))
+        }
+      }
+    })
+    return response.data.attachment
+  } catch (error) {
+    throw toUploadError(error)
+  }
+}
+
+/**
+ * 첨부 파일 다운로드(표시) 주소
+ * <img src>에는 헤더를 붙일 수 없으므로 채팅방 다운로드 토큰(requestAttachmentAccess)을 주소에 넣습니다.
+ *
+ * @param {Object} attachment - 첨부 파일 정보
+ * @param {Object|null} access - 다운로드 토큰 { token, expiresAt } (없으면 주소 없음)
+ * @returns {string|null} 주소
+ */
+export function getAttachmentUrl(attachment, access) {
+  if (!access?.token) return null
+  return `${API_SERVER_URL}/uploads/${attachment.id}?access=${encodeURIComponent(access.token)}`
+}
+
+/**
+ * 파일 크기 표시 (예: 1.2MB)
+ *
+ * @param {number} size - 바이트
+ * @returns {string} 표시용 문자열
+ */
+export function formatFileSize(size) {
+  if (size < 1024) return `${size}B`
+  if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)}KB`
+  return `${(size / 1024 / 1024).toFixed(1)}MB`
+}
@@ -0,0 +1,79 @@
+/**
+ * 인증 API 클라이언트
+ * 회원가입, 로그인, 토큰 갱신 REST 요청을 담당합니다.
+ * 
+ * 응답 형식 (성공): { token, expiresAt, user: { id, username } }
+ * 실패 시에는 서버가 보낸 { error, code }를 담은 Error를 던집니다.
+ */
+import axios from 'axios'
+
+// 인증 API 서버 URL (소켓 서버와 같은 서버)
+const API_SERVER_URL = 'http://localhost:3000'
+
+const api = axios.create({
+  baseURL: API_SERVER_URL,
+  timeout: 10000
+})
+
+/**
+ * 요청 실패를 { message, code }가 담긴 Error로 변환
+ * 
+ * @param {Error} error - axios 에러
+ * @returns {Error} 화면에 보여줄 메시지와 에러 코드를 담은 Error
+ */
+function toAuthError(error) {
+  const data = error.response?.data
+  const authError = new Error(data?.error || '서버에 연결할 수 없습니다.')
+  authError.code = data?.code || 'NETWORK_ERROR'
+  authError.status = error.response?.status || 0
+  return authError
+}
+
+/**
+ * 회원가입
+ * 
+ * @param {string} username - 계정 이름 (채팅 닉네임으로 사용)
+ * @param {string} password - 비밀번호
+ * @returns {Promise<Object>} { token, expiresAt, user }
+ */
+export async function register(username, password) {
+  try {
+    const response = await api.post('/auth/register', { username, password })
+    return response.data
+  } catch (error) {
+    throw toAuthError(error)
+  }
+}
+
+/**
+ * 로그인
+ * 
+ * @param {string} username - 계정 이름
+ * @param {string} password - 비밀번호
+ * @returns {Promise<Object>} { token, expiresAt, user }
+ */
+export async function login(username, password) {
+  try {
+    const response = await api.post('/auth/login', { username, password })
+    return response.data
+  } catch (error) {
+    throw toAuthError(error)
+  }
+}
+
+/**
+ * 토큰 갱신 (만료되기 전에 호출해야 함)
+ * 
+ * @param {string} token - 현재 토큰
+ * @returns {Promise<Object>} { token, expiresAt, user }
+ */
+export async function refresh(token) {
+  try {
+    const response = await api.post('/auth/refresh', null, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+    return response.data
+  } catch (error) {
+    throw toAuthError(error)
+  }
+}
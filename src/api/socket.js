@@ -11,11 +11,34 @@ import { io } from 'socket.io-client'
 // 소켓 서버 URL - 로컬 서버 URL로 변경
 const SOCKET_SERVER_URL = 'http://localhost:3000'
 
+// 세션 토큰 저장 키 (sessionStorage - 탭별로 유지, 새로고침 후에도 남음)
+const SESSION_STORAGE_KEY = 'chatSessionToken'
+
+// 로그인 인증 토큰 (JWT) - 로그인/토큰 갱신 시 userStore가 설정
+let authToken = null
+
+// 응답(ack)을 기다리는 요청의 기본 대기 시간 (밀리초)
+const REQUEST_TIMEOUT = 10000
+
 // 소켓 연결 옵션
 const options = {
   reconnectionAttempts: 5, // 재연결 시도 횟수
   reconnectionDelay: 1000, // 재연결 지연 시간 (밀리초)
-  autoConnect: true // 자동 연결 여부
+  autoConnect: false, // 로그인해서 토큰을 받은 뒤에 연결 (connectSocket)
+  /**
+   * 연결 시 서버로 보내는 인증 정보 (handshake.auth)
+   * 
+   * 연결(재연결 포함)할 때마다 호출되므로 항상 최신 토큰이 전송됩니다.
+   * - token: 로그인 인증 토큰 (없거나 만료되면 서버가 연결 거부)
+   * - sessionToken: 이전 연결의 세션 토큰. 서버가 유예 시간 안의 재연결로 보고
+   *   같은 채팅방, 같은 방장 여부로 복구해 줍니다.
+   */
+  auth: (callback) => {
+    callback({
+      token: authToken,
+      sessionToken: sessionStorage.getItem(SESSION_STORAGE_KEY)
+    })
+  }
 }
 
 /**
@@ -66,7 +89,20 @@ socket.on('connect', () => {
   console.log('연결 상태:', socket.connected)
 })
 
+/**
+ * 세션 토큰 수신 이벤트
+ * 
+ * 서버가 연결마다 세션 토큰을 발급합니다.
+ * 재연결(자동 재연결, 새로고침) 시 이 토큰을 handshake.auth로 다시 보냅니다.
+ */
+socket.on('session', (data) => {
+  console.log('세션 토큰 수신 (재연결 유예 시간:', data.gracePeriod / 1000, '초)')
+
+  sessionStorage.setItem(SESSION_STORAGE_KEY, data.sessionToken)
+})
+
 // 연결 에러 이벤트
+// 인증 실패(error.data.code: TOKEN_*)는 App.vue에서 토큰 갱신/로그아웃 처리
 socket.on('connect_error', (error) => {
   console.error('소켓 연결 에러:', error)
   console.log('재연결 시도 중...')
@@ -98,96 +134,298 @@ socket.on('reconnect', (attemptNumber) => {
 })
 
 /**
- * 채팅방 생성 관련 이벤트
- * 새로운 기능: 사용자가 직접 채팅방을 생성할 수 있습니다.
+ * 요청 실패 이벤트
+ * 
+ * 서버는 모든 요청 실패(채팅방 생성/입장 실패, 권한 없음, 잘못된 데이터, 속도 제한 등)를
+ * 'error' { event, code, message, ...추가 정보 } 하나로 보냅니다.
+ * 화면 표시는 각 화면(Lobby, ChatRoom, DirectMessage)의 'error' 핸들러가 event에 따라 처리합니다.
+ * 
+ * 이전 클라이언트 호환을 위해 ack 없는 요청은 예전 실패 이벤트('room creation failed',
+ * 'join failed', 'leave failed', 'message update failed' 등)도 함께 받습니다.
+ * 이 클라이언트는 'error'만 사용합니다.
  */
-
-// 채팅방 생성 성공 이벤트
-socket.on('room created', (data) => {
-  console.log('채팅방 생성 성공:', data)
-  console.log(`새 채팅방: ${data.room.name} (ID: ${data.room.id})`)
-  console.log(`방장 여부: ${data.room.isOwner ? '예' : '아니오'}`)
+socket.on('error', (error) => {
+  console.error(`요청 실패 (${error.event}): [${error.code}] ${error.message}`)
 })
 
-// 채팅방 생성 실패 이벤트
-socket.on('room creation failed', (error) => {
-  console.error('채팅방 생성 실패:', error)
-  console.error(`에러 코드: ${error.code}`)
-  console.error(`에러 메시지: ${error.error}`)
-})
+/**
+ * 요청 실패 에러
+ * 
+ * 응답(ack)을 기다리는 요청(createRoom, joinRoom 등)이 실패하면 이 에러로 reject됩니다.
+ * - event: 실패한 요청 이벤트 ('create room', 'join' 등)
+ * - code: 서버의 실패 코드 (ROOM_NOT_FOUND, WRONG_PASSWORD, RATE_LIMITED 등)
+ * - details: 서버가 함께 보낸 추가 정보 (room, retryAfter, field 등)
+ */
+export class RequestError extends Error {
+  constructor({ event, code, message, ...details }) {
+    super(message)
+    this.name = 'RequestError'
+    this.event = event
+    this.code = code
+    this.details = details
+  }
+}
 
 /**
- * 채팅방 입장 관련 이벤트
+ * 응답 시간 초과 에러 (code: 'TIMEOUT')
+ * 서버가 요청을 처리했는지 알 수 없으므로 다시 시도하기 전에 상태를 확인할 것
  */
+export class RequestTimeoutError extends RequestError {
+  constructor(event, timeout) {
+    super({ event, code: 'TIMEOUT', message: `서버 응답이 없습니다. (${timeout / 1000}초 초과)`, timeout })
+    this.name = 'RequestTimeoutError'
+  }
+}
 
-// 채팅방 입장 실패 이벤트
-socket.on('join failed', (error) => {
-  console.error('채팅방 입장 실패:', error)
-  console.error(`에러 코드: ${error.code}`)
-  console.error(`에러 메시지: ${error.error}`)
-})
+/**
+ * 연결 끊김 에러 (code: 'NOT_CONNECTED')
+ * 서버에 연결되지 않은 상태에서 요청하면 보내지 않고 바로 reject
+ */
+export class NotConnectedError extends RequestError {
+  constructor(event) {
+    super({ event, code: 'NOT_CONNECTED', message: '서버에 연결되어 있지 않습니다. 연결이 복구되면 다시 시도하세요.' })
+    this.name = 'NotConnectedError'
+  }
+}
 
-// 채팅방 나가기 실패 이벤트
-socket.on('leave failed', (error) => {
-  console.error('채팅방 나가기 실패:', error)
-  console.error(`에러 코드: ${error.code}`)
-  console.error(`에러 메시지: ${error.error}`)
-})
+/**
+ * 응답(ack)을 기다리는 요청 전송
+ * 
+ * 서버는 ack가 있는 요청에 { ok: true, ... } 또는 { ok: false, error: { event, code, message } }로 응답합니다.
+ * (ack 없이 보내면 'room created', 'join confirmed', 'error' 등 기존 이벤트로 응답)
+ * 서버는 입력 중 표시('typing start', 'typing stop')를 뺀 모든 요청에 ack를 지원합니다.
+ * (메시지 수정/삭제, 반응, 명령어, DM 등은 이 클라이언트에서 아직 이벤트 방식으로 보냄)
+ * 
+ * @param {string} event - 요청 이벤트 이름
+ * @param {Object} data - 전송 데이터
+ * @param {Object} [options] - { timeout = REQUEST_TIMEOUT }
+ * @returns {Promise<Object>} 서버 응답 (ok 포함)
+ */
+function request(event, data, { timeout = REQUEST_TIMEOUT } = {}) {
+  return new Promise((resolve, reject) => {
+    if (!socket.connected) {
+      reject(new NotConnectedError(event))
+      return
+    }
+
+    socket.timeout(timeout).emit(event, data, (timeoutError, response) => {
+      if (timeoutError) {
+        reject(new RequestTimeoutError(event, timeout))
+        return
+      }
+
+      if (!response || !response.ok) {
+        reject(new RequestError(response?.error || { event, code: 'REQUEST_FAILED', message: '요청에 실패했습니다.' }))
+        return
+      }
+
+      resolve(response)
+    })
+  })
+}
 
 /**
- * 방장 시스템 관련 이벤트
- * 방장 권한 위임, 변경 등을 처리합니다.
+ * 채팅방 생성 (생성자는 방장으로 바로 입장)
+ * 
+ * @param {Object} options - { roomName, isPrivate, password }
+ * @returns {Promise<Object>} { room, message }
  */
+export function createRoom({ roomName, isPrivate = false, password }) {
+  return request('create room', { roomName, isPrivate, password })
+}
 
-// 방장 권한 위임 이벤트 (나에게 방장 권한이 넘어왔을 때)
-socket.on('ownership transferred', (data) => {
-  console.log('👑 방장 권한을 받았습니다!')
-  console.log(`채팅방: ${data.room.name}`)
-  console.log(`메시지: ${data.message}`)
-  console.log(`시간: ${new Date(data.timestamp).toLocaleString()}`)
-})
+/**
+ * 채팅방 입장
+ * 
+ * @param {string} roomId - 채팅방 ID
+ * @param {string} [password] - 비공개 방 비밀번호
+ * @returns {Promise<Object>} { room, history, hasMoreHistory, message }
+ */
+export function joinRoom(roomId, password) {
+  return request('join', { room: roomId, password })
+}
 
-// 방장 변경 알림 이벤트 (다른 사람이 방장이 되었을 때)
-socket.on('owner changed', (data) => {
-  console.log('👑 방장이 변경되었습니다')
-  console.log(`새로운 방장: ${data.newOwner}`)
-  console.log(`메시지: ${data.message}`)
-  console.log(`시간: ${new Date(data.timestamp).toLocaleString()}`)
-})
+/**
+ * 채팅방 나가기
+ * 
+ * @param {string} roomId - 채팅방 ID
+ * @returns {Promise<Object>} { room, roomDeleted, newOwner, message }
+ */
+export function leaveRoom(roomId) {
+  return request('leave', { room: roomId })
+}
+
+/**
+ * 메시지 전송
+ * 방의 다른 참여자와 나에게는 'chat message'로도 전달되고, 응답으로 서버에 저장된 메시지를 받습니다.
+ * 
+ * @param {Object} message - { room, message, replyTo, attachments, action }
+ * @returns {Promise<Object>} { message } (서버가 ID와 시각을 붙인 메시지)
+ */
+export function sendMessage(message) {
+  return request('chat message', message)
+}
+
+/**
+ * 채팅방 설정 변경 (방장 전용)
+ * 방 전체에는 'room updated'로 알림이 갑니다.
+ * 
+ * @param {string} roomId - 채팅방 ID
+ * @param {Object} settings - 바꿀 항목 { name, topic, description, maxUsers, slowMode }
+ * @returns {Promise<Object>} { room, settings } (실제로 바뀐 항목)
+ */
+export function updateRoom(roomId, settings) {
+  return request('update room', { room: roomId, settings })
+}
+
+/**
+ * 방장/부방장 관리 요청
+ * 결과는 방 전체 알림('user left', 'user muted', 'role updated' 등)으로도 전달됩니다.
+ * 
+ * @param {string} event - 'kick user' | 'ban user' | 'mute user' | 'unmute user' | 'transfer ownership' | 'set moderator'
+ * @param {Object} data - { room, target, duration, isModerator }
+ * @returns {Promise<Object>} { action, room, target, ... }
+ */
+export function moderateUser(event, data) {
+  return request(event, data)
+}
+
+/**
+ * 첨부 파일 다운로드 토큰 요청
+ * 첨부 파일 주소(getAttachmentUrl)에 붙여 쓰며, 만료되기 전에 다시 요청해야 합니다.
+ * 
+ * @param {string} roomId - 채팅방 ID
+ * @returns {Promise<Object>} { room, token, expiresAt }
+ */
+export function requestAttachmentAccess(roomId) {
+  return request('attachment access', { room: roomId })
+}
+
+/**
+ * 인증 토큰을 설정하고 소켓 연결
+ * 이미 연결되어 있으면 토큰만 바꿉니다. (다음 재연결부터 새 토큰 사용)
+ * 
+ * @param {string} token - 로그인 인증 토큰
+ */
+export function connectSocket(token) {
+  authToken = token
+
+  if (!socket.connected) {
+    socket.connect()
+  }
+}
+
+/**
+ * 소켓 연결 종료 (로그아웃)
+ * 다른 계정으로 로그인할 때 이전 세션이 복구되지 않도록 세션 토큰도 삭제합니다.
+ */
+export function disconnectSocket() {
+  authToken = null
+  sessionStorage.removeItem(SESSION_STORAGE_KEY)
+  socket.disconnect()
+}
 
 /**
  * 이 socket 인스턴스는 애플리케이션 전체에서 공유됩니다.
  * 
  * 사용하는 컴포넌트들:
+ * - userStore: 로그인/로그아웃 시 연결 및 종료
  * - Lobby.vue: 채팅방 목록 요청, 채팅방 생성
  * - ChatRoom.vue: 채팅방 입장/퇴장, 메시지 송수신
+ * - DirectMessage.vue: 1:1 대화 송수신
+ * - App.vue: 세션 복구, DM 대화 목록/읽지 않은 수 갱신
+ * 
+ * 요청 함수 (응답을 Promise로 받음, 실패하면 RequestError로 reject):
+ * - createRoom({ roomName, isPrivate, password }), joinRoom(roomId, password)
+ * - leaveRoom(roomId), sendMessage(message), updateRoom(roomId, settings), moderateUser(event, data)
+ * - requestAttachmentAccess(roomId): 첨부 파일 주소에 넣을 다운로드 토큰 (만료 전에 다시 요청)
+ * - 응답이 없으면 RequestTimeoutError(TIMEOUT), 연결이 없으면 NotConnectedError(NOT_CONNECTED)
  * 
  * 주요 이벤트들:
  * 
+ * 연결 인증:
+ * - 로그인 후 connectSocket(token)으로 연결 (handshake.auth.token)
+ * - 토큰이 없거나 만료되면 서버가 연결을 거부 (connect_error, error.data.code)
+ * - 모든 이벤트의 발신자 이름은 서버가 토큰의 계정 이름으로 정함
+ * 
  * 클라이언트 → 서버:
  * - create room: 새 채팅방 생성
  * - join: 채팅방 입장
  * - leave: 채팅방 퇴장  
- * - chat message: 메시지 전송
+ * - chat message: 메시지 전송 (답글이면 replyTo에 원본 메시지 ID, 첨부 파일은 attachments에 업로드한 ID 목록)
+ *   clientId: 클라이언트가 붙인 메시지 ID - 같은 clientId로 다시 보내면 서버가 저장된 메시지로 응답 (중복 방지)
  * - get rooms: 채팅방 목록 요청
+ * - load older messages: 이전 메시지 페이지 요청
+ * - load newer messages: 화면을 떠나 있던 동안 온 메시지 요청
+ * - typing start / typing stop: 입력 중 표시 시작/종료 (서버가 소켓별로 스로틀)
+ * - mark read: 채팅방에서 마지막으로 읽은 메시지 전송
+ * - edit message / delete message: 내 메시지 수정/삭제 (방장은 모든 메시지 삭제 가능)
+ * - toggle reaction: 메시지 이모지 반응 추가/취소
+ * - load thread: 스레드(첫 메시지와 모든 답글) 요청
+ * - command: 슬래시 명령어 실행 { room, command, args } (/clear 등 화면 명령어는 보내지 않음)
+ * - update room: 방 설정 변경 { room, settings } (방장 전용, name/topic/description/maxUsers/slowMode 중 바뀐 값)
+ * - get conversations: DM 대화 목록 요청
+ * - open conversation: DM 대화 열기 (상대 이름)
+ * - send direct message: DM 전송 (상대가 다른 채팅방에 있어도 전달)
+ * - mark conversation read / load older direct messages: DM 읽음 처리 / 이전 메시지 요청
+ * - kick user / mute user / unmute user: 사용자 관리 (방장, 부방장)
+ * - ban user / transfer ownership / set moderator: 방장 전용 관리
  * 
  * 서버 → 클라이언트:
- * - room created: 채팅방 생성 성공
- * - room creation failed: 채팅방 생성 실패
- * - join confirmed: 입장 확인
- * - join failed: 입장 실패
+ * - room created: 채팅방 생성 성공 (ack 없이 요청한 경우, join confirmed / leave confirmed도 같음)
+ * - join confirmed: 입장 확인 (최근 메시지 기록 history 포함)
  * - leave confirmed: 나가기 확인
- * - leave failed: 나가기 실패
- * - chat message: 메시지 수신
+ * - chat message: 메시지 수신 (mentions에 멘션된 닉네임 목록, /me 메시지는 action: true, 보낸 사람이 붙인 clientId 포함)
  * - user joined: 사용자 입장 알림
  * - user left: 사용자 퇴장 알림
- * - rooms list: 채팅방 목록 수신
+ * - rooms list: 채팅방 목록 수신 (방별 읽지 않은 수 unreadCount 포함)
+ * - older messages: 이전 메시지 페이지 수신
+ * - newer messages: 화면을 떠나 있던 동안 온 메시지 수신
+ * - typing start / typing stop: 다른 참여자의 입력 중 표시 (expiresIn 후 자동 만료)
+ * - read updated: 참여자의 읽음 위치 변경 ("읽음 N" 표시용)
+ * - room unread: 나간 채팅방의 읽지 않은 메시지 수 변경
+ * - message edited / message deleted: 메시지 수정/삭제 (같은 ID의 메시지를 제자리에서 갱신)
+ * - reaction updated: 메시지 반응 변경분 (이모지, 사용자, 추가/취소, 개수)
+ * - thread messages: 스레드 내용 / thread updated: 스레드 답글 수 변경
+ * - link preview: 메시지 링크 미리보기 (전송 후 서버가 페이지 정보를 가져와 따로 전송)
+ * - mentioned: 나를 멘션한 메시지 알림 (다른 방이나 로비에 있어도 받음)
+ * - command result: 명령어 결과 (나에게만)
+ * - room updated: 방 설정 변경 (이름, 주제, 설명, 최대 인원, 슬로우 모드 중 settings에 바뀐 값)
+ * - conversations list: DM 대화 목록 (읽지 않은 수 포함)
+ * - conversation opened: DM 대화 내용
+ * - direct message: DM 수신 (보낸 사람, 받는 사람 모두)
+ * - conversation updated: DM 대화 요약/읽지 않은 수 갱신
+ * - older direct messages: DM 이전 메시지 페이지
  * - ownership transferred: 방장 권한 받음
  * - owner changed: 방장 변경 알림
+ * - session: 세션 토큰 발급 (재연결 시 handshake.auth로 다시 전송)
+ * - session restored: 재연결 후 채팅방 복구 (놓친 메시지 포함)
+ * - room users: 채팅방 사용자 목록 갱신
+ * - kicked / banned: 강퇴/차단당함 (당사자에게만)
+ * - muted / unmuted: 음소거/해제됨 (당사자에게만)
+ * - user muted / user unmuted: 다른 사용자 음소거/해제 알림
+ * - role changed: 내 역할 변경 (부방장 지정/해제)
+ * - role updated: 다른 사용자 역할 변경 알림
+ * - error: 모든 요청 실패 { event, code, message, ...추가 정보 }
+ *   event: 실패한 요청 이벤트 ('create room', 'join', 'command', 'kick user', 'send direct message' 등)
+ *   추가 정보: room, messageId, action, target, to, command, field 등 요청마다 필요한 값
+ *   주요 코드:
+ *   - INVALID_PAYLOAD: 데이터 형식 오류 (서버가 스키마로 검사, field에 잘못된 필드)
+ *   - UNKNOWN_EVENT: 서버가 모르는 이벤트
+ *   - 입장: PASSWORD_REQUIRED, WRONG_PASSWORD, ROOM_FULL, BANNED / 권한: NOT_OWNER, NOT_MESSAGE_OWNER
+ *   - 명령어: UNKNOWN_COMMAND / DM: USER_NOT_FOUND, CANNOT_MESSAGE_SELF / 전송: USER_MUTED, SLOW_MODE
+ *   - 속도 제한: retryAfter(밀리초) 포함
+ *     RATE_LIMITED(경고) → RATE_LIMIT_MUTED(일시 정지) → RATE_LIMIT_DISCONNECT(연결 종료) 순으로 강해짐
+ *     한도와 제재는 계정 단위라 같은 계정의 탭 여러 개가 함께 쓰고, 다시 연결해도 이어짐
  * 
  * 방장 시스템:
  * - 채팅방 생성자가 자동으로 방장이 됨
  * - 방장이 나가면 가장 먼저 입장한 사용자가 새 방장
+ * - 방장은 직접 다른 사용자에게 위임하거나 부방장(🛡️)을 지정할 수 있음
  * - 마지막 사용자가 나가면 채팅방 자동 삭제
+ * 
+ * 재연결 세션:
+ * - 네트워크가 잠깐 끊겨도 서버는 유예 시간 동안 방에서 제거하지 않음
+ * - 같은 세션 토큰으로 재연결하면 같은 방, 같은 방장 여부로 복구
  */
 export default socket
@@ -6,11 +6,13 @@
  */
 import { createRouter, createWebHistory } from 'vue-router'
 import { useUserStore } from '../stores/user'
+import { setBaseTitle } from '../utils/notifications'
 
 // 컴포넌트 import (지연 로딩 사용)
 const Login = () => import('../views/Login.vue')
 const Lobby = () => import('../views/Lobby.vue')
 const ChatRoom = () => import('../views/ChatRoom.vue')
+const DirectMessage = () => import('../views/DirectMessage.vue')
 
 /**
  * 라우트 정의
@@ -31,7 +33,7 @@ const routes = [
    * 
    * 경로: /login
    * 컴포넌트: Login.vue
-   * 설명: 사용자 닉네임 입력 및 인증
+   * 설명: 계정 로그인 및 회원가입 (인증 토큰 발급)
    */
   {
     path: '/login',
@@ -39,7 +41,7 @@ const routes = [
     component: Login,
     meta: {
       title: '로그인',
-      description: '닉네임을 입력하여 채팅에 참여하세요',
+      description: '로그인하여 채팅에 참여하세요',
       requiresAuth: false // 인증이 필요하지 않은 페이지
     }
   },
@@ -85,6 +87,25 @@ const routes = [
     }
   },
 
+  /**
+   * 1:1 대화(DM) 페이지
+   * 
+   * 경로: /dm/:username
+   * 컴포넌트: DirectMessage.vue
+   * 설명: 다른 사용자와의 개인 대화
+   * - 채팅방에 있는 상태로 열어도 방에서 나가지 않음
+   */
+  {
+    path: '/dm/:username',
+    name: 'DirectMessage',
+    component: DirectMessage,
+    meta: {
+      title: '다이렉트 메시지',
+      description: '다른 사용자와 1:1로 대화하세요',
+      requiresAuth: true // 인증이 필요한 페이지
+    }
+  },
+
   /**
    * 404 Not Found 페이지
    * 
@@ -129,17 +150,17 @@ const router = createRouter({
  * 인증 상태 확인 및 권한 검사
  */
 router.beforeEach((to, from, next) => {
-  // 페이지 제목 설정
+  // 페이지 제목 설정 (읽지 않은 메시지 뱃지가 있으면 유지)
   if (to.meta.title) {
-    document.title = `${to.meta.title} - Vue 채팅앱`
+    setBaseTitle(to.meta.title)
   }
 
   // 인증이 필요한 페이지 체크
   if (to.meta.requiresAuth) {
     const userStore = useUserStore()
     
-    // 로그인 상태 확인
-    if (!userStore.nickname) {
+    // 로그인 상태 확인 (유효한 인증 토큰 보유 여부)
+    if (!userStore.isLoggedIn) {
       console.log('인증되지 않은 접근:', to.path)
       
       // 로그인 페이지로 리디렉션
@@ -155,7 +176,7 @@ router.beforeEach((to, from, next) => {
   if (to.path === '/login') {
     const userStore = useUserStore()
     
-    if (userStore.nickname) {
+    if (userStore.isLoggedIn) {
       console.log('이미 로그인된 사용자의 로그인 페이지 접근')
       
       // 로비로 리디렉션
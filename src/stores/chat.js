@@ -11,7 +11,8 @@ export const useChatStore = defineStore('chat', {
    */
   state: () => ({
     messages: [], // 채팅 메시지 배열
-    isLoading: false, // 메시지 로딩 상태
+    isLoading: false, // 메시지 로딩 상태 (이전 메시지 페이지 요청 중)
+    hasMoreHistory: false, // 서버에 더 오래된 메시지가 남아 있는지 여부
     error: null, // 에러 상태
     currentRoom: null
   }),
@@ -47,10 +48,22 @@ export const useChatStore = defineStore('chat', {
       return state.messages.filter(msg => msg.type !== 'system')
     },
 
+    /**
+     * 재연결 후 보낼 메시지 (연결이 끊긴 동안 보낸 메시지, 보낸 순서)
+     * @returns {Array} status가 'queued'인 메시지
+     */
+    queuedMessages: (state) => {
+      return state.messages.filter(msg => msg.status === 'queued')
+    },
+
     isRoomOwner: (state) => {
       return state.currentRoom?.isOwner || false
     },
 
+    isRoomModerator: (state) => {
+      return state.currentRoom?.isModerator || false
+    },
+
     hasCurrentRoom: (state) => {
       return state.currentRoom !== null
     },
@@ -77,6 +90,16 @@ export const useChatStore = defineStore('chat', {
      * @param {Object} message - 추가할 메시지 객체
      */
     addMessage(message) {
+      // 내가 보낸 "전송 중" 메시지가 서버에 저장되어 돌아오면 제자리에서 서버 메시지로 교체
+      if (message.clientId && this.confirmPendingMessage(message)) {
+        return
+      }
+
+      // 이미 받은 메시지는 다시 추가하지 않음 (기록과 실시간 메시지 중복 방지)
+      if (message.id && this.messages.some(msg => msg.id === message.id)) {
+        return
+      }
+
       // 메시지 ID 생성 (타임스탬프 기반)
       const id = Date.now().toString()
       
@@ -90,10 +113,193 @@ export const useChatStore = defineStore('chat', {
     },
 
     /**
-     * 메시지 목록 초기화
+     * 서버에서 받은 메시지 기록 병합
+     * 입장 응답(joinRoom)으로 전달된 최근 메시지와
+     * 위로 스크롤할 때 받은 이전 메시지 페이지를 추가합니다.
+     * 이미 있는 메시지는 추가하지 않고 수정/삭제 상태만 반영합니다.
+     * (연결이 끊긴 동안 수정된 메시지가 재연결 후 갱신되도록)
+     * @param {Array} history - 서버 메시지 배열 (오래된 것부터)
+     * @param {boolean} [hasMore] - 더 오래된 메시지 존재 여부
+     */
+    mergeHistory(history, hasMore) {
+      if (typeof hasMore === 'boolean') {
+        this.hasMoreHistory = hasMore
+      }
+
+
+      if (!Array.isArray(history)) return
+
+      history.forEach(message => {
+        if (this.updateMessage(message)) {
+          return
+        }
+
+        this.addMessage({
+          id: message.id,
+          user: message.user,
+          message: message.message || message.text,
+          timestamp: message.timestamp || message.serverTimestamp,
+          serverTimestamp: message.serverTimestamp,
+          type: message.type || 'user',
+          isOwner: message.isOwner || false,
+          isModerator: message.isModerator || false,
+          editedAt: message.editedAt || null,
+          deleted: Boolean(message.deleted),
+          reactions: { ...(message.reactions || {}) },
+          replyTo: message.replyTo || null,
+          threadRoot: message.threadRoot || null,
+          replyPreview: message.replyPreview || null,
+          replyCount: message.replyCount || 0,
+          attachments: message.attachments || [],
+          linkPreviews: message.linkPreviews || [],
+          mentions: message.mentions || [],
+          action: Boolean(message.action),
+          clientId: message.clientId || null
+        })
+      })
+
+      // 이전 페이지는 앞에, 늦게 도착한 기록은 제자리에 오도록 시간순 정렬
+      const sortKey = msg => new Date(msg.serverTimestamp || msg.timestamp).getTime()
+      this.messages.sort((a, b) => sortKey(a) - sortKey(b))
+    },
+
+    /**
+     * 보내는 중인 메시지 추가 (서버 응답 전에 바로 표시)
+     * 
+     * status:
+     * - 'sending': 서버 응답 대기 중
+     * - 'queued': 연결이 끊겨 있어 재연결 후 전송 대기
+     * - 'failed': 서버가 거부했거나 응답이 없음 (다시 보내기/삭제 선택)
+     * 
+     * @param {Object} message - { clientId, user, message, ..., status, outgoing(서버로 보낼 데이터) }
+     */
+    addPendingMessage(message) {
+      this.messages.push({
+        id: `pending_${message.clientId}`,
+        type: 'user',
+        timestamp: new Date(),
+        sendError: null,
+        ...message
+      })
+    },
+
+    /**
+     * 보내는 중인 메시지를 서버에 저장된 메시지로 교체
+     * 서버 응답(ack)과 'chat message' 브로드캐스트 중 먼저 도착한 쪽으로 교체됩니다.
+     * @param {Object} message - 서버 메시지 (clientId 포함)
+     * @returns {boolean} 교체했는지 여부 (해당 clientId의 보내는 중인 메시지가 없으면 false)
+     */
+    confirmPendingMessage(message) {
+      const index = this.messages.findIndex(msg => msg.status && msg.clientId === message.clientId)
+      if (index === -1) {
+        return false
+      }
+
+      if (this.messages.some(msg => msg.id === message.id)) {
+        // 기록 병합 등으로 서버 메시지가 이미 있으면 보내는 중인 메시지만 제거
+        this.messages.splice(index, 1)
+      } else {
+        this.messages.splice(index, 1, { ...message, timestamp: message.timestamp || new Date() })
+      }
+      return true
+    },
+
+    /**
+     * 보내는 중인 메시지의 상태 변경
+     * @param {string} clientId - 클라이언트 메시지 ID
+     * @param {string} status - 'sending' | 'queued' | 'failed'
+     * @param {string} [error] - 실패 사유 (failed일 때 표시)
+     */
+    setPendingStatus(clientId, status, error = null) {
+      const target = this.messages.find(msg => msg.status && msg.clientId === clientId)
+      if (target) {
+        target.status = status
+        target.sendError = error
+      }
+    },
+
+    /**
+     * 수정/삭제된 메시지를 제자리에서 갱신
+     * 서버의 'message edited', 'message deleted' 이벤트로 받은 메시지를 반영합니다.
+     * @param {Object} message - 서버 메시지 { id, message, editedAt, deleted, reactions }
+     * @returns {boolean} 해당 메시지가 목록에 있었는지 여부
+     */
+    updateMessage(message) {
+      const target = message?.id && this.messages.find(msg => msg.id === message.id)
+      if (!target) {
+        return false
+      }
+
+      target.message = message.message || message.text || ''
+      target.editedAt = message.editedAt || null
+      target.deleted = Boolean(message.deleted)
+      target.reactions = { ...(message.reactions || {}) }
+      target.replyCount = message.replyCount || 0
+      target.attachments = message.deleted ? [] : (message.attachments || target.attachments || [])
+      target.linkPreviews = message.linkPreviews || []
+      target.mentions = message.mentions || []
+      return true
+    },
+
+    /**
+     * 링크 미리보기 반영
+     * 서버의 'link preview' 이벤트로 받은 미리보기를 메시지에 추가합니다.
+     * @param {string} messageId - 메시지 ID
+     * @param {Array} previews - 미리보기 목록 [{ url, title, description, image, siteName }]
+     */
+    setLinkPreviews(messageId, previews) {
+      const target = this.messages.find(msg => msg.id === messageId)
+      if (target && Array.isArray(previews)) {
+        target.linkPreviews = previews
+      }
+    },
+
+    /**
+     * 스레드 첫 메시지의 답글 수 갱신
+     * @param {string} messageId - 스레드 첫 메시지 ID
+     * @param {number} replyCount - 답글 수
+     */
+    updateReplyCount(messageId, replyCount) {
+      const target = this.messages.find(msg => msg.id === messageId)
+      if (target) {
+        target.replyCount = replyCount
+      }
+    },
+
+    /**
+     * 메시지 반응 변경 반영
+     * 서버의 'reaction updated' 이벤트로 받은 변경분(한 사용자의 추가/취소)을 적용합니다.
+     * @param {Object} update - { messageId, emoji, user, added }
+     */
+    applyReaction(update) {
+      const target = this.messages.find(msg => msg.id === update.messageId)
+      if (!target) {
+        return
+      }
+
+      const reactions = { ...(target.reactions || {}) }
+      const reactors = (reactions[update.emoji] || []).filter(name => name !== update.user)
+
+      if (update.added) {
+        reactors.push(update.user)
+      }
+
+      if (reactors.length > 0) {
+        reactions[update.emoji] = reactors
+      } else {
+        delete reactions[update.emoji]
+      }
+
+      target.reactions = reactions
+    },
+
+    /**
+     * 메시지 목록 초기화 (/clear에서도 사용, 채팅방 정보는 유지)
+     * 지운 뒤에는 이전 메시지를 다시 불러오지 않습니다.
      */
     clear() {
       this.messages = []
+      this.hasMoreHistory = false
     },
 
     /**
@@ -121,8 +327,15 @@ export const useChatStore = defineStore('chat', {
         name: roomInfo.name,
         owner: roomInfo.owner || null,
         isOwner: Boolean(roomInfo.isOwner),
+        isModerator: Boolean(roomInfo.isModerator),
+        isPrivate: Boolean(roomInfo.isPrivate),
         userCount: Number(roomInfo.userCount) || 0,
         users: Array.isArray(roomInfo.users) ? [...roomInfo.users] : [],
+        readState: { ...(roomInfo.readState || {}) }, // 닉네임 → 마지막으로 읽은 메시지 ID
+        topic: roomInfo.topic || '',
+        description: roomInfo.description || '',
+        maxUsers: roomInfo.maxUsers || null, // 최대 인원 (null이면 제한 없음)
+        slowMode: Number(roomInfo.slowMode) || 0, // 슬로우 모드 간격 (초)
         createdAt: roomInfo.createdAt ? new Date(roomInfo.createdAt) : null
       }
 
@@ -142,6 +355,37 @@ export const useChatStore = defineStore('chat', {
       console.log(`방 사용자 수 업데이트: ${oldCount}명 → ${this.currentRoom.userCount}명`)
     },
 
+    /**
+     * 채팅방 사용자 목록 갱신
+     * 서버의 'room users' 이벤트로 받은 최신 목록으로 교체합니다.
+     * @param {Array} users - 사용자 목록 [{ nickname, isOwner, isModerator, role, isMuted, joinedAt }]
+     */
+    updateRoomUsers(users) {
+      if (!this.currentRoom || !Array.isArray(users)) {
+        return
+      }
+
+      this.currentRoom.users = [...users]
+      this.currentRoom.userCount = users.length
+    },
+
+    /**
+     * 사용자의 읽음 위치 갱신
+     * 서버의 'read updated' 이벤트나 새 메시지의 발신자 정보로 호출됩니다.
+     * @param {string} user - 닉네임
+     * @param {string} messageId - 마지막으로 읽은 메시지 ID
+     */
+    updateReadState(user, messageId) {
+      if (!this.currentRoom || !user || !messageId) {
+        return
+      }
+
+      this.currentRoom.readState = {
+        ...this.currentRoom.readState,
+        [user]: messageId
+      }
+    },
+
     updateRoomOwner(newOwner, isMe = false) {
       if (!this.currentRoom) {
         console.log('현재 방 정보가 없어 방장 정보를 업데이트할 수 없습니다.')
@@ -151,11 +395,28 @@ export const useChatStore = defineStore('chat', {
       const oldOwner = this.currentRoom.owner
       this.currentRoom.owner = newOwner
       this.currentRoom.isOwner = Boolean(isMe)
+      if (isMe) {
+        // 방장이 되면 부방장 역할은 해제됨
+        this.currentRoom.isModerator = false
+      }
       
       console.log(`방장 변경: ${oldOwner} → ${newOwner}`)
       console.log('내가 방장인가:', isMe ? '예' : '아니오')
     },
 
+    /**
+     * 내 역할 변경 (부방장 지정/해제)
+     * @param {string} role - 'moderator' | 'member'
+     */
+    updateMyRole(role) {
+      if (!this.currentRoom) {
+        return
+      }
+
+      this.currentRoom.isModerator = role === 'moderator'
+      console.log('내 역할 변경:', role)
+    },
+
     clearCurrentRoom() {
       const roomName = this.currentRoom?.name || '알 수 없는 방'
       this.currentRoom = null
@@ -168,6 +429,8 @@ export const useChatStore = defineStore('chat', {
       const roomName = this.currentRoom?.name || '알 수 없는 방'
       
       this.messages = []
+      this.hasMoreHistory = false
+      this.isLoading = false
       this.currentRoom = null
       
       console.log(`채팅 데이터 전체 초기화 완료:`)
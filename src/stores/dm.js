@@ -0,0 +1,133 @@
+/**
+ * 1:1 대화(DM) 상태 관리 스토어
+ * DM 대화 목록, 읽지 않은 메시지 수, 현재 열려 있는 대화를 관리합니다.
+ * 
+ * 대화 목록과 읽지 않은 수는 어느 화면에 있든 App.vue에서 갱신하고,
+ * 대화 내용은 DirectMessage.vue에서 대화를 열었을 때 불러옵니다.
+ */
+import { defineStore } from 'pinia'
+
+export const useDmStore = defineStore('dm', {
+  /**
+   * 상태 정의
+   * @returns {Object} 초기 상태 객체
+   */
+  state: () => ({
+    conversations: [], // 대화 요약 목록 [{ id, peer, lastMessage, unreadCount, updatedAt }] (최근 대화부터)
+    totalUnread: 0, // 전체 읽지 않은 메시지 수
+    activeConversation: null, // 현재 열려 있는 대화 요약
+    messages: [], // 현재 대화의 메시지 (오래된 것부터)
+    hasMoreHistory: false, // 더 오래된 메시지 존재 여부
+    isLoading: false // 이전 메시지 요청 중 여부
+  }),
+
+  getters: {
+    /**
+     * 현재 열려 있는 대화 ID
+     * @returns {string|null} 대화 ID
+     */
+    activeConversationId: (state) => state.activeConversation?.id || null
+  },
+
+  actions: {
+    /**
+     * 대화 목록 교체 ('conversations list')
+     * @param {Array} conversations - 대화 요약 목록
+     * @param {number} totalUnread - 전체 읽지 않은 수
+     */
+    setConversations(conversations, totalUnread) {
+      this.conversations = Array.isArray(conversations) ? [...conversations] : []
+      this.totalUnread = Number(totalUnread) || 0
+    },
+
+    /**
+     * 대화 하나 갱신 ('conversation updated')
+     * 갱신된 대화를 목록 맨 앞으로 옮깁니다.
+     * @param {Object} conversation - 대화 요약
+     * @param {number} totalUnread - 전체 읽지 않은 수
+     */
+    updateConversation(conversation, totalUnread) {
+      const others = this.conversations.filter(item => item.id !== conversation.id)
+      this.conversations = [conversation, ...others]
+        .sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0))
+      this.totalUnread = Number(totalUnread) || 0
+
+      if (this.activeConversation?.id === conversation.id) {
+        this.activeConversation = { ...conversation }
+      }
+    },
+
+    /**
+     * 대화 열기 ('conversation opened')
+     * @param {Object} conversation - 대화 요약
+     * @param {Array} messages - 최근 메시지 (오래된 것부터)
+     * @param {boolean} hasMore - 더 오래된 메시지 존재 여부
+     */
+    openConversation(conversation, messages, hasMore) {
+      this.activeConversation = { ...conversation }
+      this.messages = []
+      this.isLoading = false
+      this.mergeHistory(messages, hasMore)
+    },
+
+    /**
+     * 대화 닫기 (DM 화면을 떠날 때)
+     */
+    closeConversation() {
+      this.activeConversation = null
+      this.messages = []
+      this.hasMoreHistory = false
+      this.isLoading = false
+    },
+
+    /**
+     * 새 메시지 추가 (현재 열린 대화의 메시지만)
+     * @param {string} conversationId - 대화 ID
+     * @param {Object} message - 메시지
+     */
+    addMessage(conversationId, message) {
+      if (conversationId !== this.activeConversationId) {
+        return
+      }
+
+      if (this.messages.some(msg => msg.id === message.id)) {
+        return
+      }
+
+      this.messages.push({
+        ...message,
+        timestamp: message.timestamp || message.serverTimestamp
+      })
+    },
+
+    /**
+     * 서버에서 받은 메시지 기록 병합 (이미 있는 메시지는 무시)
+     * @param {Array} history - 메시지 배열 (오래된 것부터)
+     * @param {boolean} [hasMore] - 더 오래된 메시지 존재 여부
+     */
+    mergeHistory(history, hasMore) {
+      if (typeof hasMore === 'boolean') {
+        this.hasMoreHistory = hasMore
+      }
+
+      if (!Array.isArray(history)) return
+
+      const knownIds = new Set(this.messages.map(msg => msg.id))
+      const added = history
+        .filter(message => !knownIds.has(message.id))
+        .map(message => ({ ...message, timestamp: message.timestamp || message.serverTimestamp }))
+
+      const sortKey = msg => new Date(msg.serverTimestamp || msg.timestamp).getTime()
+      this.messages = [...added, ...this.messages].sort((a, b) => sortKey(a) - sortKey(b))
+    },
+
+    /**
+     * 전체 초기화 (로그아웃)
+     */
+    clear() {
+      this.conversations = []
+      this.totalUnread = 0
+      this.closeConversation()
+    }
+  }
+})
@@ -1,8 +1,56 @@
-/**
+  /**
  * 사용자 관련 상태 관리 스토어
  * 사용자 정보와 인증 상태를 관리합니다.
+ * 
+ * 인증 흐름:
+ * 1. 로그인/회원가입 API로 인증 토큰(JWT)과 만료 시각을 받음
+ * 2. 토큰으로 소켓 연결 (handshake.auth.token)
+ * 3. 만료 1분 전에 토큰을 자동으로 갱신
+ * 4. 새로고침 시 로컬 스토리지의 토큰이 아직 유효하면 그대로 복원
+ * 
+ * 알림 설정 (데스크톱 알림, 알림음, 방별 알림 끄기)은 브라우저 설정이므로
+ * 로그아웃해도 지우지 않고 별도 키에 보관합니다.
  */
 import { defineStore } from 'pinia'
+import * as authApi from '../api/auth'
+import { connectSocket, disconnectSocket } from '../api/socket'
+import { requestNotificationPermission } from '../utils/notifications'
+
+// 로컬 스토리지 저장 키
+const STORAGE_KEY = 'user'
+
+// 알림 설정 저장 키
+const NOTIFICATION_STORAGE_KEY = 'notificationSettings'
+
+// 알림 설정 기본값
+const DEFAULT_NOTIFICATION_SETTINGS = {
+  desktop: false, // 탭이 백그라운드일 때 데스크톱 알림
+  sound: true, // 알림음
+  mutedRooms: [] // 알림을 끈 채팅방 ID 목록 (멘션은 계속 알림)
+}
+
+/**
+ * 저장된 알림 설정 읽기
+ * @returns {Object} 알림 설정 (없거나 손상되었으면 기본값)
+ */
+function loadNotificationSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(NOTIFICATION_STORAGE_KEY) || '{}')
+    return {
+      ...DEFAULT_NOTIFICATION_SETTINGS,
+      ...saved,
+      mutedRooms: Array.isArray(saved.mutedRooms) ? saved.mutedRooms : []
+    }
+  } catch (error) {
+    return { ...DEFAULT_NOTIFICATION_SETTINGS, mutedRooms: [] }
+  }
+}
+
+// 만료 몇 밀리초 전에 토큰을 갱신할지 (1분)
+const REFRESH_MARGIN = 60 * 1000
+
+// 토큰 갱신 예약 타이머 (상태에 넣을 필요가 없으므로 모듈 변수로 관리)
+let refreshTimer = null
 
 export const useUserStore = defineStore('user', {
   /**
@@ -10,9 +58,13 @@ export const useUserStore = defineStore('user', {
    * @returns {Object} 초기 상태 객체
    */
   state: () => ({
-    nickname: '', // 사용자 닉네임
+    nickname: '', // 사용자 닉네임 (계정 이름)
+    userId: null, // 계정 ID
+    token: null, // 인증 토큰 (JWT)
+    expiresAt: null, // 토큰 만료 시각 (ISO 문자열)
     isLogin: false, // 로그인 상태
-    lastActive: null // 마지막 활동 시간
+    lastActive: null, // 마지막 활동 시간
+    notificationSettings: loadNotificationSettings() // 알림 설정 { desktop, sound, mutedRooms }
   }),
 
   /**
@@ -20,16 +72,24 @@ export const useUserStore = defineStore('user', {
    */
   getters: {
     /**
-     * 사용자가 로그인했는지 확인
+     * 사용자가 로그인했는지 확인 (토큰이 있고 만료되지 않음)
      * @returns {boolean} 로그인 여부
      */
-    isLoggedIn: (state) => state.isLogin,
+    isLoggedIn: (state) => {
+      return state.isLogin && Boolean(state.token) && new Date(state.expiresAt).getTime() > Date.now()
+    },
 
     /**
      * 사용자 닉네임의 첫 글자 반환 (아바타 등에 사용)
      * @returns {string} 닉네임의 첫 글자
      */
-    userInitial: (state) => state.nickname ? state.nickname.charAt(0).toUpperCase() : ''
+    userInitial: (state) => state.nickname ? state.nickname.charAt(0).toUpperCase() : '',
+
+    /**
+     * 채팅방 알림을 껐는지 확인
+     * @returns {Function} (roomId) => boolean
+     */
+    isRoomMuted: (state) => (roomId) => state.notificationSettings.mutedRooms.includes(roomId)
   },
 
   /**
@@ -38,44 +98,186 @@ export const useUserStore = defineStore('user', {
   actions: {
     /**
      * 사용자 로그인 처리
-     * @param {string} nickname - 사용자 닉네임
+     * @param {string} username - 계정 이름
+     * @param {string} password - 비밀번호
+     * @throws {Error} 로그인 실패 시 (error.message, error.code)
      */
-    login(nickname) {
-      this.nickname = nickname
+    async login(username, password) {
+      const data = await authApi.login(username, password)
+      this.setAuth(data)
+    },
+
+    /**
+     * 회원가입 후 바로 로그인 처리
+     * @param {string} username - 계정 이름 (채팅 닉네임으로 사용)
+     * @param {string} password - 비밀번호
+     * @throws {Error} 회원가입 실패 시 (error.message, error.code)
+     */
+    async register(username, password) {
+      const data = await authApi.register(username, password)
+      this.setAuth(data)
+    },
+
+    /**
+     * 인증 응답 저장 후 소켓 연결 및 토큰 갱신 예약
+     * @param {Object} data - { token, expiresAt, user: { id, username } }
+     */
+    setAuth(data) {
+      this.nickname = data.user.username
+      this.userId = data.user.id
+      this.token = data.token
+      this.expiresAt = data.expiresAt
       this.isLogin = true
       this.lastActive = new Date()
       
       // 로컬 스토리지에 사용자 정보 저장 (새로고침 시 유지)
-      localStorage.setItem('user', JSON.stringify({
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
         nickname: this.nickname,
-        isLogin: this.isLogin
+        userId: this.userId,
+        token: this.token,
+        expiresAt: this.expiresAt
       }))
+
+      connectSocket(this.token)
+      this.scheduleTokenRefresh()
+    },
+
+    /**
+     * 토큰 만료 1분 전에 갱신 예약
+     */
+    scheduleTokenRefresh() {
+      clearTimeout(refreshTimer)
+
+      const delay = new Date(this.expiresAt).getTime() - Date.now() - REFRESH_MARGIN
+      refreshTimer = setTimeout(() => {
+        this.refreshToken().catch(() => {})
+      }, Math.max(delay, 0))
+    },
+
+    /**
+     * 토큰 갱신
+     * 갱신에 실패하면(만료, 계정 삭제 등) 로그아웃합니다.
+     * @returns {Promise<boolean>} 갱신 성공 여부
+     */
+    async refreshToken() {
+      if (!this.token) {
+        return false
+      }
+
+      try {
+        const data = await authApi.refresh(this.token)
+        this.setAuth(data)
+        console.log('인증 토큰 갱신 완료 (만료:', new Date(data.expiresAt).toLocaleString(), ')')
+        return true
+      } catch (error) {
+        console.error('인증 토큰 갱신 실패:', error.message)
+
+        // 네트워크 오류는 잠시 후 다시 시도, 인증 오류는 로그아웃
+        if (error.code === 'NETWORK_ERROR' && this.isLoggedIn) {
+          clearTimeout(refreshTimer)
+          refreshTimer = setTimeout(() => {
+            this.refreshToken().catch(() => {})
+          }, 10 * 1000)
+        } else {
+          this.logout()
+        }
+        return false
+      }
+    },
+
+    /**
+     * 데스크톱 알림 켜기/끄기
+     * 켤 때는 브라우저 알림 권한을 요청하고, 허용하지 않으면 켜지 않습니다.
+     * @param {boolean} enabled - 켤지 여부
+     * @returns {Promise<boolean>} 적용된 설정 값
+     */
+    async setDesktopNotifications(enabled) {
+      if (enabled) {
+        const permission = await requestNotificationPermission()
+        enabled = permission === 'granted'
+      }
+
+      this.notificationSettings.desktop = enabled
+      this.saveNotificationSettings()
+      return enabled
+    },
+
+    /**
+     * 알림음 켜기/끄기
+     * @param {boolean} enabled - 켤지 여부
+     */
+    setNotificationSound(enabled) {
+      this.notificationSettings.sound = Boolean(enabled)
+      this.saveNotificationSettings()
+    },
+
+    /**
+     * 채팅방 알림 끄기/켜기 전환
+     * @param {string} roomId - 채팅방 ID
+     */
+    toggleRoomMute(roomId) {
+      const mutedRooms = this.notificationSettings.mutedRooms
+      this.notificationSettings.mutedRooms = mutedRooms.includes(roomId)
+        ? mutedRooms.filter(id => id !== roomId)
+        : [...mutedRooms, roomId]
+      this.saveNotificationSettings()
+    },
+
+    /**
+     * 알림 설정을 로컬 스토리지에 저장
+     */
+    saveNotificationSettings() {
+      localStorage.setItem(NOTIFICATION_STORAGE_KEY, JSON.stringify(this.notificationSettings))
     },
 
     /**
      * 사용자 로그아웃 처리
      */
     logout() {
+      clearTimeout(refreshTimer)
+      refreshTimer = null
+
       this.nickname = ''
+      this.userId = null
+      this.token = null
+      this.expiresAt = null
       this.isLogin = false
       this.lastActive = null
       
       // 로컬 스토리지에서 사용자 정보 제거
-      localStorage.removeItem('user')
+      localStorage.removeItem(STORAGE_KEY)
+
+      disconnectSocket()
     },
 
     /**
      * 로컬 스토리지에서 사용자 정보 복원
+     * 토큰이 이미 만료되었으면 복원하지 않고 정보를 지웁니다.
      */
     restoreUser() {
-      const savedUser = localStorage.getItem('user')
-      
-      if (savedUser) {
-        const userData = JSON.parse(savedUser)
-        this.nickname = userData.nickname
-        this.isLogin = userData.isLogin
-        this.lastActive = new Date()
+      const savedUser = localStorage.getItem(STORAGE_KEY)
+      if (!savedUser) {
+        return
+      }
+
+      let userData = null
+      try {
+        userData = JSON.parse(savedUser)
+      } catch (error) {
+        console.error('저장된 사용자 정보를 읽을 수 없습니다:', error)
+      }
+
+      // 예전 닉네임 전용 형식이거나 만료된 토큰은 폐기
+      if (!userData?.token || new Date(userData.expiresAt).getTime() <= Date.now()) {
+        localStorage.removeItem(STORAGE_KEY)
+        return
       }
+
+      this.setAuth({
+        token: userData.token,
+        expiresAt: userData.expiresAt,
+        user: { id: userData.userId, username: userData.nickname }
+      })
     }
   }
-})
\ No newline at end of file
+})
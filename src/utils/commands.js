@@ -0,0 +1,111 @@
+/**
+ * 슬래시 명령어 (클라이언트)
+ * 채팅 입력창의 '/명령어 인자'를 메시지 전송 전에 해석합니다.
+ *
+ * 처리 방식:
+ * - 여기 등록된 명령어(/clear, /help 등)는 화면에서 바로 실행
+ * - 등록되지 않은 명령어는 서버로 보냄 ('command' { room, command, args })
+ *   서버 레지스트리(server/commands.js)가 권한을 확인하고 결과를 나에게만 응답
+ * - '//'로 시작하면 명령어가 아닌 일반 메시지 ('//help' → '/help' 전송)
+ *
+ * 명령어 추가:
+ * registerCommand({ name, usage, description, run(context, args, argsText) })
+ * context는 ChatRoom이 전달합니다. { addSystemMessage, clearMessages, sendToServer }
+ */
+
+/**
+ * 등록된 명령어
+ * { name: { name, usage, description, run } }
+ */
+const commands = new Map()
+
+/**
+ * 명령어 등록 (같은 이름이면 덮어씀)
+ *
+ * @param {Object} definition - { name, usage, description, run }
+ */
+export function registerCommand(definition) {
+  commands.set(definition.name, definition)
+}
+
+/**
+ * 등록된 명령어 목록
+ *
+ * @returns {Array} [{ name, usage, description }]
+ */
+export function listCommands() {
+  return Array.from(commands.values())
+}
+
+/**
+ * 입력을 명령어로 해석
+ *
+ * @param {string} text - 입력창 내용 (앞뒤 공백 제거된 값)
+ * @returns {Object|null} 명령어면 { name, args, argsText }, 일반 메시지면 null
+ */
+export function parseCommand(text) {
+  const match = String(text || '').match(/^\/([a-zA-Z]+)(?:\s+([\s\S]*))?$/)
+  if (!match) {
+    return null
+  }
+
+  const argsText = (match[2] || '').trim()
+  return {
+    name: match[1].toLowerCase(),
+    args: argsText ? argsText.split(/\s+/) : [],
+    argsText: argsText
+  }
+}
+
+/**
+ * 명령어 실행 (화면 명령어는 바로 실행, 나머지는 서버로)
+ *
+ * @param {Object} command - parseCommand 결과
+ * @param {Object} context - { addSystemMessage, clearMessages, sendToServer }
+ */
+export function runCommand(command, context) {
+  const local = commands.get(command.name)
+  if (local) {
+    local.run(context, command.args, command.argsText)
+    return
+  }
+
+  context.sendToServer(command.name, command.argsText)
+}
+
+/**
+ * 명령어가 아닌 메시지로 보낼 내용 ('//'로 시작하면 앞의 '/' 하나 제거)
+ *
+ * @param {string} text - 입력창 내용
+ * @returns {string} 보낼 메시지
+ */
+export function unescapeMessage(text) {
+  return text.startsWith('//') ? text.slice(1) : text
+}
+
+/**
+ * 기본 화면 명령어
+ */
+registerCommand({
+  name: 'clear',
+  usage: '/clear',
+  description: '내 화면의 메시지 지우기 (다른 사람에게는 영향 없음)',
+  run(context) {
+    context.clearMessages()
+  }
+})
+
+registerCommand({
+  name: 'help',
+  usage: '/help',
+  description: '사용할 수 있는 명령어 목록',
+  run(context) {
+    const lines = listCommands()
+      .filter(command => command.name !== 'help')
+      .map(command => `${command.usage} - ${command.description}`)
+    context.addSystemMessage(lines.concat('// 로 시작하면 명령어 대신 메시지로 보냅니다.').join('\n'))
+
+    // 서버 명령어 목록은 내 역할(방장/부방장)에 맞게 서버가 응답
+    context.sendToServer('help', '')
+  }
+})
@@ -0,0 +1,97 @@
+/**
+ * 메시지 서식 렌더러 (간단한 마크다운)
+ *
+ * 지원하는 서식:
+ * - **굵게**, *기울임* 또는 _기울임_
+ * - `인라인 코드`, ```코드 블록```
+ * - http/https 주소 자동 링크 (새 탭으로 열림)
+ * - @닉네임 멘션 강조 (서버가 멘션으로 인정한 닉네임만)
+ *
+ * XSS 방지:
+ * - 입력 전체를 먼저 HTML 이스케이프한 뒤, 이 파일이 만든 태그만 추가합니다.
+ *   사용자가 입력한 태그나 속성은 문자 그대로 표시될 뿐 HTML로 해석되지 않습니다.
+ * - 링크는 http/https로 시작하는 주소만 만들며, href 값도 이스케이프된 문자열입니다.
+ * - 코드 안의 내용은 서식/링크를 적용하지 않습니다.
+ *
+ * 결과는 v-html로 표시합니다. (이 함수를 거치지 않은 문자열은 v-html에 넣지 말 것)
+ */
+
+// 자동 링크 대상 (서버 linkPreview와 같은 규칙, 치환 표시 문자는 제외)
+const URL_PATTERN = /https?:\/\/[^\s<>"'`\u0000]+/g
+
+// 멘션 (@닉네임, 서버 nickname.js와 같은 규칙)
+const MENTION_PATTERN = /(^|[^a-zA-Z0-9_.@-])@([가-힣a-zA-Z0-9_-]+)/g
+
+// 치환해 둔 조각을 표시하는 문자 (사용자 입력에서는 미리 제거)
+const PLACEHOLDER = '\u0000'
+
+/**
+ * HTML 특수 문자 이스케이프
+ *
+ * @param {string} text - 원본 문자열
+ * @returns {string} 이스케이프된 문자열
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+/**
+ * 메시지를 서식이 적용된 안전한 HTML로 변환
+ *
+ * @param {string} text - 메시지 내용
+ * @param {Object} [options] - 표시 옵션
+ * @param {Array<string>} [options.mentions] - 강조할 멘션 닉네임 (메시지의 mentions)
+ * @param {string} [options.me] - 내 닉네임 (나를 멘션한 부분은 따로 강조)
+ * @returns {string} HTML 문자열
+ */
+export function renderMarkdown(text, { mentions = [], me = '' } = {}) {
+  const pieces = []
+  const keep = (html) => {
+    pieces.push(html)
+    return `${PLACEHOLDER}${pieces.length - 1}${PLACEHOLDER}`
+  }
+
+  let source = String(text || '').split(PLACEHOLDER).join('')
+
+  // 1. 코드 (안쪽은 서식 없이 이스케이프만)
+  source = source.replace(/```\n?([\s\S]+?)```/g, (match, code) => keep(`<pre><code>${escapeHtml(code)}</code></pre>`))
+  source = source.replace(/`([^`\n]+)`/g, (match, code) => keep(`<code>${escapeHtml(code)}</code>`))
+
+  // 2. 자동 링크 (주소 안의 _, * 가 서식으로 바뀌지 않도록 먼저 처리, 주소도 이스케이프)
+  source = source.replace(URL_PATTERN, (match) => {
+    // 문장 끝 문장부호와 서식 기호는 링크에서 제외
+    const url = match.replace(/[.,!?;:)\]*_]+$/, '')
+    const rest = match.slice(url.length)
+    const safeUrl = escapeHtml(url)
+    return keep(`<a href="${safeUrl}" target="_blank" rel="noopener noreferrer nofollow">${safeUrl}</a>`) + rest
+  })
+
+  // 멘션 (닉네임의 _ 가 서식으로 바뀌지 않도록 서식보다 먼저 처리)
+  const mentioned = new Set(mentions.map(name => name.toLowerCase()))
+  if (mentioned.size > 0) {
+    source = source.replace(MENTION_PATTERN, (match, before, name) => {
+      if (!mentioned.has(name.toLowerCase())) return match
+      const className = name.toLowerCase() === me.toLowerCase() ? 'mention mention-me' : 'mention'
+      return before + keep(`<span class="${className}">@${escapeHtml(name)}</span>`)
+    })
+  }
+
+  // 3. 나머지 전체 이스케이프
+  source = escapeHtml(source)
+
+  // 4. 굵게 / 기울임
+  source = source
+    .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*\w])\*([^*\n]+)\*(?![*\w])/g, '$1<em>$2</em>')
+    .replace(/(^|[^_\w])_([^_\n]+)_(?![_\w])/g, '$1<em>$2</em>')
+
+  // 5. 줄바꿈
+  source = source.replace(/\n/g, '<br>')
+
+  return source.replace(new RegExp(`${PLACEHOLDER}(\\d+)${PLACEHOLDER}`, 'g'), (match, index) => pieces[index])
+}
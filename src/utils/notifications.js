@@ -0,0 +1,133 @@
+/**
+ * 알림 유틸리티
+ * 탭이 백그라운드에 있을 때 새 메시지를 알리는 기능을 모아 둡니다.
+ *
+ * 기능:
+ * - 문서 제목 뱃지: "(3) 채팅방 - Vue 채팅앱"
+ *   라우터가 화면마다 기본 제목을 정하면(setBaseTitle) 읽지 않은 수를 앞에 붙여 표시합니다.
+ *   라우터에서 document.title을 직접 바꾸면 뱃지가 사라지므로 반드시 이 함수를 거칠 것
+ * - 데스크톱 알림 (Notifications API, 사용자가 권한을 허용한 경우만)
+ * - 알림음 (Web Audio API로 짧은 소리를 만들어 재생, 별도 음원 파일 없음)
+ */
+
+// 제목 뒤에 붙는 앱 이름
+const APP_TITLE = 'Vue 채팅앱'
+
+// 알림 본문 최대 길이
+const MAX_BODY_LENGTH = 100
+
+let baseTitle = APP_TITLE
+let unreadCount = 0
+let audioContext = null
+
+/**
+ * 문서 제목 갱신 (읽지 않은 수가 있으면 앞에 표시)
+ */
+function renderTitle() {
+  document.title = unreadCount > 0 ? `(${unreadCount}) ${baseTitle}` : baseTitle
+}
+
+/**
+ * 화면별 기본 제목 설정 (라우터 beforeEach에서 호출)
+ *
+ * @param {string} [title] - 화면 제목 (없으면 앱 이름만)
+ */
+export function setBaseTitle(title) {
+  baseTitle = title ? `${title} - ${APP_TITLE}` : APP_TITLE
+  renderTitle()
+}
+
+/**
+ * 제목 뱃지의 읽지 않은 수 설정
+ *
+ * @param {number} count - 읽지 않은 메시지 수 (0이면 뱃지 제거)
+ */
+export function setTitleBadge(count) {
+  unreadCount = Math.max(Number(count) || 0, 0)
+  renderTitle()
+}
+
+/**
+ * 데스크톱 알림 지원 여부
+ *
+ * @returns {boolean} 지원 여부
+ */
+export function isNotificationSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window
+}
+
+/**
+ * 데스크톱 알림 권한 요청
+ * 이미 허용/거부된 상태면 다시 묻지 않고 현재 상태를 돌려줍니다.
+ *
+ * @returns {Promise<string>} 'granted' | 'denied' | 'default' | 'unsupported'
+ */
+export async function requestNotificationPermission() {
+  if (!isNotificationSupported()) {
+    return 'unsupported'
+  }
+
+  if (Notification.permission !== 'default') {
+    return Notification.permission
+  }
+
+  return Notification.requestPermission()
+}
+
+/**
+ * 데스크톱 알림 표시
+ * 권한이 없으면 아무것도 하지 않습니다.
+ *
+ * @param {Object} options - 알림 내용
+ * @param {string} options.title - 제목
+ * @param {string} options.body - 본문
+ * @param {string} [options.tag] - 같은 tag의 알림은 새 알림으로 교체 (방/대화별로 하나만 표시)
+ * @param {Function} [options.onClick] - 알림을 눌렀을 때 실행할 함수 (창 포커스 후)
+ */
+export function showDesktopNotification({ title, body, tag, onClick }) {
+  if (!isNotificationSupported() || Notification.permission !== 'granted') {
+    return
+  }
+
+  const notification = new Notification(title, {
+    body: String(body || '').slice(0, MAX_BODY_LENGTH),
+    tag: tag
+  })
+
+  notification.onclick = () => {
+    window.focus()
+    notification.close()
+    if (onClick) onClick()
+  }
+}
+
+/**
+ * 알림음 재생 (짧은 두 음)
+ * 브라우저 자동 재생 정책으로 사용자가 페이지와 상호작용하기 전에는 소리가 나지 않을 수 있습니다.
+ */
+export function playNotificationSound() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext
+  if (!AudioContextClass) return
+
+  try {
+    audioContext = audioContext || new AudioContextClass()
+    const now = audioContext.currentTime
+
+    ;[880, 1320].forEach((frequency, index) => {
+      const oscillator = audioContext.createOscillator()
+      const gain = audioContext.createGain()
+      const start = now + index * 0.12
+
+      oscillator.frequency.value = frequency
+      gain.gain.setValueAtTime(0.15, start)
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.1)
+
+      oscillator.connect(gain)
+      gain.connect(audioContext.destination)
+      oscillator.start(start)
+      oscillator.stop(start + 0.1)
+    })
+  } catch (error) {
+    console.warn('알림음을 재생할 수 없습니다:', error)
+  }
+}